@@ -0,0 +1,25 @@
+-- Жизненный цикл заказа: new → confirmed → paid → shipped → completed / cancelled
+UPDATE orders SET status = 'new'
+WHERE status NOT IN ('new','confirmed','paid','shipped','completed','cancelled');
+
+ALTER TABLE orders
+ADD CONSTRAINT orders_status_check
+CHECK (status IN ('new','confirmed','paid','shipped','completed','cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+
+-- История смены статусов (кто, что и когда поменял)
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Стартовая запись для уже существующих заказов
+INSERT INTO order_status_history(order_id, from_status, to_status, created_at)
+SELECT id, NULL, status, created_at FROM orders;
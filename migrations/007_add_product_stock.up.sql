@@ -0,0 +1,10 @@
+-- Складские остатки.
+-- stock_qty IS NULL — остаток не ведётся (товар всегда доступен к заказу),
+-- allow_backorder — разрешить заказ сверх остатка (под заказ).
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS stock_qty INTEGER,
+ADD COLUMN IF NOT EXISTS allow_backorder BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- сколько единиц списано со склада по позиции (возвращаем при отмене заказа)
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS reserved_qty INTEGER NOT NULL DEFAULT 0;
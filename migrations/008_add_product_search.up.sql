@@ -0,0 +1,43 @@
+-- Полнотекстовый поиск по товарам (русская морфология)
+
+-- HTML → плоский текст для индексации и сниппетов
+CREATE OR REPLACE FUNCTION html_to_text(html TEXT) RETURNS TEXT AS $$
+  SELECT regexp_replace(
+           replace(regexp_replace(COALESCE(html, ''), '<[^>]*>', ' ', 'g'), '&nbsp;', ' '),
+           '\s+', ' ', 'g'
+         );
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+-- name и sku весят больше, чем описание и характеристики
+CREATE OR REPLACE FUNCTION products_search_vector(
+  p_name TEXT, p_sku TEXT, p_content_html TEXT, p_specs_html TEXT
+) RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('russian', COALESCE(p_name, '')), 'A')
+      || setweight(to_tsvector('simple', COALESCE(p_sku, '')), 'A')
+      || setweight(to_tsvector('russian', html_to_text(p_content_html)), 'B')
+      || setweight(to_tsvector('russian', html_to_text(p_specs_html)), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- держим индекс актуальным при любой записи в products
+CREATE OR REPLACE FUNCTION trg_products_search_vector() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := products_search_vector(NEW.name, NEW.sku, NEW.content_html, NEW.specs_html);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_products_search ON products;
+CREATE TRIGGER trg_products_search
+BEFORE INSERT OR UPDATE OF name, sku, content_html, specs_html ON products
+FOR EACH ROW EXECUTE FUNCTION trg_products_search_vector();
+
+-- заполнение без сдвига updated_at
+ALTER TABLE products DISABLE TRIGGER trg_products_updated_at;
+UPDATE products
+SET search_vector = products_search_vector(name, sku, content_html, specs_html);
+ALTER TABLE products ENABLE TRIGGER trg_products_updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN (search_vector);
@@ -0,0 +1,34 @@
+-- Структурированные характеристики товаров.
+-- Атрибут объявляется на категории и действует на всё её поддерево.
+CREATE TABLE IF NOT EXISTS attributes (
+  id SERIAL PRIMARY KEY,
+  category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('number','string','boolean','enum')),
+  unit TEXT,
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_filterable BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (category_id, code)
+);
+CREATE INDEX IF NOT EXISTS idx_attributes_category ON attributes(category_id, sort_order);
+
+CREATE TRIGGER trg_attributes_updated_at
+BEFORE UPDATE ON attributes
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- Значения: заполнена ровно одна колонка в зависимости от attributes.type
+CREATE TABLE IF NOT EXISTS product_attribute_values (
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  attribute_id INTEGER NOT NULL REFERENCES attributes(id) ON DELETE CASCADE,
+  value_number NUMERIC,
+  value_text TEXT,
+  value_bool BOOLEAN,
+  PRIMARY KEY (product_id, attribute_id)
+);
+CREATE INDEX IF NOT EXISTS idx_pav_attr_number ON product_attribute_values(attribute_id, value_number);
+CREATE INDEX IF NOT EXISTS idx_pav_attr_text ON product_attribute_values(attribute_id, value_text);
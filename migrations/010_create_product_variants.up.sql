@@ -0,0 +1,28 @@
+-- Варианты товара (мощность трубки, размер стола и т.п.):
+-- свой sku, цена и остаток; image_id — id фото из products.gallery
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  sku TEXT UNIQUE,
+  price INTEGER NOT NULL,
+  stock_qty INTEGER,
+  allow_backorder BOOLEAN NOT NULL DEFAULT FALSE,
+  image_id TEXT,
+  options JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id, sort_order);
+
+CREATE TRIGGER trg_product_variants_updated_at
+BEFORE UPDATE ON product_variants
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- какой вариант купили
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_order_items_variant_id ON order_items(variant_id);
@@ -0,0 +1,4 @@
+-- Уменьшенные копии (thumb/card/full + webp) для media library.
+-- У фото товаров копии хранятся в элементах products.gallery (поле renditions).
+ALTER TABLE media_library
+ADD COLUMN IF NOT EXISTS renditions JSONB;
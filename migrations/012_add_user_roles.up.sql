@@ -0,0 +1,15 @@
+-- Роли сотрудников: admin — всё, manager — заказы, editor — каталог
+UPDATE users SET role = 'admin' WHERE role NOT IN ('admin','manager','editor');
+
+ALTER TABLE users
+ADD CONSTRAINT users_role_check CHECK (role IN ('admin','manager','editor'));
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS name TEXT,
+ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ;
+
+DROP TRIGGER IF EXISTS trg_users_updated_at ON users;
+CREATE TRIGGER trg_users_updated_at
+BEFORE UPDATE ON users
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,6 @@
+-- Публичное отслеживание заказа: секрет в ссылке из письма покупателю
+-- и данные об отправке (служба доставки, трек-номер)
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS tracking_token TEXT NOT NULL DEFAULT encode(gen_random_bytes(24), 'hex'),
+  ADD COLUMN IF NOT EXISTS tracking_carrier TEXT,
+  ADD COLUMN IF NOT EXISTS tracking_number TEXT;
@@ -0,0 +1,38 @@
+-- Промокоды: процент или фиксированная сумма, минимальная сумма заказа,
+-- срок действия, лимиты использования, ограничение категориями/товарами.
+-- Использование считается по неотменённым заказам с этим промокодом.
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value INTEGER NOT NULL CHECK (discount_value > 0),
+  min_order_amount INTEGER NOT NULL DEFAULT 0,
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  usage_limit INTEGER,
+  usage_limit_per_customer INTEGER,
+  -- пусто — скидка на всю корзину; категории — вместе с подкатегориями
+  category_ids INTEGER[] NOT NULL DEFAULT '{}',
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_promo_codes_code ON promo_codes (upper(code));
+
+DROP TRIGGER IF EXISTS trg_promo_codes_updated ON promo_codes;
+CREATE TRIGGER trg_promo_codes_updated
+BEFORE UPDATE ON promo_codes FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS subtotal_amount INTEGER,
+  ADD COLUMN IF NOT EXISTS discount_amount INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS promo_code TEXT;
+
+UPDATE orders SET subtotal_amount = total_amount WHERE subtotal_amount IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_promo_code ON orders(promo_code_id) WHERE promo_code_id IS NOT NULL;
@@ -0,0 +1,59 @@
+-- Способы доставки (самовывоз, курьер, транспортная компания) и расчёт стоимости.
+-- Тарифы (rates) — JSON-массив правил, первое подходящее задаёт цену:
+--   [{ "zone_id": 1, "min_weight_grams": 0, "max_weight_grams": 30000,
+--      "min_order_amount": 0, "max_order_amount": null, "price": 1500 }]
+-- Отсутствующее/null условие не ограничивает. Нет подходящего правила — способ недоступен.
+CREATE TABLE IF NOT EXISTS delivery_zones (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS trg_delivery_zones_updated ON delivery_zones;
+CREATE TRIGGER trg_delivery_zones_updated
+BEFORE UPDATE ON delivery_zones FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS delivery_methods (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  type TEXT NOT NULL CHECK (type IN ('pickup', 'courier', 'transport')),
+  -- для курьера и ТК адрес обязателен
+  requires_address BOOLEAN NOT NULL DEFAULT true,
+  -- бесплатно от этой суммы товаров (после скидки); null — без бесплатной доставки
+  free_from_amount INTEGER,
+  rates JSONB NOT NULL DEFAULT '[]',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS trg_delivery_methods_updated ON delivery_methods;
+CREATE TRIGGER trg_delivery_methods_updated
+BEFORE UPDATE ON delivery_methods FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- вес для тарифов по весу; у варианта null — берётся вес товара
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS weight_grams INTEGER CHECK (weight_grams >= 0);
+ALTER TABLE product_variants
+  ADD COLUMN IF NOT EXISTS weight_grams INTEGER CHECK (weight_grams >= 0);
+
+-- доставка в заказе — отдельной строкой; название и зона сохраняются на момент заказа
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS delivery_method_id INTEGER REFERENCES delivery_methods(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS delivery_method_name TEXT,
+  ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES delivery_zones(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS delivery_zone_name TEXT,
+  ADD COLUMN IF NOT EXISTS delivery_amount INTEGER NOT NULL DEFAULT 0;
+
+INSERT INTO delivery_methods(code, name, type, requires_address, rates, sort_order)
+VALUES ('pickup', 'Самовывоз', 'pickup', false, '[{"price":0}]', 0)
+ON CONFLICT (code) DO NOTHING;
@@ -0,0 +1,55 @@
+-- Отправления: у заказа может быть несколько посылок, в каждой — позиции с количеством.
+-- Заменяют orders.shipped_items (ID позиций) и один трек-номер на заказ.
+CREATE TABLE IF NOT EXISTS shipments (
+  id SERIAL PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  carrier TEXT,
+  tracking_number TEXT,
+  shipped_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  comment TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_shipments_order_id ON shipments(order_id, shipped_at);
+
+DROP TRIGGER IF EXISTS trg_shipments_updated ON shipments;
+CREATE TRIGGER trg_shipments_updated
+BEFORE UPDATE ON shipments FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS shipment_items (
+  id SERIAL PRIMARY KEY,
+  shipment_id INTEGER NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  UNIQUE (shipment_id, order_item_id)
+);
+CREATE INDEX IF NOT EXISTS idx_shipment_items_order_item ON shipment_items(order_item_id);
+
+-- Частичная отправка — отдельный статус, выставляется по отправлениям
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders
+ADD CONSTRAINT orders_status_check
+CHECK (status IN ('new','confirmed','paid','partially_shipped','shipped','completed','cancelled'));
+
+-- Перенос: отмеченные позиции и трек-номер → одно отправление на заказ (позиции целиком)
+WITH legacy AS (
+  INSERT INTO shipments(order_id, carrier, tracking_number, shipped_at, comment)
+  SELECT o.id, o.tracking_carrier, o.tracking_number, o.created_at, 'Перенесено из shipped_items'
+  FROM orders o
+  WHERE jsonb_array_length(o.shipped_items) > 0 OR o.tracking_number IS NOT NULL
+  RETURNING id, order_id
+)
+INSERT INTO shipment_items(shipment_id, order_item_id, qty)
+SELECT l.id, oi.id, oi.qty
+FROM legacy l
+JOIN orders o ON o.id = l.order_id
+JOIN order_items oi ON oi.order_id = o.id
+WHERE o.shipped_items @> to_jsonb(oi.id)
+   OR o.shipped_items @> to_jsonb(oi.id::text);
+
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS shipped_items,
+  DROP COLUMN IF EXISTS tracking_carrier,
+  DROP COLUMN IF EXISTS tracking_number;
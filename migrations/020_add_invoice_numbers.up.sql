@@ -0,0 +1,13 @@
+-- Сквозная нумерация документов (без пропусков): счётчик увеличивается
+-- в той же транзакции, что присваивает номер заказу
+CREATE TABLE IF NOT EXISTS document_counters (
+  name TEXT PRIMARY KEY,
+  last_value INTEGER NOT NULL DEFAULT 0
+);
+INSERT INTO document_counters(name, last_value) VALUES ('invoice', 0)
+ON CONFLICT (name) DO NOTHING;
+
+-- номер и дата счёта присваиваются при первой печати и дальше не меняются
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS invoice_number INTEGER UNIQUE,
+  ADD COLUMN IF NOT EXISTS invoice_date TIMESTAMPTZ;
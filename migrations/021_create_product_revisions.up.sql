@@ -0,0 +1,28 @@
+-- Ревизии товара: снимок редактируемых полей (включая галерею и документ)
+-- после каждого сохранения. Остаток (stock_qty) не входит — он меняется заказами.
+CREATE TABLE IF NOT EXISTS product_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  snapshot JSONB NOT NULL,
+  meta JSONB,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, revision)
+);
+
+-- стартовая ревизия для уже существующих товаров
+INSERT INTO product_revisions(product_id, revision, action, snapshot, created_at)
+SELECT p.id, 1, 'initial',
+       jsonb_build_object(
+         'name', p.name, 'slug', p.slug, 'sku', p.sku, 'price', p.price,
+         'is_active', p.is_active, 'is_featured', p.is_featured,
+         'category_id', p.category_id, 'primary_image_url', p.primary_image_url,
+         'gallery', p.gallery, 'doc_url', p.doc_url, 'doc_meta', p.doc_meta,
+         'content_html', p.content_html, 'specs_html', p.specs_html,
+         'allow_backorder', p.allow_backorder, 'weight_grams', p.weight_grams
+       ),
+       COALESCE(p.updated_at, p.created_at, NOW())
+FROM products p
+ON CONFLICT (product_id, revision) DO NOTHING;
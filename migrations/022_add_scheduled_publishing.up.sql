@@ -0,0 +1,147 @@
+-- Черновики и публикация по расписанию для товаров и категорий.
+-- На витрине запись видна, если is_active, status='published' и сейчас
+-- внутри окна [publish_at, unpublish_at) (пустая граница — без ограничения).
+
+-- $1 is_active, $2 status, $3 publish_at, $4 unpublish_at, $5 момент проверки
+CREATE OR REPLACE FUNCTION is_live_at(BOOLEAN, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, TIMESTAMPTZ)
+RETURNS BOOLEAN AS $$
+  SELECT $1 AND $2 = 'published'
+     AND ($3 IS NULL OR $3 <= $5)
+     AND ($4 IS NULL OR $4 > $5)
+$$ LANGUAGE sql IMMUTABLE;
+
+-- is_live — сохранённый результат is_live_at на момент последней записи;
+-- по нему считается desc_product_count. Когда окно открывается или
+-- закрывается само, is_live обновляет refresh_publication() (фоновый воркер API).
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft','published')),
+  ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS is_live BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_publication_window_check;
+ALTER TABLE products
+ADD CONSTRAINT products_publication_window_check
+CHECK (publish_at IS NULL OR unpublish_at IS NULL OR unpublish_at > publish_at);
+
+ALTER TABLE categories
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft','published')),
+  ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS is_live BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_publication_window_check;
+ALTER TABLE categories
+ADD CONSTRAINT categories_publication_window_check
+CHECK (publish_at IS NULL OR unpublish_at IS NULL OR unpublish_at > publish_at);
+
+-- заполнение без сдвига updated_at (счётчики пока считаются по is_active — не меняются)
+ALTER TABLE products DISABLE TRIGGER trg_products_updated_at;
+UPDATE products SET is_live = is_active WHERE is_live <> is_active;
+ALTER TABLE products ENABLE TRIGGER trg_products_updated_at;
+ALTER TABLE categories DISABLE TRIGGER trg_categories_updated_at;
+UPDATE categories SET is_live = is_active WHERE is_live <> is_active;
+ALTER TABLE categories ENABLE TRIGGER trg_categories_updated_at;
+
+-- окна публикации: воркер выбирает только записи с расписанием
+CREATE INDEX IF NOT EXISTS idx_products_publication ON products(publish_at, unpublish_at)
+WHERE publish_at IS NOT NULL OR unpublish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_categories_publication ON categories(publish_at, unpublish_at)
+WHERE publish_at IS NOT NULL OR unpublish_at IS NOT NULL;
+
+-- is_live пересчитывается при каждой записи
+CREATE OR REPLACE FUNCTION set_is_live() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.is_live = is_live_at(NEW.is_active, NEW.status, NEW.publish_at, NEW.unpublish_at, NOW());
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_products_is_live ON products;
+CREATE TRIGGER trg_products_is_live
+BEFORE INSERT OR UPDATE ON products
+FOR EACH ROW EXECUTE FUNCTION set_is_live();
+
+DROP TRIGGER IF EXISTS trg_categories_is_live ON categories;
+CREATE TRIGGER trg_categories_is_live
+BEFORE INSERT OR UPDATE ON categories
+FOR EACH ROW EXECUTE FUNCTION set_is_live();
+
+-- Счётчики desc_product_count — по опубликованным товарам (is_live вместо is_active)
+CREATE OR REPLACE FUNCTION recalc_desc_product_counts() RETURNS VOID AS $$
+BEGIN
+  WITH cat_counts AS (
+    SELECT c.id,
+           (
+             SELECT COUNT(*)
+             FROM products p
+             JOIN categories pc ON pc.id = p.category_id
+             WHERE p.is_live = TRUE
+               AND (pc.path = c.path OR pc.path LIKE c.path || '/%')
+           )::int AS cnt
+    FROM categories c
+  )
+  UPDATE categories c
+  SET desc_product_count = cc.cnt,
+      updated_at = NOW()
+  FROM cat_counts cc
+  WHERE c.id = cc.id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- старый товар снимается со счётчиков старой категории, новый — добавляется в новую
+CREATE OR REPLACE FUNCTION trg_products_update_category_counts() RETURNS TRIGGER AS $$
+DECLARE
+  cat_path TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.is_live = NEW.is_live
+     AND OLD.category_id = NEW.category_id THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.is_live THEN
+    SELECT path INTO cat_path FROM categories WHERE id = OLD.category_id;
+    IF cat_path IS NOT NULL THEN
+      PERFORM inc_desc_product_count_by_path(cat_path, -1);
+    END IF;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'INSERT') AND NEW.is_live THEN
+    SELECT path INTO cat_path FROM categories WHERE id = NEW.category_id;
+    IF cat_path IS NOT NULL THEN
+      PERFORM inc_desc_product_count_by_path(cat_path, 1);
+    END IF;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Записи, у которых окно публикации открылось или закрылось с прошлого вызова.
+-- UPDATE проходит через триггеры: счётчики и updated_at (отпечаток фидов) обновляются.
+-- Возвращает число изменённых записей.
+CREATE OR REPLACE FUNCTION refresh_publication() RETURNS INTEGER AS $$
+DECLARE
+  cats INTEGER;
+  prods INTEGER;
+BEGIN
+  UPDATE categories
+  SET is_live = is_live_at(is_active, status, publish_at, unpublish_at, NOW())
+  WHERE (publish_at IS NOT NULL OR unpublish_at IS NOT NULL)
+    AND is_live <> is_live_at(is_active, status, publish_at, unpublish_at, NOW());
+  GET DIAGNOSTICS cats = ROW_COUNT;
+
+  UPDATE products
+  SET is_live = is_live_at(is_active, status, publish_at, unpublish_at, NOW())
+  WHERE (publish_at IS NOT NULL OR unpublish_at IS NOT NULL)
+    AND is_live <> is_live_at(is_active, status, publish_at, unpublish_at, NOW());
+  GET DIAGNOSTICS prods = ROW_COUNT;
+
+  RETURN cats + prods;
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT recalc_desc_product_counts();
@@ -0,0 +1,46 @@
+-- Корзина товаров: удалённый товар скрыт с витрины и из списков админки,
+-- но его можно восстановить. Окончательное удаление — отдельным действием.
+-- purged_at — товар удалён окончательно, но на него ссылаются позиции заказов:
+-- строка остаётся обезличенной (только название для истории заказов).
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS purged_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_products_deleted_at ON products(deleted_at)
+WHERE deleted_at IS NOT NULL;
+
+-- товар в корзине не виден на витрине и не входит в desc_product_count
+CREATE OR REPLACE FUNCTION set_product_is_live() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.is_live = NEW.deleted_at IS NULL
+    AND is_live_at(NEW.is_active, NEW.status, NEW.publish_at, NEW.unpublish_at, NOW());
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_products_is_live ON products;
+CREATE TRIGGER trg_products_is_live
+BEFORE INSERT OR UPDATE ON products
+FOR EACH ROW EXECUTE FUNCTION set_product_is_live();
+
+-- товары в корзине расписание не трогает
+CREATE OR REPLACE FUNCTION refresh_publication() RETURNS INTEGER AS $$
+DECLARE
+  cats INTEGER;
+  prods INTEGER;
+BEGIN
+  UPDATE categories
+  SET is_live = is_live_at(is_active, status, publish_at, unpublish_at, NOW())
+  WHERE (publish_at IS NOT NULL OR unpublish_at IS NOT NULL)
+    AND is_live <> is_live_at(is_active, status, publish_at, unpublish_at, NOW());
+  GET DIAGNOSTICS cats = ROW_COUNT;
+
+  UPDATE products
+  SET is_live = is_live_at(is_active, status, publish_at, unpublish_at, NOW())
+  WHERE (publish_at IS NOT NULL OR unpublish_at IS NOT NULL)
+    AND deleted_at IS NULL
+    AND is_live <> is_live_at(is_active, status, publish_at, unpublish_at, NOW());
+  GET DIAGNOSTICS prods = ROW_COUNT;
+
+  RETURN cats + prods;
+END;
+$$ LANGUAGE plpgsql;
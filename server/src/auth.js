@@ -1,22 +1,159 @@
 import jwt from "jsonwebtoken";
+import crypto from "node:crypto";
+import { q } from "./db.js";
 
-export function signAdminJwt(user) {
-  const payload = { sub: String(user.id), role: user.role };
+export const ROLES = ["admin", "manager", "editor"];
+
+// права ролей: admin — всё, manager — только заказы, editor — только каталог
+const ROLE_PERMISSIONS = {
+  admin: ["catalog", "orders", "users", "tools", "audit"],
+  manager: ["orders"],
+  editor: ["catalog"],
+};
+
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// access-токен короткий, сессию продлевает refresh-токен
+export const accessTtlSeconds = () =>
+  Number(process.env.JWT_TTL_SECONDS || 900);
+export const refreshTtlSeconds = () =>
+  Number(process.env.REFRESH_TTL_SECONDS || 30 * 86400);
+
+export function signAdminJwt(user, sessionId) {
+  const payload = { sub: String(user.id), role: user.role, sid: sessionId };
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: Number(process.env.JWT_TTL_SECONDS || 86400),
+    expiresIn: accessTtlSeconds(),
   });
 }
 
-export function requireAdmin(req, res, next) {
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+const genRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Открывает сессию после логина
+ * @returns {Promise<{sessionId: string, refreshToken: string}>}
+ */
+export async function createSession(
+  userId,
+  { userAgent = null, ip = null } = {}
+) {
+  const refreshToken = genRefreshToken();
+  const { rows } = await q(
+    `INSERT INTO admin_sessions(user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     RETURNING id`,
+    [userId, hashToken(refreshToken), userAgent, ip, refreshTtlSeconds()]
+  );
+  return { sessionId: rows[0].id, refreshToken };
+}
+
+/**
+ * Ротация refresh-токена: старый перестаёт действовать, выдаётся новый.
+ * Повторное предъявление уже использованного токена — признак утечки:
+ * такая сессия закрывается целиком.
+ * @returns {Promise<{user, sessionId, refreshToken} | {error: string}>}
+ */
+export async function rotateSession(refreshToken) {
+  const hash = hashToken(String(refreshToken || ""));
+  const next = genRefreshToken();
+  const { rows } = await q(
+    `UPDATE admin_sessions s
+       SET previous_token_hash = s.refresh_token_hash,
+           refresh_token_hash = $2,
+           last_used_at = NOW()
+     FROM users u
+     WHERE s.refresh_token_hash = $1
+       AND u.id = s.user_id
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.is_active = true
+     RETURNING s.id, u.id AS user_id, u.role`,
+    [hash, hashToken(next)]
+  );
+  if (rows[0]) {
+    return {
+      user: { id: rows[0].user_id, role: rows[0].role },
+      sessionId: rows[0].id,
+      refreshToken: next,
+    };
+  }
+
+  const { rowCount: reused } = await q(
+    `UPDATE admin_sessions SET revoked_at = NOW()
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+    [hash]
+  );
+  if (reused) console.warn("Refresh token reuse detected, session revoked");
+  return { error: "INVALID_REFRESH_TOKEN" };
+}
+
+export async function revokeSession(sessionId) {
+  await q(
+    `UPDATE admin_sessions SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId]
+  );
+}
+
+// закрыть все сессии пользователя (выход везде, деактивация, смена пароля)
+export async function revokeUserSessions(userId) {
+  const { rowCount } = await q(
+    `UPDATE admin_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return rowCount;
+}
+
+/**
+ * Проверяет access-токен и при каждом запросе сверяется с БД:
+ * отключённый пользователь или закрытая сессия теряют доступ сразу,
+ * роль берётся актуальная, а не из токена.
+ */
+export async function requireAdmin(req, res, next) {
   const h = req.headers.authorization || "";
   const token = h.startsWith("Bearer ") ? h.slice(7) : null;
   if (!token) return res.status(401).json({ error: "UNAUTHORIZED" });
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== "admin") throw new Error("forbidden");
-    req.admin = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ error: "UNAUTHORIZED" });
   }
+  if (!decoded.sid) return res.status(401).json({ error: "UNAUTHORIZED" });
+
+  try {
+    const { rows } = await q(
+      `SELECT u.role
+       FROM users u
+       JOIN admin_sessions s ON s.user_id = u.id
+       WHERE u.id = $1 AND s.id = $2
+         AND u.is_active = true
+         AND s.revoked_at IS NULL
+         AND s.expires_at > NOW()`,
+      [Number(decoded.sub), decoded.sid]
+    );
+    if (!rows[0] || !ROLES.includes(rows[0].role))
+      return res.status(401).json({ error: "UNAUTHORIZED" });
+    req.admin = { ...decoded, role: rows[0].role };
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * Проверка права для маршрута (после requireAdmin)
+ * @param {"catalog"|"orders"|"users"|"tools"|"audit"} permission
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!permissionsFor(req.admin?.role).includes(permission))
+      return res.status(403).json({ error: "FORBIDDEN", permission });
+    next();
+  };
 }
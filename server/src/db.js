@@ -10,3 +10,36 @@ export const pool = new Pool({
 });
 
 export const q = (text, params) => pool.query(text, params);
+
+/**
+ * Бросить внутри tx(), чтобы откатить транзакцию без ошибки:
+ * tx() вернёт переданный result.
+ */
+export class Rollback extends Error {
+  constructor(result) {
+    super("ROLLBACK");
+    this.result = result;
+  }
+}
+
+/**
+ * Выполняет fn(client) внутри транзакции на отдельном клиенте из пула.
+ * Если fn бросает ошибку — ROLLBACK и ошибка пробрасывается дальше
+ * (кроме Rollback — тогда возвращается его result).
+ * @param {(client: import("pg").PoolClient) => Promise<any>} fn
+ */
+export async function tx(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (e instanceof Rollback) return e.result;
+    throw e;
+  } finally {
+    client.release();
+  }
+}
@@ -7,8 +7,12 @@ import adminRoutes from "./routes/admin.js";
 import publicRoutes from "./routes/public.js";
 import { q } from "./db.js";
 import bcrypt from "bcryptjs";
+import { startOutboxWorker } from "./utils/outbox.js";
+import { startPublicationWorker } from "./utils/publication.js";
 
 const app = express();
+// за nginx: req.ip берётся из X-Forwarded-For (TRUST_PROXY — число прокси перед API)
+app.set("trust proxy", trustProxy(process.env.TRUST_PROXY ?? "1"));
 app.use(cors());
 app.use(bodyParser.json({ limit: "2mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
@@ -24,6 +28,8 @@ q("SELECT 1").then(async () => {
   console.log("DB connected");
   await waitForUsersTable();
   await ensureAdminFromEnv();
+  startOutboxWorker();
+  startPublicationWorker();
 }).catch((e) => {
   console.error("DB connect error", e);
   process.exit(1);
@@ -65,5 +71,11 @@ async function waitForUsersTable() {
   console.warn("users table not found within timeout; skipping admin ensure for now");
 }
 
+function trustProxy(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 const port = process.env.PORT || 8000;
 app.listen(port, () => console.log(`API listening on :${port}`));
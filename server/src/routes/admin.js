@@ -1,13 +1,96 @@
 import { Router } from "express";
 import bcrypt from "bcryptjs";
+import crypto from "node:crypto";
 import fs from "node:fs";
-import { q } from "../db.js";
-import { signAdminJwt, requireAdmin } from "../auth.js";
+import { pool, q, tx, Rollback } from "../db.js";
+import {
+  ROLES,
+  permissionsFor,
+  signAdminJwt,
+  accessTtlSeconds,
+  refreshTtlSeconds,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  requireAdmin,
+  requirePermission,
+} from "../auth.js";
+import {
+  ORDER_STATUSES,
+  isOrderStatus,
+  allowedTransitions,
+  canTransition,
+  SHIPPABLE_STATUSES,
+} from "../utils/orderStatus.js";
+import {
+  orderItemsCoverage,
+  resolveShipmentItems,
+  saveShipmentItems,
+  syncShipmentStatus,
+  loadShipments,
+} from "../utils/shipments.js";
+import { sendShipmentNotification } from "../utils/email.js";
+import {
+  assignInvoiceNumber,
+  loadOrderDocument,
+  formatInvoiceNumber,
+  invoicePdf,
+  packingSlipPdf,
+} from "../utils/documents.js";
+import { releaseStock } from "../utils/stock.js";
+import { audit, diffRecords } from "../utils/audit.js";
+import { OUTBOX_STATUSES, kickOutbox } from "../utils/outbox.js";
+import { notify } from "../utils/notify.js";
+import { validatePromo, normalizePromoCode } from "../utils/promo.js";
+import { DELIVERY_TYPES, validateDeliveryMethod } from "../utils/delivery.js";
+import {
+  CATEGORY_DELETE_MODES,
+  lockCategoryTree,
+  syncCategoryPaths,
+  flattenCategoryTree,
+  categoryDeletePlan,
+  applyCategoryDelete,
+} from "../utils/categories.js";
+import {
+  PUBLICATION_STATUSES,
+  validatePublication,
+  refreshPublication,
+} from "../utils/publication.js";
+import {
+  loginByIp,
+  loginByAccount,
+  checkLimits,
+  rejectThrottled,
+} from "../utils/rateLimit.js";
+import {
+  ATTRIBUTE_TYPES,
+  attributeValueSql,
+  normalizeAttributeValue,
+} from "../utils/attributes.js";
 import {
   uploadToProduct,
   uploadToMediaLibrary,
+  uploadToMemory,
   upload,
 } from "../utils/multer.js";
+import {
+  createRenditions,
+  removeImageFiles,
+  removeProductFiles,
+  thumbnailSql,
+} from "../utils/images.js";
+import {
+  recordRevision,
+  restorableSnapshot,
+  restoreAttributeValues,
+} from "../utils/revisions.js";
+import {
+  PRODUCT_COLUMNS,
+  detectFormat,
+  readSpreadsheet,
+  writeSpreadsheet,
+} from "../utils/spreadsheet.js";
 
 const r = Router();
 
@@ -17,31 +100,127 @@ const r = Router();
  * curl -X POST http://localhost:8000/admin/auth/login \
  *   -H "Content-Type: application/json" \
  *   -d '{"email":"admin@example.com","password":"secret"}'
- * Ответ: { access_token, expires_in }
+ * Ответ: { access_token, expires_in, refresh_token, refresh_expires_in, role, permissions }
  */
 r.post("/auth/login", async (req, res) => {
   const { email, password } = req.body || {};
   if (!email || !password)
     return res.status(400).json({ error: "EMAIL_PASSWORD_REQUIRED" });
+
+  // перебор паролей: блокировка по IP и по аккаунту, считаем только неудачи;
+  // попытка засчитывается сразу (параллельные запросы не проскочат проверку)
+  // и снимается при успешном входе
+  const account = String(email).trim().toLowerCase();
+  const blocked = checkLimits([
+    [loginByIp, req.ip],
+    [loginByAccount, account],
+  ]);
+  if (blocked) return rejectThrottled(req, res, blocked);
+  loginByIp.hit(req.ip);
+  loginByAccount.hit(account);
+  const fail = () => res.status(401).json({ error: "INVALID_CREDENTIALS" });
+
   const { rows } = await q(
-    "SELECT id, email, password_hash, role, is_active FROM users WHERE email=$1",
+    "SELECT id, email, password_hash, role, is_active FROM users WHERE lower(email)=lower($1)",
     [email]
   );
   const user = rows[0];
-  if (!user || !user.is_active)
-    return res.status(401).json({ error: "INVALID_CREDENTIALS" });
+  if (!user || !user.is_active) return fail();
   const ok = await bcrypt.compare(password, user.password_hash);
-  if (!ok) return res.status(401).json({ error: "INVALID_CREDENTIALS" });
-  const token = signAdminJwt(user);
-  return res.json({
-    access_token: token,
-    expires_in: Number(process.env.JWT_TTL_SECONDS || 86400),
+  if (!ok) return fail();
+  loginByIp.unhit(req.ip);
+  loginByAccount.reset(account);
+  await q("UPDATE users SET last_login_at=NOW() WHERE id=$1", [user.id]);
+  const { sessionId, refreshToken } = await createSession(user.id, {
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip,
   });
+  return res.json(tokenResponse(user, sessionId, refreshToken));
+});
+
+function tokenResponse(user, sessionId, refreshToken) {
+  return {
+    access_token: signAdminJwt(user, sessionId),
+    expires_in: accessTtlSeconds(),
+    refresh_token: refreshToken,
+    refresh_expires_in: refreshTtlSeconds(),
+    role: user.role,
+    permissions: permissionsFor(user.role),
+  };
+}
+
+/** POST /admin/auth/refresh — новая пара токенов по refresh_token
+ *  Старый refresh_token после этого недействителен; повторная попытка
+ *  использовать его закрывает сессию.
+ *  curl -X POST http://localhost:8000/admin/auth/refresh \
+ *    -H "Content-Type: application/json" \
+ *    -d '{"refresh_token":"<REFRESH_TOKEN>"}'
+ */
+r.post("/auth/refresh", async (req, res) => {
+  const { refresh_token } = req.body || {};
+  if (!refresh_token)
+    return res.status(400).json({ error: "REFRESH_TOKEN_REQUIRED" });
+  const result = await rotateSession(refresh_token);
+  if (result.error) return res.status(401).json({ error: result.error });
+  res.json(tokenResponse(result.user, result.sessionId, result.refreshToken));
 });
 
 /** ADMIN-ONLY BELOW */
 r.use(requireAdmin);
 
+// права маршрутов: каждый маршрут ниже объявляет, что ему нужно
+const canCatalog = requirePermission("catalog");
+const canOrders = requirePermission("orders");
+const canUsers = requirePermission("users");
+const canTools = requirePermission("tools");
+const canAudit = requirePermission("audit");
+
+// товар из корзины (в том числе очищенный purge) правится только после
+// восстановления — 409 PRODUCT_DELETED; стоит до загрузки файла, чтобы multer
+// не создал заново папку товара
+async function editableProduct(req, res, next) {
+  const id = Number(req.params.id);
+  if (Number.isInteger(id)) {
+    const { rows } = await q("SELECT deleted_at FROM products WHERE id=$1", [
+      id,
+    ]);
+    if (rows[0]?.deleted_at)
+      return res.status(409).json({ error: "PRODUCT_DELETED" });
+  }
+  next();
+}
+const canEditProduct = [canCatalog, editableProduct];
+
+/** GET /admin/auth/me — текущий пользователь и его права
+ *  curl http://localhost:8000/admin/auth/me -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/auth/me", async (req, res) => {
+  const { rows } = await q(
+    "SELECT id, email, name, role, is_active, last_login_at FROM users WHERE id=$1",
+    [Number(req.admin.sub)]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json({ ...rows[0], permissions: permissionsFor(rows[0].role) });
+});
+
+/** POST /admin/auth/logout — закрыть текущую сессию
+ *  curl -X POST http://localhost:8000/admin/auth/logout \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/auth/logout", async (req, res) => {
+  await revokeSession(req.admin.sid);
+  res.json({ ok: true });
+});
+
+/** POST /admin/auth/logout-all — закрыть все сессии текущего пользователя
+ *  curl -X POST http://localhost:8000/admin/auth/logout-all \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/auth/logout-all", async (req, res) => {
+  const revoked = await revokeUserSessions(Number(req.admin.sub));
+  res.json({ ok: true, revoked });
+});
+
 /** POST /admin/uploads (multipart) => { url, filename, mime, size } */
 /**
  * Пример:
@@ -49,10 +228,16 @@ r.use(requireAdmin);
  *   -H "Authorization: Bearer <TOKEN>" \
  *   -F file=@./image.jpg
  */
-r.post("/uploads", upload.single("file"), async (req, res) => {
+r.post("/uploads", canCatalog, upload.single("file"), async (req, res) => {
   const f = req.file;
   if (!f) return res.status(400).json({ error: "FILE_REQUIRED" });
   const url = `/uploads/${f.filename}`;
+  await audit(req, {
+    action: "create",
+    entity: "upload",
+    entityId: url,
+    after: { url, filename: f.originalname, mime: f.mimetype, size: f.size },
+  });
   return res.json({
     url,
     filename: f.originalname,
@@ -67,8 +252,9 @@ r.post("/uploads", upload.single("file"), async (req, res) => {
  * curl -X POST http://localhost:8000/admin/categories \
  *   -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
  *   -d '{"name":"Laptops","slug":"laptops","parent_id":null,"sort_order":10}'
+ *  status: draft | published; publish_at / unpublish_at — окно показа, как у товаров
  */
-r.post("/categories", async (req, res) => {
+r.post("/categories", canCatalog, async (req, res) => {
   const {
     name,
     slug,
@@ -77,9 +263,19 @@ r.post("/categories", async (req, res) => {
     featured_only = false,
     sort_order = 0,
     description = null,
+    status = "published",
+    publish_at = null,
+    unpublish_at = null,
   } = req.body || {};
   if (!name || !slug)
     return res.status(400).json({ error: "NAME_SLUG_REQUIRED" });
+  const publicationError = validatePublication({
+    status,
+    publish_at,
+    unpublish_at,
+  });
+  if (publicationError)
+    return res.status(400).json({ error: publicationError });
   // path: берём path родителя + /slug или root/slug
   let path = `root/${slug}`;
   if (parent_id) {
@@ -90,8 +286,9 @@ r.post("/categories", async (req, res) => {
     path = `${pr[0].path}/${slug}`;
   }
   const { rows } = await q(
-    `INSERT INTO categories(name,slug,parent_id,path,is_active,featured_only,sort_order,description)
-     VALUES($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+    `INSERT INTO categories(name,slug,parent_id,path,is_active,featured_only,sort_order,description,
+                             status,publish_at,unpublish_at)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
     [
       name,
       slug,
@@ -101,12 +298,21 @@ r.post("/categories", async (req, res) => {
       featured_only,
       sort_order,
       description,
+      status,
+      publish_at,
+      unpublish_at,
     ]
   );
+  await audit(req, {
+    action: "create",
+    entity: "category",
+    entityId: rows[0].id,
+    after: rows[0],
+  });
   return res.status(201).json(rows[0]);
 });
 
-r.get("/categories", async (req, res) => {
+r.get("/categories", canCatalog, async (req, res) => {
   /**
    * GET /admin/categories — список всех категорий
    * curl http://localhost:8000/admin/categories -H "Authorization: Bearer <TOKEN>"
@@ -118,6 +324,9 @@ r.get("/categories", async (req, res) => {
 });
 
 /** PRODUCTS CRUD (минимум) */
+// вес в граммах: целое ≥ 0 или null (не указан)
+const isWeight = (v) => v === null || (Number.isInteger(v) && v >= 0);
+
 /**
  * POST /admin/products — создать товар
  * curl -X POST http://localhost:8000/admin/products \
@@ -126,10 +335,15 @@ r.get("/categories", async (req, res) => {
  *     "name":"MacBook Pro 14", "slug":"mbp-14", "price":199000,
  *     "category_id":1,
  *     "content_html":"<p>Описание</p>",
- *     "specs_html":"<ul><li>Спека</li></ul>"
+ *     "specs_html":"<ul><li>Спека</li></ul>",
+ *     "stock_qty":5, "allow_backorder":false, "weight_grams":85000
  *   }'
+ *  stock_qty: null — остаток не ведётся, товар всегда доступен к заказу
+ *  weight_grams — вес для расчёта доставки (null — не указан)
+ *  status: draft | published (по умолчанию published); publish_at / unpublish_at —
+ *  окно показа на витрине (ISO-дата или null — без ограничения)
  */
-r.post("/products", async (req, res) => {
+r.post("/products", canCatalog, async (req, res) => {
   const {
     name,
     slug,
@@ -144,6 +358,12 @@ r.post("/products", async (req, res) => {
     doc_meta = null,
     content_html = null,
     specs_html = null,
+    stock_qty = null,
+    allow_backorder = false,
+    weight_grams = null,
+    status = "published",
+    publish_at = null,
+    unpublish_at = null,
   } = req.body || {};
 
   if (!name || !slug || !Number.isInteger(price) || !category_id) {
@@ -151,31 +371,63 @@ r.post("/products", async (req, res) => {
       .status(400)
       .json({ error: "REQUIRED_FIELDS: name, slug, price(int), category_id" });
   }
+  if (stock_qty !== null && !Number.isInteger(stock_qty))
+    return res.status(400).json({ error: "INVALID_STOCK_QTY" });
+  if (!isWeight(weight_grams))
+    return res.status(400).json({ error: "INVALID_WEIGHT" });
+  const publicationError = validatePublication({
+    status,
+    publish_at,
+    unpublish_at,
+  });
+  if (publicationError)
+    return res.status(400).json({ error: publicationError });
 
   try {
-    const { rows } = await q(
-      `INSERT INTO products(
-         name, slug, sku, price, is_active, is_featured, category_id,
-         primary_image_url, gallery, doc_url, doc_meta, content_html, specs_html
-       ) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
-       RETURNING *`,
-      [
-        name,
-        slug,
-        sku,
-        price,
-        is_active,
-        is_featured,
-        category_id,
-        primary_image_url,
-        JSON.stringify(gallery || []),
-        doc_url,
-        doc_meta,
-        content_html,
-        specs_html,
-      ]
-    );
-    return res.status(201).json(rows[0]);
+    const product = await tx(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO products(
+           name, slug, sku, price, is_active, is_featured, category_id,
+           primary_image_url, gallery, doc_url, doc_meta, content_html, specs_html,
+           stock_qty, allow_backorder, weight_grams, status, publish_at, unpublish_at
+         ) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+         RETURNING *`,
+        [
+          name,
+          slug,
+          sku,
+          price,
+          is_active,
+          is_featured,
+          category_id,
+          primary_image_url,
+          JSON.stringify(gallery || []),
+          doc_url,
+          doc_meta,
+          content_html,
+          specs_html,
+          stock_qty,
+          allow_backorder,
+          weight_grams,
+          status,
+          publish_at,
+          unpublish_at,
+        ]
+      );
+      await audit(
+        req,
+        {
+          action: "create",
+          entity: "product",
+          entityId: rows[0].id,
+          after: rows[0],
+        },
+        client
+      );
+      await recordRevision(client, req, rows[0].id, "create");
+      return rows[0];
+    });
+    return res.status(201).json(product);
   } catch (e) {
     if (e.code === "23505") {
       return res.status(409).json({ error: "DUPLICATE_SLUG_OR_SKU" });
@@ -183,7 +435,7 @@ r.post("/products", async (req, res) => {
     throw e;
   }
 });
-r.post("/categories", async (req, res) => {
+r.post("/categories", canCatalog, async (req, res) => {
   const {
     name,
     slug,
@@ -192,9 +444,19 @@ r.post("/categories", async (req, res) => {
     featured_only = false,
     sort_order = 0,
     description = null,
+    status = "published",
+    publish_at = null,
+    unpublish_at = null,
   } = req.body || {};
   if (!name || !slug)
     return res.status(400).json({ error: "NAME_SLUG_REQUIRED" });
+  const publicationError = validatePublication({
+    status,
+    publish_at,
+    unpublish_at,
+  });
+  if (publicationError)
+    return res.status(400).json({ error: publicationError });
 
   // path
   let path = `root/${slug}`;
@@ -208,8 +470,9 @@ r.post("/categories", async (req, res) => {
 
   try {
     const { rows } = await q(
-      `INSERT INTO categories(name,slug,parent_id,path,is_active,featured_only,sort_order,description)
-       VALUES($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+      `INSERT INTO categories(name,slug,parent_id,path,is_active,featured_only,sort_order,description,
+                               status,publish_at,unpublish_at)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
       [
         name,
         slug,
@@ -219,8 +482,17 @@ r.post("/categories", async (req, res) => {
         featured_only,
         sort_order,
         description,
+        status,
+        publish_at,
+        unpublish_at,
       ]
     );
+    await audit(req, {
+      action: "create",
+      entity: "category",
+      entityId: rows[0].id,
+      after: rows[0],
+    });
     return res.status(201).json(rows[0]);
   } catch (e) {
     if (e.code === "23505") {
@@ -231,31 +503,533 @@ r.post("/categories", async (req, res) => {
   }
 });
 
-r.get("/products", async (req, res) => {
+r.get("/products", canCatalog, async (req, res) => {
   /**
    * GET /admin/products — список с фильтрами
    * curl "http://localhost:8000/admin/products?q=mac&is_active=true&category_id=1" \
    *   -H "Authorization: Bearer <TOKEN>"
+   * status=draft|published, is_live=true|false — виден ли товар на витрине сейчас
    */
-  const { q: qq, category_id, is_active } = req.query;
   const params = [];
   let sql =
-    "SELECT id, name, slug, sku, price, is_active, is_featured, category_id, primary_image_url, doc_url, created_at, updated_at FROM products WHERE 1=1";
+    "SELECT id, name, slug, sku, price, is_active, is_featured, status, publish_at, unpublish_at, is_live, category_id, primary_image_url, doc_url, stock_qty, allow_backorder, weight_grams, created_at, updated_at FROM products WHERE 1=1";
+  sql += adminProductFilters(req.query, params);
+  sql += " ORDER BY id ASC LIMIT 200";
+  const { rows } = await q(sql, params);
+  res.json(rows);
+});
+
+// фильтры списка товаров (q, category_id, is_active, status, is_live) — общие для списка и экспорта;
+// товары из корзины в список не попадают
+function adminProductFilters(query, params, alias = "") {
+  const { q: qq, category_id, is_active, status, is_live } = query;
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  let sql = ` AND ${col("deleted_at")} IS NULL`;
   if (qq) {
     params.push(`%${qq}%`);
-    sql += ` AND name ILIKE $${params.length}`;
+    sql += ` AND ${col("name")} ILIKE $${params.length}`;
   }
   if (category_id) {
     params.push(Number(category_id));
-    sql += ` AND category_id = $${params.length}`;
+    sql += ` AND ${col("category_id")} = $${params.length}`;
   }
   if (is_active !== undefined) {
     params.push(is_active === "true");
-    sql += ` AND is_active = $${params.length}`;
+    sql += ` AND ${col("is_active")} = $${params.length}`;
   }
-  sql += " ORDER BY id ASC LIMIT 200";
-  const { rows } = await q(sql, params);
-  res.json(rows);
+  if (PUBLICATION_STATUSES.includes(status)) {
+    params.push(status);
+    sql += ` AND ${col("status")} = $${params.length}`;
+  }
+  if (is_live !== undefined) {
+    params.push(is_live === "true");
+    sql += ` AND ${col("is_live")} = $${params.length}`;
+  }
+  return sql;
+}
+
+/** ---------- ИМПОРТ / ЭКСПОРТ ТОВАРОВ (CSV / XLSX) ---------- */
+/** Колонки: sku, slug, name, price, category, is_active, is_featured,
+ *  stock_qty, allow_backorder, weight_grams, primary_image_url, content_html, specs_html
+ *  category — slug категории или путь (lasers/co2, можно с префиксом root/)
+ */
+
+const IMPORT_MAX_ROWS = 5000;
+
+// категория из ячейки: путь (есть "/") или slug
+function resolveImportCategory(value, cats) {
+  if (value.includes("/")) {
+    const trimmed = value.replace(/^\/+|\/+$/g, "");
+    const path = trimmed.startsWith("root/") ? trimmed : `root/${trimmed}`;
+    return cats.byPath.get(path) || null;
+  }
+  return cats.bySlug.get(value) || null;
+}
+
+function parseImportBool(value, field, errors) {
+  if (value === undefined || value === "") return undefined;
+  const v = String(value).toLowerCase();
+  if (["true", "1", "yes", "да"].includes(v)) return true;
+  if (["false", "0", "no", "нет"].includes(v)) return false;
+  errors.push(`INVALID_BOOLEAN:${field}`);
+  return undefined;
+}
+
+function parseImportInt(value, field, errors, { nullable = false } = {}) {
+  if (value === undefined || value === "") return undefined;
+  if (nullable && String(value).toLowerCase() === "null") return null;
+  const n = Number(String(value).replace(/\s/g, ""));
+  if (!Number.isInteger(n)) {
+    errors.push(`INVALID_INTEGER:${field}`);
+    return undefined;
+  }
+  return n;
+}
+
+/**
+ * Строка таблицы → поля товара. Пустая ячейка = «не менять» (для обновления).
+ * @returns {{ fields: Object, errors: string[] }}
+ */
+function parseImportRow(raw, cats) {
+  const errors = [];
+  const str = (v) => (v === undefined || v === "" ? undefined : String(v));
+  const fields = {
+    sku: str(raw.sku),
+    slug: str(raw.slug),
+    name: str(raw.name),
+    price: parseImportInt(raw.price, "price", errors),
+    is_active: parseImportBool(raw.is_active, "is_active", errors),
+    is_featured: parseImportBool(raw.is_featured, "is_featured", errors),
+    stock_qty: parseImportInt(raw.stock_qty, "stock_qty", errors, {
+      nullable: true,
+    }),
+    allow_backorder: parseImportBool(
+      raw.allow_backorder,
+      "allow_backorder",
+      errors
+    ),
+    weight_grams: parseImportInt(raw.weight_grams, "weight_grams", errors, {
+      nullable: true,
+    }),
+    primary_image_url: str(raw.primary_image_url),
+    content_html: str(raw.content_html),
+    specs_html: str(raw.specs_html),
+  };
+  if (fields.price !== undefined && fields.price < 0)
+    errors.push("INVALID_INTEGER:price");
+  if (fields.weight_grams && fields.weight_grams < 0)
+    errors.push("INVALID_INTEGER:weight_grams");
+  if (raw.category) {
+    const cat = resolveImportCategory(String(raw.category), cats);
+    if (cat) fields.category_id = cat.id;
+    else errors.push("CATEGORY_NOT_FOUND");
+  }
+  for (const k of Object.keys(fields)) {
+    if (fields[k] === undefined) delete fields[k];
+  }
+  return { fields, errors };
+}
+
+/** POST /admin/products/import — загрузить товары из CSV/XLSX
+ *  multipart/form-data: file; ?dry_run=true — только проверка, без записи
+ *  Существующий товар ищется по sku, затем по slug — он обновляется
+ *  (пустые ячейки не меняют поле), иначе создаётся новый
+ *  (обязательны slug, name, price, category).
+ *  Если хоть одна строка с ошибкой — ничего не записывается (422 + отчёт).
+ *  Ответ: { dry_run, total, created, updated, failed, rows: [{ row, action, id, sku, slug, errors }] }
+ *  curl -X POST "http://localhost:8000/admin/products/import?dry_run=true" \
+ *    -H "Authorization: Bearer <TOKEN>" \
+ *    -F file=@./products.xlsx
+ */
+r.post(
+  "/products/import",
+  canCatalog,
+  uploadToMemory().single("file"),
+  async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "FILE_REQUIRED" });
+    const format = detectFormat(req.file.originalname, req.file.mimetype);
+    if (!format)
+      return res
+        .status(400)
+        .json({ error: "UNSUPPORTED_FORMAT", allowed: ["csv", "xlsx"] });
+    const dryRun = req.query.dry_run === "true" || req.body?.dry_run === "true";
+
+    let rawRows;
+    try {
+      rawRows = await readSpreadsheet(req.file.buffer, format);
+    } catch (e) {
+      return res
+        .status(400)
+        .json({ error: "INVALID_FILE", message: e.message });
+    }
+    if (!rawRows.length) return res.status(400).json({ error: "EMPTY_FILE" });
+    if (rawRows.length > IMPORT_MAX_ROWS)
+      return res
+        .status(400)
+        .json({ error: "TOO_MANY_ROWS", max: IMPORT_MAX_ROWS });
+
+    const { rows: catRows } = await q("SELECT id, slug, path FROM categories");
+    const cats = {
+      bySlug: new Map(catRows.map((c) => [c.slug, c])),
+      byPath: new Map(catRows.map((c) => [c.path, c])),
+    };
+
+    const parsed = rawRows.map((raw) => parseImportRow(raw, cats));
+
+    // существующие товары по sku/slug из файла
+    const skus = parsed.map((p) => p.fields.sku).filter(Boolean);
+    const slugs = parsed.map((p) => p.fields.slug).filter(Boolean);
+    const { rows: existing } = await q(
+      "SELECT id, sku, slug, deleted_at FROM products WHERE sku = ANY($1::text[]) OR slug = ANY($2::text[])",
+      [skus, slugs]
+    );
+    const bySku = new Map(existing.filter((p) => p.sku).map((p) => [p.sku, p]));
+    const bySlug = new Map(existing.map((p) => [p.slug, p]));
+
+    const seenSku = new Set();
+    const seenSlug = new Set();
+    const report = parsed.map(({ fields, errors }, i) => {
+      const item = {
+        row: i + 2, // 1 — строка заголовков
+        action: null,
+        id: null,
+        sku: fields.sku ?? null,
+        slug: fields.slug ?? null,
+        errors,
+        fields,
+      };
+      if (!fields.sku && !fields.slug) errors.push("SKU_OR_SLUG_REQUIRED");
+
+      if (fields.sku) {
+        if (seenSku.has(fields.sku)) errors.push("DUPLICATE_SKU_IN_FILE");
+        seenSku.add(fields.sku);
+      }
+      if (fields.slug) {
+        if (seenSlug.has(fields.slug)) errors.push("DUPLICATE_SLUG_IN_FILE");
+        seenSlug.add(fields.slug);
+      }
+
+      const match =
+        (fields.sku && bySku.get(fields.sku)) ||
+        (fields.slug && bySlug.get(fields.slug)) ||
+        null;
+      if (match) {
+        item.action = "update";
+        item.id = match.id;
+        if (match.deleted_at) errors.push("PRODUCT_IN_TRASH");
+        const slugOwner = fields.slug && bySlug.get(fields.slug);
+        if (slugOwner && slugOwner.id !== match.id) errors.push("SLUG_TAKEN");
+      } else {
+        item.action = "create";
+        for (const f of ["slug", "name", "price", "category_id"]) {
+          if (fields[f] === undefined)
+            errors.push(`REQUIRED:${f === "category_id" ? "category" : f}`);
+        }
+      }
+      return item;
+    });
+
+    const count = (fn) => report.filter(fn).length;
+    const summary = () => ({
+      dry_run: dryRun,
+      total: report.length,
+      created: count((it) => it.action === "create" && !it.errors.length),
+      updated: count((it) => it.action === "update" && !it.errors.length),
+      failed: count((it) => it.errors.length),
+      rows: report.map(({ fields, ...it }) => it),
+    });
+
+    const hasErrors = report.some((it) => it.errors.length);
+    if (dryRun) return res.json(summary());
+    if (hasErrors) return res.status(422).json(summary());
+
+    // запись — одной транзакцией
+    const failedRow = await tx(async (client) => {
+      for (const item of report) {
+        const { fields } = item;
+        const cols = Object.keys(fields);
+        const vals = cols.map((c) => fields[c]);
+        try {
+          if (item.action === "create") {
+            const { rows } = await client.query(
+              `INSERT INTO products(${cols.join(", ")})
+               VALUES(${cols.map((_, i) => `$${i + 1}`).join(", ")})
+               RETURNING id`,
+              vals
+            );
+            item.id = rows[0].id;
+            await audit(
+              req,
+              {
+                action: "create",
+                entity: "product",
+                entityId: item.id,
+                after: fields,
+                meta: { source: "import", row: item.row },
+              },
+              client
+            );
+            await recordRevision(client, req, item.id, "create", {
+              source: "import",
+              row: item.row,
+            });
+          } else if (cols.length) {
+            const { rows: before } = await client.query(
+              `SELECT ${cols.join(", ")} FROM products WHERE id=$1`,
+              [item.id]
+            );
+            vals.push(item.id);
+            await client.query(
+              `UPDATE products
+                 SET ${cols.map((c, i) => `${c}=$${i + 1}`).join(", ")}, updated_at=NOW()
+               WHERE id=$${vals.length}`,
+              vals
+            );
+            await audit(
+              req,
+              {
+                action: "update",
+                entity: "product",
+                entityId: item.id,
+                before: before[0],
+                after: fields,
+                meta: { source: "import", row: item.row },
+              },
+              client
+            );
+            await recordRevision(client, req, item.id, "update", {
+              source: "import",
+              row: item.row,
+            });
+          }
+        } catch (e) {
+          if (e.code !== "23505") throw e;
+          item.errors.push("DUPLICATE_SLUG_OR_SKU");
+          throw new Rollback(item);
+        }
+      }
+      return null;
+    });
+
+    if (failedRow) return res.status(422).json(summary());
+    res.json(summary());
+  }
+);
+
+/** GET /admin/products/export — выгрузка товаров в том же формате, что и импорт
+ *  Параметры: format=csv|xlsx (по умолчанию xlsx) + фильтры списка (q, category_id, is_active)
+ *  curl -o products.xlsx "http://localhost:8000/admin/products/export?format=xlsx&is_active=true" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/export", canCatalog, async (req, res) => {
+  const format = (req.query.format || "xlsx").toLowerCase();
+  if (!["csv", "xlsx"].includes(format))
+    return res
+      .status(400)
+      .json({ error: "UNSUPPORTED_FORMAT", allowed: ["csv", "xlsx"] });
+
+  const params = [];
+  const { rows } = await q(
+    `SELECT p.sku, p.slug, p.name, p.price,
+            regexp_replace(c.path, '^root/', '') AS category,
+            p.is_active, p.is_featured, p.stock_qty, p.allow_backorder, p.weight_grams,
+            p.primary_image_url, p.content_html, p.specs_html
+     FROM products p
+     JOIN categories c ON c.id = p.category_id
+     WHERE 1=1 ${adminProductFilters(req.query, params, "p")}
+     ORDER BY p.id ASC`,
+    params
+  );
+
+  // null в stock_qty — «остаток не ведётся», при импорте это явное значение null
+  for (const row of rows) {
+    if (row.stock_qty === null) row.stock_qty = "null";
+  }
+
+  const file = await writeSpreadsheet(rows, PRODUCT_COLUMNS, format);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader(
+    "Content-Type",
+    format === "csv"
+      ? "text/csv; charset=utf-8"
+      : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="products-${stamp}.${format}"`
+  );
+  res.send(file);
+});
+
+/** ---------- КОРЗИНА ТОВАРОВ ---------- */
+/** DELETE /admin/products/:id кладёт товар в корзину (deleted_at). Из корзины
+ *  товар можно вернуть или удалить окончательно вместе с файлами
+ *  /app/uploads/products/:id. Товар из заказов окончательно удаляется только
+ *  с ?anonymize=true: строка остаётся с названием для истории заказов,
+ *  всё остальное (slug, sku, описание, фото, документ, ревизии) стирается.
+ */
+
+/** GET /admin/products/trash — товары в корзине (недавно удалённые сверху)
+ *  Параметры: q (по названию), page, limit.
+ *  order_items_count — в скольких позициях заказов встречается товар.
+ *  curl "http://localhost:8000/admin/products/trash?page=1" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/trash", canCatalog, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+  const limit = Math.min(
+    200,
+    Math.max(1, parseInt(req.query.limit || "50", 10) || 50)
+  );
+  const params = [];
+  let where = "WHERE p.deleted_at IS NOT NULL AND p.purged_at IS NULL";
+  if (req.query.q) {
+    params.push(`%${req.query.q}%`);
+    where += ` AND p.name ILIKE $${params.length}`;
+  }
+
+  const { rows: cnt } = await q(
+    `SELECT COUNT(*)::int AS cnt FROM products p ${where}`,
+    params
+  );
+  const { rows: products } = await q(
+    `SELECT p.id, p.name, p.slug, p.sku, p.price, p.category_id,
+            ${thumbnailSql("p")} AS thumbnail_url,
+            p.deleted_at, p.deleted_by, u.email AS deleted_by_email,
+            (SELECT COUNT(*)::int FROM order_items oi WHERE oi.product_id = p.id)
+              AS order_items_count
+     FROM products p
+     LEFT JOIN users u ON u.id = p.deleted_by
+     ${where}
+     ORDER BY p.deleted_at DESC, p.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const total = cnt[0].cnt;
+  res.json({
+    products,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
+
+/** POST /admin/products/:id/restore — вернуть товар из корзины
+ *  curl -X POST http://localhost:8000/admin/products/1/restore \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/products/:id/restore", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows } = await q(
+    `UPDATE products SET deleted_at=NULL, deleted_by=NULL, updated_at=NOW()
+     WHERE id=$1 AND deleted_at IS NOT NULL AND purged_at IS NULL
+     RETURNING *`,
+    [id]
+  );
+  if (!rows[0]) {
+    const { rows: found } = await q(
+      "SELECT id FROM products WHERE id=$1 AND purged_at IS NULL",
+      [id]
+    );
+    return found[0]
+      ? res.status(409).json({ error: "NOT_IN_TRASH" })
+      : res.status(404).json({ error: "NOT_FOUND" });
+  }
+  await audit(req, {
+    action: "restore",
+    entity: "product",
+    entityId: id,
+    after: { deleted_at: null },
+  });
+  res.json(rows[0]);
+});
+
+/** DELETE /admin/products/:id/purge — удалить товар из корзины окончательно
+ *  Товар из заказов → 409 PRODUCT_IN_ORDERS, если не передан anonymize=true.
+ *  Ответ: { ok, id, mode: deleted | anonymized, order_items_count }
+ *  curl -X DELETE "http://localhost:8000/admin/products/1/purge?anonymize=true" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/products/:id/purge", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const anonymize = req.query.anonymize === "true";
+
+  const result = await tx(async (client) => {
+    const { rows } = await client.query(
+      "SELECT * FROM products WHERE id=$1 AND purged_at IS NULL FOR UPDATE",
+      [id]
+    );
+    const product = rows[0];
+    if (!product) return { code: 404, body: { error: "NOT_FOUND" } };
+    if (!product.deleted_at)
+      return { code: 409, body: { error: "NOT_IN_TRASH" } };
+
+    const { rows: used } = await client.query(
+      "SELECT COUNT(*)::int AS cnt FROM order_items WHERE product_id=$1",
+      [id]
+    );
+    const orderItems = used[0].cnt;
+    if (orderItems && !anonymize)
+      return {
+        code: 409,
+        body: { error: "PRODUCT_IN_ORDERS", order_items_count: orderItems },
+      };
+
+    await client.query(
+      `UPDATE promo_codes SET product_ids = array_remove(product_ids, $1)
+       WHERE $1 = ANY(product_ids)`,
+      [id]
+    );
+    let mode = "deleted";
+    if (orderItems) {
+      // позиции заказов ссылаются на товар и его варианты — оставляем
+      // строки с названиями, остальное стираем и освобождаем slug/sku
+      mode = "anonymized";
+      await client.query(
+        "DELETE FROM product_attribute_values WHERE product_id=$1",
+        [id]
+      );
+      await client.query("DELETE FROM product_revisions WHERE product_id=$1", [
+        id,
+      ]);
+      await client.query(
+        `UPDATE product_variants
+           SET sku=NULL, image_id=NULL, is_active=false, updated_at=NOW()
+         WHERE product_id=$1`,
+        [id]
+      );
+      await client.query(
+        `UPDATE products
+           SET slug=$2, sku=NULL, is_active=false, is_featured=false,
+               primary_image_url=NULL, gallery='[]'::jsonb,
+               doc_url=NULL, doc_meta=NULL, has_docs=false,
+               content_html=NULL, specs_html=NULL,
+               purged_at=NOW(), updated_at=NOW()
+         WHERE id=$1`,
+        [id, `purged-${id}`]
+      );
+    } else {
+      await client.query("DELETE FROM products WHERE id=$1", [id]);
+    }
+
+    await audit(
+      req,
+      {
+        action: "purge",
+        entity: "product",
+        entityId: id,
+        before: product,
+        meta: { mode, order_items_count: orderItems },
+      },
+      client
+    );
+    return {
+      code: 200,
+      body: { ok: true, id, mode, order_items_count: orderItems },
+    };
+  });
+
+  if (result.code === 200) removeProductFiles(id);
+  res.status(result.code).json(result.body);
 });
 
 /** ================== ADMIN EXTENSIONS: FULL CRUD ================== */
@@ -264,7 +1038,7 @@ r.get("/products", async (req, res) => {
 /**
  * curl http://localhost:8000/admin/products/1 -H "Authorization: Bearer <TOKEN>"
  */
-r.get("/products/:id", async (req, res) => {
+r.get("/products/:id", canCatalog, async (req, res) => {
   const { rows } = await q("SELECT * FROM products WHERE id=$1", [
     req.params.id,
   ]);
@@ -272,14 +1046,16 @@ r.get("/products/:id", async (req, res) => {
   res.json(rows[0]);
 });
 
-/** PUT /admin/products/:id — полный апдейт (замена полей) */
+/** PUT /admin/products/:id — полный апдейт (замена полей)
+ *  status, publish_at, unpublish_at без значения в теле не меняются. */
 /**
  * curl -X PUT http://localhost:8000/admin/products/1 \
  *   -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
  *   -d '{"name":"MBP 14 2023","slug":"mbp-14-2023","price":210000,"category_id":1}'
  */
-r.put("/products/:id", async (req, res) => {
+r.put("/products/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
+  const body = req.body || {};
   const {
     name,
     slug,
@@ -294,7 +1070,10 @@ r.put("/products/:id", async (req, res) => {
     doc_meta = null,
     content_html = null,
     specs_html = null,
-  } = req.body || {};
+    stock_qty = null,
+    allow_backorder = false,
+    weight_grams = null,
+  } = body;
 
   if (!id || !name || !slug || !Number.isInteger(price) || !category_id) {
     return res.status(400).json({
@@ -302,33 +1081,83 @@ r.put("/products/:id", async (req, res) => {
         "REQUIRED_FIELDS: id,path params; body: name, slug, price(int), category_id",
     });
   }
+  if (stock_qty !== null && !Number.isInteger(stock_qty))
+    return res.status(400).json({ error: "INVALID_STOCK_QTY" });
+  if (!isWeight(weight_grams))
+    return res.status(400).json({ error: "INVALID_WEIGHT" });
 
-  const { rows } = await q(
-    `UPDATE products SET
-       name=$1, slug=$2, sku=$3, price=$4, is_active=$5, is_featured=$6, category_id=$7,
-       primary_image_url=$8, gallery=$9, doc_url=$10, doc_meta=$11, content_html=$12, specs_html=$13,
-       updated_at=NOW()
-     WHERE id=$14
-     RETURNING *`,
-    [
-      name,
-      slug,
-      sku,
-      price,
-      is_active,
-      is_featured,
-      category_id,
-      primary_image_url,
-      JSON.stringify(gallery),
-      doc_url,
-      doc_meta,
-      content_html,
-      specs_html,
-      id,
-    ]
-  );
-  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
-  res.json(rows[0]);
+  // запись, журнал и ревизия — в одной транзакции, чтобы история не расходилась с товаром
+  const result = await tx(async (client) => {
+    const { rows: oldRows } = await client.query(
+      "SELECT * FROM products WHERE id=$1 FOR UPDATE",
+      [id]
+    );
+    if (!oldRows[0]) return { code: 404, body: { error: "NOT_FOUND" } };
+    // товар из корзины правится только после восстановления
+    if (oldRows[0].deleted_at)
+      return { code: 409, body: { error: "PRODUCT_DELETED" } };
+
+    // поля публикации, которых нет в теле (старый клиент), остаются как были —
+    // иначе полный PUT молча публиковал бы черновик
+    const keep = (field) => (field in body ? body[field] : oldRows[0][field]);
+    const status = keep("status");
+    const publish_at = keep("publish_at");
+    const unpublish_at = keep("unpublish_at");
+    const publicationError = validatePublication({
+      status,
+      publish_at,
+      unpublish_at,
+    });
+    if (publicationError)
+      return { code: 400, body: { error: publicationError } };
+
+    const { rows } = await client.query(
+      `UPDATE products SET
+         name=$1, slug=$2, sku=$3, price=$4, is_active=$5, is_featured=$6, category_id=$7,
+         primary_image_url=$8, gallery=$9, doc_url=$10, doc_meta=$11, content_html=$12, specs_html=$13,
+         stock_qty=$14, allow_backorder=$15, weight_grams=$16,
+         status=$17, publish_at=$18, unpublish_at=$19,
+         updated_at=NOW()
+       WHERE id=$20
+       RETURNING *`,
+      [
+        name,
+        slug,
+        sku,
+        price,
+        is_active,
+        is_featured,
+        category_id,
+        primary_image_url,
+        JSON.stringify(gallery),
+        doc_url,
+        doc_meta,
+        content_html,
+        specs_html,
+        stock_qty,
+        allow_backorder,
+        weight_grams,
+        status,
+        publish_at,
+        unpublish_at,
+        id,
+      ]
+    );
+    await audit(
+      req,
+      {
+        action: "update",
+        entity: "product",
+        entityId: id,
+        before: oldRows[0],
+        after: rows[0],
+      },
+      client
+    );
+    await recordRevision(client, req, id, "update");
+    return { code: 200, body: rows[0] };
+  });
+  res.status(result.code).json(result.body);
 });
 
 /** PATCH /admin/products/:id/doc — установить/обновить документ */
@@ -337,9 +1166,13 @@ r.put("/products/:id", async (req, res) => {
  *   -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
  *   -d '{"doc_url":"https://.../manual.pdf","doc_meta":{"size":12345}}'
  */
-r.patch("/products/:id/doc", async (req, res) => {
+r.patch("/products/:id/doc", canEditProduct, async (req, res) => {
   const id = Number(req.params.id);
   const { doc_url = null, doc_meta = null } = req.body || {};
+  const { rows: oldRows } = await q(
+    "SELECT doc_url, doc_meta, has_docs FROM products WHERE id=$1",
+    [id]
+  );
   const { rows } = await q(
     `UPDATE products SET doc_url=$1, doc_meta=$2, has_docs = ($1 IS NOT NULL),
                          updated_at=NOW()
@@ -348,6 +1181,14 @@ r.patch("/products/:id/doc", async (req, res) => {
     [doc_url, doc_meta, id]
   );
   if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "doc.update",
+    entity: "product",
+    entityId: id,
+    before: oldRows[0],
+    after: rows[0],
+  });
+  await recordRevision(pool, req, id, "doc.update");
   res.json(rows[0]);
 });
 
@@ -356,8 +1197,12 @@ r.patch("/products/:id/doc", async (req, res) => {
  * curl -X DELETE http://localhost:8000/admin/products/1/doc \
  *   -H "Authorization: Bearer <TOKEN>"
  */
-r.delete("/products/:id/doc", async (req, res) => {
+r.delete("/products/:id/doc", canEditProduct, async (req, res) => {
   const id = Number(req.params.id);
+  const { rows: oldRows } = await q(
+    "SELECT doc_url, doc_meta, has_docs FROM products WHERE id=$1",
+    [id]
+  );
   const { rows } = await q(
     `UPDATE products SET doc_url=NULL, doc_meta=NULL, has_docs=false, updated_at=NOW()
      WHERE id=$1
@@ -365,89 +1210,353 @@ r.delete("/products/:id/doc", async (req, res) => {
     [id]
   );
   if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "doc.delete",
+    entity: "product",
+    entityId: id,
+    before: oldRows[0],
+    after: rows[0],
+  });
+  await recordRevision(pool, req, id, "doc.delete");
   res.json(rows[0]);
 });
 
 // PATCH /admin/products/:id — частичный апдейт
-r.patch("/products/:id", async (req, res) => {
+r.patch("/products/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
   if (!id) return res.status(400).json({ error: "ID_REQUIRED" });
-
-  // 1) берём старый продукт
-  const { rows: oldRows } = await q(`SELECT * FROM products WHERE id=$1`, [id]);
-  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
-
-  const oldP = oldRows[0];
   const body = req.body || {};
 
-  // 2) подмешиваем новые поля поверх старых
-  const name = body.name ?? oldP.name;
-  const slug = body.slug ?? oldP.slug;
-  const sku = body.sku ?? oldP.sku;
-  const price = body.price ?? oldP.price;
-  const is_active = body.is_active ?? oldP.is_active;
-  const is_featured = body.is_featured ?? oldP.is_featured;
-  const category_id = body.category_id ?? oldP.category_id;
-  const primary_image_url = body.primary_image_url ?? oldP.primary_image_url;
-  const gallery = body.gallery ?? oldP.gallery ?? [];
-  const doc_url = body.doc_url ?? oldP.doc_url;
-  const doc_meta = body.doc_meta ?? oldP.doc_meta;
-  const content_html = body.content_html ?? oldP.content_html;
-  const specs_html = body.specs_html ?? oldP.specs_html;
+  // запись, журнал и ревизия — в одной транзакции
+  const result = await tx(async (client) => {
+    // 1) берём старый продукт
+    const { rows: oldRows } = await client.query(
+      "SELECT * FROM products WHERE id=$1 FOR UPDATE",
+      [id]
+    );
+    if (!oldRows[0]) return { code: 404, body: { error: "NOT_FOUND" } };
+    const oldP = oldRows[0];
+    if (oldP.deleted_at)
+      return { code: 409, body: { error: "PRODUCT_DELETED" } };
+
+    // 2) подмешиваем новые поля поверх старых
+    const name = body.name ?? oldP.name;
+    const slug = body.slug ?? oldP.slug;
+    const sku = body.sku ?? oldP.sku;
+    const price = body.price ?? oldP.price;
+    const is_active = body.is_active ?? oldP.is_active;
+    const is_featured = body.is_featured ?? oldP.is_featured;
+    const category_id = body.category_id ?? oldP.category_id;
+    const primary_image_url = body.primary_image_url ?? oldP.primary_image_url;
+    const gallery = body.gallery ?? oldP.gallery ?? [];
+    const doc_url = body.doc_url ?? oldP.doc_url;
+    const doc_meta = body.doc_meta ?? oldP.doc_meta;
+    const content_html = body.content_html ?? oldP.content_html;
+    const specs_html = body.specs_html ?? oldP.specs_html;
+    // stock_qty можно явно сбросить в null (перестать вести остаток)
+    const stock_qty = "stock_qty" in body ? body.stock_qty : oldP.stock_qty;
+    const allow_backorder = body.allow_backorder ?? oldP.allow_backorder;
+    const weight_grams =
+      "weight_grams" in body ? body.weight_grams : oldP.weight_grams;
+    // расписание можно явно снять, передав null
+    const status = body.status ?? oldP.status;
+    const publish_at = "publish_at" in body ? body.publish_at : oldP.publish_at;
+    const unpublish_at =
+      "unpublish_at" in body ? body.unpublish_at : oldP.unpublish_at;
 
-  if (!name || !slug || !Number.isInteger(price) || !category_id) {
-    return res.status(400).json({
-      error: "REQUIRED_FIELDS: name, slug, price(int), category_id",
+    const invalid = (error) => ({ code: 400, body: { error } });
+    if (!name || !slug || !Number.isInteger(price) || !category_id)
+      return invalid("REQUIRED_FIELDS: name, slug, price(int), category_id");
+    if (stock_qty !== null && !Number.isInteger(stock_qty))
+      return invalid("INVALID_STOCK_QTY");
+    if (!isWeight(weight_grams)) return invalid("INVALID_WEIGHT");
+    const publicationError = validatePublication({
+      status,
+      publish_at,
+      unpublish_at,
     });
-  }
+    if (publicationError) return invalid(publicationError);
 
-  // 3) апдейтим
-  const { rows } = await q(
-    `UPDATE products SET
-       name=$1, slug=$2, sku=$3, price=$4, is_active=$5, is_featured=$6, category_id=$7,
-       primary_image_url=$8, gallery=$9, doc_url=$10, doc_meta=$11, content_html=$12, specs_html=$13,
-       updated_at=NOW()
-     WHERE id=$14
-     RETURNING *`,
-    [
-      name,
-      slug,
-      sku,
-      price,
-      is_active,
-      is_featured,
-      category_id,
-      primary_image_url,
-      JSON.stringify(gallery),
-      doc_url,
-      doc_meta,
-      content_html,
-      specs_html,
-      id,
-    ]
-  );
+    // 3) апдейтим
+    const { rows } = await client.query(
+      `UPDATE products SET
+         name=$1, slug=$2, sku=$3, price=$4, is_active=$5, is_featured=$6, category_id=$7,
+         primary_image_url=$8, gallery=$9, doc_url=$10, doc_meta=$11, content_html=$12, specs_html=$13,
+         stock_qty=$14, allow_backorder=$15, weight_grams=$16,
+         status=$17, publish_at=$18, unpublish_at=$19,
+         updated_at=NOW()
+       WHERE id=$20
+       RETURNING *`,
+      [
+        name,
+        slug,
+        sku,
+        price,
+        is_active,
+        is_featured,
+        category_id,
+        primary_image_url,
+        JSON.stringify(gallery),
+        doc_url,
+        doc_meta,
+        content_html,
+        specs_html,
+        stock_qty,
+        allow_backorder,
+        weight_grams,
+        status,
+        publish_at,
+        unpublish_at,
+        id,
+      ]
+    );
+    await audit(
+      req,
+      {
+        action: "update",
+        entity: "product",
+        entityId: id,
+        before: oldP,
+        after: rows[0],
+      },
+      client
+    );
+    await recordRevision(client, req, id, "update");
+    return { code: 200, body: rows[0] };
+  });
 
-  res.json(rows[0]);
+  res.status(result.code).json(result.body);
 });
 
-/** SOFT DELETE /admin/products/:id — деактивировать товар */
+/** DELETE /admin/products/:id — переместить товар в корзину
+ *  Товар пропадает с витрины и из списка товаров, но остаётся в БД —
+ *  его можно восстановить или удалить окончательно (см. «Корзина» выше).
+ *  Просто скрыть товар — PATCH с is_active: false.
+ */
 /**
  * curl -X DELETE http://localhost:8000/admin/products/1 \
  *   -H "Authorization: Bearer <TOKEN>"
  */
-r.delete("/products/:id", async (req, res) => {
+r.delete("/products/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
   const { rows } = await q(
-    `UPDATE products SET is_active=false, updated_at=NOW() WHERE id=$1 RETURNING id, is_active`,
-    [id]
+    `UPDATE products SET deleted_at=NOW(), deleted_by=$2, updated_at=NOW()
+     WHERE id=$1 AND deleted_at IS NULL
+     RETURNING id, deleted_at`,
+    [id, Number(req.admin?.sub) || null]
   );
-  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  if (!rows[0]) {
+    const { rows: found } = await q("SELECT id FROM products WHERE id=$1", [
+      id,
+    ]);
+    return found[0]
+      ? res.status(409).json({ error: "ALREADY_IN_TRASH" })
+      : res.status(404).json({ error: "NOT_FOUND" });
+  }
+  await audit(req, {
+    action: "trash",
+    entity: "product",
+    entityId: id,
+    before: { deleted_at: null },
+    after: { deleted_at: rows[0].deleted_at },
+  });
   res.json(rows[0]);
 });
 
+/** ---------- PRODUCT REVISIONS ---------- */
+/** Каждое сохранение товара пишет ревизию — снимок полей, галереи, документа
+ *  и характеристик (см. utils/revisions.js). Остаток (stock_qty) в ревизии не входит.
+ */
+
+// ревизия товара по номеру из URL
+async function findRevision(db, productId, rev) {
+  if (!Number.isInteger(rev) || rev < 1) return null;
+  const { rows } = await db.query(
+    `SELECT pr.revision, pr.action, pr.snapshot, pr.meta, pr.created_at,
+            pr.created_by, u.email AS created_by_email
+     FROM product_revisions pr
+     LEFT JOIN users u ON u.id = pr.created_by
+     WHERE pr.product_id=$1 AND pr.revision=$2`,
+    [productId, rev]
+  );
+  return rows[0] || null;
+}
+
+/** GET /admin/products/:id/revisions — история сохранений (новые сверху)
+ *  Параметры: page, limit. changed_fields — поля, изменённые относительно предыдущей ревизии.
+ *  curl "http://localhost:8000/admin/products/1/revisions?page=1&limit=20" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/:id/revisions", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+  const limit = Math.min(
+    100,
+    Math.max(1, parseInt(req.query.limit || "20", 10) || 20)
+  );
+
+  const { rows: prod } = await q("SELECT id FROM products WHERE id=$1", [id]);
+  if (!prod[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+
+  const { rows: cnt } = await q(
+    "SELECT COUNT(*)::int AS cnt FROM product_revisions WHERE product_id=$1",
+    [id]
+  );
+  // +1 строка — предыдущая ревизия для последней на странице
+  const { rows } = await q(
+    `SELECT pr.revision, pr.action, pr.snapshot, pr.meta, pr.created_at,
+            pr.created_by, u.email AS created_by_email
+     FROM product_revisions pr
+     LEFT JOIN users u ON u.id = pr.created_by
+     WHERE pr.product_id=$1
+     ORDER BY pr.revision DESC
+     LIMIT $2 OFFSET $3`,
+    [id, limit + 1, (page - 1) * limit]
+  );
+
+  const revisions = rows.slice(0, limit).map(({ snapshot, ...rev }, i) => ({
+    ...rev,
+    changed_fields: Object.keys(
+      diffRecords(rows[i + 1]?.snapshot ?? null, snapshot)
+    ),
+  }));
+  const total = cnt[0].cnt;
+  res.json({
+    revisions,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
+
+/** GET /admin/products/:id/revisions/diff — дифф двух ревизий по полям
+ *  Параметры: from, to — номера ревизий (по умолчанию to — последняя, from — предыдущая)
+ *  Ответ: { from, to, changes: { field: { from, to } } }
+ *  curl "http://localhost:8000/admin/products/1/revisions/diff?from=3&to=5" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/:id/revisions/diff", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  let to = req.query.to === undefined ? null : Number(req.query.to);
+  if (to === null) {
+    const { rows } = await q(
+      "SELECT MAX(revision) AS rev FROM product_revisions WHERE product_id=$1",
+      [id]
+    );
+    to = rows[0].rev;
+    if (!to) return res.status(404).json({ error: "REVISION_NOT_FOUND" });
+  }
+  const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+
+  const [a, b] = await Promise.all([
+    findRevision(pool, id, from),
+    findRevision(pool, id, to),
+  ]);
+  if (!a || !b)
+    return res
+      .status(404)
+      .json({ error: "REVISION_NOT_FOUND", revision: a ? to : from });
+
+  res.json({
+    from: a.revision,
+    to: b.revision,
+    changes: diffRecords(a.snapshot, b.snapshot),
+  });
+});
+
+/** GET /admin/products/:id/revisions/:rev — снимок одной ревизии
+ *  curl http://localhost:8000/admin/products/1/revisions/3 \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/:id/revisions/:rev", canCatalog, async (req, res) => {
+  const rev = await findRevision(
+    pool,
+    Number(req.params.id),
+    Number(req.params.rev)
+  );
+  if (!rev) return res.status(404).json({ error: "REVISION_NOT_FOUND" });
+  res.json(rev);
+});
+
+/** POST /admin/products/:id/revisions/:rev/restore — вернуть товар к ревизии
+ *  Восстановление само становится новой ревизией (action=restore), история не теряется.
+ *  Фото и документ, чьих файлов уже нет на диске, не восстанавливаются → missing;
+ *  характеристики удалённых атрибутов — тоже (missing.attributes — их коды).
+ *  Ответ: { product, revision, restored_from, missing: { images, doc_url, attributes? } }
+ *  curl -X POST http://localhost:8000/admin/products/1/revisions/3/restore \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/products/:id/revisions/:rev/restore", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const revNo = Number(req.params.rev);
+
+  const result = await tx(async (client) => {
+    const { rows: current } = await client.query(
+      "SELECT * FROM products WHERE id=$1 FOR UPDATE",
+      [id]
+    );
+    if (!current[0]) return { code: 404, body: { error: "PRODUCT_NOT_FOUND" } };
+    if (current[0].deleted_at)
+      return { code: 409, body: { error: "PRODUCT_DELETED" } };
+    const rev = await findRevision(client, id, revNo);
+    if (!rev) return { code: 404, body: { error: "REVISION_NOT_FOUND" } };
+
+    const { fields, attributes, missing } = restorableSnapshot(rev.snapshot);
+    fields.has_docs = fields.doc_url !== null;
+    const cols = Object.keys(fields);
+    const vals = cols.map((c) =>
+      c === "gallery" ? JSON.stringify(fields[c] || []) : fields[c]
+    );
+    let rows;
+    try {
+      ({ rows } = await client.query(
+        `UPDATE products
+             SET ${cols.map((c, i) => `${c}=$${i + 1}`).join(", ")},
+                 updated_at=NOW()
+           WHERE id=$${cols.length + 1}
+           RETURNING *`,
+        [...vals, id]
+      ));
+    } catch (e) {
+      if (e.code === "23505")
+        throw new Rollback({
+          code: 409,
+          body: { error: "DUPLICATE_SLUG_OR_SKU" },
+        });
+      if (e.code === "23503")
+        throw new Rollback({
+          code: 409,
+          body: { error: "CATEGORY_NOT_FOUND" },
+        });
+      throw e;
+    }
+    if (attributes)
+      missing.attributes = await restoreAttributeValues(client, id, attributes);
+
+    const meta = { revision: revNo, missing };
+    const revision = await recordRevision(client, req, id, "restore", meta);
+    await audit(
+      req,
+      {
+        action: "revision.restore",
+        entity: "product",
+        entityId: id,
+        before: current[0],
+        after: rows[0],
+        meta,
+      },
+      client
+    );
+    return {
+      code: 200,
+      body: { product: rows[0], revision, restored_from: revNo, missing },
+    };
+  });
+  res.status(result.code).json(result.body);
+});
+
 /** ---------- MEDIA LIBRARY (standalone image metadata) ---------- */
 /** POST /admin/media-library — загрузить фото и создать запись
  *  multipart/form-data: file (обязательно), name (обязательно)
+ *  Автоматически создаются копии thumb/card/full (+ webp) → поле renditions
  *  Пример:
  *  curl -X POST http://localhost:8000/admin/media-library \
  *    -H "Authorization: Bearer <TOKEN>" \
@@ -456,6 +1565,7 @@ r.delete("/products/:id", async (req, res) => {
  */
 r.post(
   "/media-library",
+  canCatalog,
   uploadToMediaLibrary().single("file"),
   async (req, res) => {
     const name = (req.body?.name || "").trim();
@@ -463,31 +1573,38 @@ r.post(
     if (!req.file) return res.status(400).json({ error: "FILE_REQUIRED" });
 
     const url = `/uploads/media-library/${req.file.filename}`;
+    const renditions = await createRenditions(url);
 
     const { rows } = await q(
-      `INSERT INTO media_library(name, url)
-       VALUES($1, $2)
-       RETURNING id, name, url, created_at, updated_at`,
-      [name, url]
+      `INSERT INTO media_library(name, url, renditions)
+       VALUES($1, $2, $3)
+       RETURNING id, name, url, renditions, created_at, updated_at`,
+      [name, url, renditions]
     );
+    await audit(req, {
+      action: "create",
+      entity: "media",
+      entityId: rows[0].id,
+      after: { name, url },
+    });
     res.status(201).json(rows[0]);
   }
 );
 
-r.get("/media-library", async (_req, res) => {
+r.get("/media-library", canCatalog, async (_req, res) => {
   const { rows } = await q(
-    `SELECT id, name, url, created_at, updated_at
+    `SELECT id, name, url, renditions, created_at, updated_at
      FROM media_library
      ORDER BY id ASC`
   );
   res.json(rows);
 });
 
-r.get("/media-library/:id", async (req, res) => {
+r.get("/media-library/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
   if (!id) return res.status(400).json({ error: "ID_REQUIRED" });
   const { rows } = await q(
-    `SELECT id, name, url, created_at, updated_at
+    `SELECT id, name, url, renditions, created_at, updated_at
      FROM media_library
      WHERE id=$1`,
     [id]
@@ -502,20 +1619,31 @@ r.get("/media-library/:id", async (req, res) => {
  *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
  *    -d '{"name":"Новое название"}'
  */
-r.patch("/media-library/:id", async (req, res) => {
+r.patch("/media-library/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
   if (!id) return res.status(400).json({ error: "ID_REQUIRED" });
   const name = (req.body?.name || "").trim();
   if (!name) return res.status(400).json({ error: "NAME_REQUIRED" });
 
+  const { rows: oldRows } = await q(
+    "SELECT name FROM media_library WHERE id=$1",
+    [id]
+  );
   const { rows } = await q(
     `UPDATE media_library
        SET name=$1, updated_at=NOW()
      WHERE id=$2
-     RETURNING id, name, url, created_at, updated_at`,
+     RETURNING id, name, url, renditions, created_at, updated_at`,
     [name, id]
   );
   if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "update",
+    entity: "media",
+    entityId: id,
+    before: oldRows[0],
+    after: { name: rows[0].name },
+  });
   res.json(rows[0]);
 });
 
@@ -524,30 +1652,29 @@ r.patch("/media-library/:id", async (req, res) => {
  *  curl -X DELETE http://localhost:8000/admin/media-library/1 \
  *    -H "Authorization: Bearer <TOKEN>"
  */
-r.delete("/media-library/:id", async (req, res) => {
+r.delete("/media-library/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
   if (!id) return res.status(400).json({ error: "ID_REQUIRED" });
 
   // Получаем URL перед удалением
-  const { rows } = await q(`SELECT url FROM media_library WHERE id=$1`, [id]);
+  const { rows } = await q(
+    `SELECT name, url, renditions FROM media_library WHERE id=$1`,
+    [id]
+  );
   if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
 
-  const url = rows[0].url;
   // Удаляем из БД
   const { rowCount } = await q(`DELETE FROM media_library WHERE id=$1`, [id]);
   if (!rowCount) return res.status(404).json({ error: "NOT_FOUND" });
 
-  // Пытаемся удалить файл (best-effort)
-  if (url && url.startsWith("/uploads/")) {
-    try {
-      const filePath = path.join("/app", url);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-    } catch (e) {
-      console.warn("Failed to delete media file:", url, e);
-    }
-  }
+  // Пытаемся удалить файл и его копии (best-effort)
+  removeImageFiles(rows[0]);
+  await audit(req, {
+    action: "delete",
+    entity: "media",
+    entityId: id,
+    before: { name: rows[0].name, url: rows[0].url },
+  });
 
   res.json({ ok: true });
 });
@@ -558,7 +1685,7 @@ r.delete("/media-library/:id", async (req, res) => {
 /**
  * curl http://localhost:8000/admin/categories/1 -H "Authorization: Bearer <TOKEN>"
  */
-r.get("/categories/:id", async (req, res) => {
+r.get("/categories/:id", canCatalog, async (req, res) => {
   const { rows } = await q("SELECT * FROM categories WHERE id=$1", [
     req.params.id,
   ]);
@@ -566,171 +1693,866 @@ r.get("/categories/:id", async (req, res) => {
   res.json(rows[0]);
 });
 
+// parent_id из тела запроса: null — корень
+const parentIdOf = (body) =>
+  body.parent_id == null ? null : Number(body.parent_id);
+
 /** PUT /admin/categories/:id — полная правка
- *  NB: если меняем slug или parent — переезжает path, и мы обновляем поддерево
+ *  NB: если меняем slug или parent — переезжает path всего поддерева.
+ *  Перенос в саму себя или в своего потомка → 409 CATEGORY_CYCLE.
+ *  parent_id: null — перенести в корень; без поля — родитель не меняется.
  */
 /**
  * curl -X PUT http://localhost:8000/admin/categories/1 \
  *   -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
  *   -d '{"name":"Ноутбуки","slug":"notebooks","parent_id":null,"sort_order":5}'
  */
-r.put("/categories/:id", async (req, res) => {
+r.put("/categories/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
   const body = req.body || {};
 
-  // 1) получаем старую категорию целиком
-  const { rows: oldRows } = await q(
-    "SELECT id, name, slug, parent_id, path, is_active, featured_only, sort_order, description FROM categories WHERE id=$1",
-    [id]
-  );
-  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  const result = await tx(async (client) => {
+    await lockCategoryTree(client);
 
-  const oldCat = oldRows[0];
+    // 1) получаем старую категорию целиком
+    const { rows: oldRows } = await client.query(
+      `SELECT id, name, slug, parent_id, path, is_active, featured_only, sort_order, description,
+              status, publish_at, unpublish_at
+       FROM categories WHERE id=$1 FOR UPDATE`,
+      [id]
+    );
+    if (!oldRows[0]) return { code: 404, body: { error: "NOT_FOUND" } };
 
-  // 2) подставляем старые значения, если не пришли новые
-  const name = body.name ?? oldCat.name;
-  const slug = body.slug ?? oldCat.slug;
-  const parent_id = body.parent_id ?? oldCat.parent_id ?? null;
-  const is_active = body.is_active ?? oldCat.is_active;
-  const featured_only = body.featured_only ?? oldCat.featured_only;
-  const sort_order = body.sort_order ?? oldCat.sort_order;
-  const description = body.description ?? oldCat.description ?? null;
+    const oldCat = oldRows[0];
 
-  if (!name || !slug)
-    return res.status(400).json({ error: "NAME_SLUG_REQUIRED" });
+    // 2) подставляем старые значения, если не пришли новые
+    const name = body.name ?? oldCat.name;
+    const slug = body.slug ?? oldCat.slug;
+    const parent_id = "parent_id" in body ? parentIdOf(body) : oldCat.parent_id;
+    const is_active = body.is_active ?? oldCat.is_active;
+    const featured_only = body.featured_only ?? oldCat.featured_only;
+    const sort_order = body.sort_order ?? oldCat.sort_order;
+    const description = body.description ?? oldCat.description ?? null;
+    // расписание можно явно снять, передав null
+    const status = body.status ?? oldCat.status;
+    const publish_at =
+      "publish_at" in body ? body.publish_at : oldCat.publish_at;
+    const unpublish_at =
+      "unpublish_at" in body ? body.unpublish_at : oldCat.unpublish_at;
 
-  // 3) если slug меняется — проверяем уникальность вручную
-  if (slug !== oldCat.slug) {
-    const { rows: slugRows } = await q(
-      "SELECT id FROM categories WHERE slug=$1 AND id<>$2",
-      [slug, id]
-    );
-    if (slugRows[0])
-      return res.status(409).json({ error: "SLUG_ALREADY_EXISTS" });
-  }
+    const invalid = (error) => ({ code: 400, body: { error } });
+    if (!name || !slug) return invalid("NAME_SLUG_REQUIRED");
+    if (parent_id !== null && !Number.isInteger(parent_id))
+      return invalid("INVALID_PARENT_ID");
+    const publicationError = validatePublication({
+      status,
+      publish_at,
+      unpublish_at,
+    });
+    if (publicationError) return invalid(publicationError);
 
-  // 4) считаем новый path
-  let newPath = `root/${slug}`;
-  const hasParent = parent_id !== null && parent_id !== undefined;
-  if (hasParent) {
-    const { rows: pr } = await q("SELECT path FROM categories WHERE id=$1", [
-      parent_id,
-    ]);
-    if (!pr[0]) return res.status(400).json({ error: "PARENT_NOT_FOUND" });
-    newPath = `${pr[0].path}/${slug}`;
-  }
+    // 3) если slug меняется — проверяем уникальность вручную
+    if (slug !== oldCat.slug) {
+      const { rows: slugRows } = await client.query(
+        "SELECT id FROM categories WHERE slug=$1 AND id<>$2",
+        [slug, id]
+      );
+      if (slugRows[0])
+        return { code: 409, body: { error: "SLUG_ALREADY_EXISTS" } };
+    }
 
-  // 5) апдейт
-  const { rows: upd } = await q(
-    `UPDATE categories
-       SET name=$1, slug=$2, parent_id=$3, path=$4,
-           is_active=$5, featured_only=$6, sort_order=$7,
-           description=$8,
-           updated_at=NOW()
-     WHERE id=$9
-     RETURNING *`,
-    [
-      name,
-      slug,
-      parent_id,
-      newPath,
-      is_active,
-      featured_only,
-      sort_order,
-      description,
-      id,
-    ]
-  );
+    // 4) родитель существует и не лежит в поддереве самой категории
+    if (parent_id !== null && parent_id !== oldCat.parent_id) {
+      if (parent_id === id)
+        return { code: 409, body: { error: "CATEGORY_CYCLE" } };
+      const { rows: pr } = await client.query(
+        "SELECT id FROM categories WHERE id=$1",
+        [parent_id]
+      );
+      if (!pr[0]) return invalid("PARENT_NOT_FOUND");
+    }
 
-  // 6) если изменился path — обновляем поддерево
-  if (oldCat.path !== newPath) {
-    await q(
+    // 5) апдейт; path самой категории и поддерева пересчитываются ниже
+    await client.query(
       `UPDATE categories
-         SET path = regexp_replace(path, '^' || $1, $2), updated_at=NOW()
-       WHERE path = $1 OR path LIKE $1 || '/%'`,
-      [oldCat.path, newPath]
+         SET name=$1, slug=$2, parent_id=$3,
+             is_active=$4, featured_only=$5, sort_order=$6,
+             description=$7, status=$8, publish_at=$9, unpublish_at=$10,
+             updated_at=NOW()
+       WHERE id=$11`,
+      [
+        name,
+        slug,
+        parent_id,
+        is_active,
+        featured_only,
+        sort_order,
+        description,
+        status,
+        publish_at,
+        unpublish_at,
+        id,
+      ]
     );
-  }
 
-  res.json(upd[0]);
+    // 6) path по новому дереву; цикл (перенос в своего потомка) — откат
+    const synced = await syncCategoryPaths(client);
+    if (synced.error) throw new Rollback({ code: 409, body: synced });
+
+    const { rows: upd } = await client.query(
+      "SELECT * FROM categories WHERE id=$1",
+      [id]
+    );
+    await audit(
+      req,
+      {
+        action: "update",
+        entity: "category",
+        entityId: id,
+        before: oldCat,
+        after: upd[0],
+        meta: synced.changed > 1 ? { paths_changed: synced.changed } : null,
+      },
+      client
+    );
+    return { code: 200, body: upd[0] };
+  });
+
+  res.status(result.code).json(result.body);
+});
+
+/** POST /admin/categories/reorder — порядок (и вложенность) целого уровня за один вызов
+ *  Тело: { parent_id?, items: [{ id, sort_order?, children?: [...] }] }
+ *   - sort_order по умолчанию — позиция в списке
+ *   - children переносятся под свой узел; верхний уровень — под parent_id
+ *     (null — в корень; без поля — родитель не меняется, только порядок)
+ *  Можно прислать как всё дерево, так и один уровень. Всё применяется
+ *  одной транзакцией; цикл → 409 CATEGORY_CYCLE, ничего не меняется.
+ *  Ответ: { ok, updated, paths_changed }
+ *  curl -X POST http://localhost:8000/admin/categories/reorder \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"parent_id":1,"items":[{"id":5},{"id":3,"children":[{"id":7},{"id":6}]},{"id":4}]}'
+ */
+r.post("/categories/reorder", canCatalog, async (req, res) => {
+  const body = req.body || {};
+  const parentId = "parent_id" in body ? parentIdOf(body) : undefined;
+  if (
+    parentId !== undefined &&
+    parentId !== null &&
+    !Number.isInteger(parentId)
+  )
+    return res.status(400).json({ error: "INVALID_PARENT_ID" });
+  const flat = flattenCategoryTree(body.items, parentId);
+  if (flat.error) return res.status(400).json(flat.error);
+  const { nodes } = flat;
+
+  const result = await tx(async (client) => {
+    await lockCategoryTree(client);
+
+    const ids = nodes.map((n) => n.id);
+    if (parentId !== undefined && parentId !== null) ids.push(parentId);
+    const { rows: found } = await client.query(
+      "SELECT id FROM categories WHERE id = ANY($1::int[])",
+      [ids]
+    );
+    const existing = new Set(found.map((c) => c.id));
+    const missing = ids.find((cid) => !existing.has(cid));
+    if (missing !== undefined)
+      return {
+        code: 404,
+        body: { error: "CATEGORY_NOT_FOUND", category_id: missing },
+      };
+
+    const { rows: before } = await client.query(
+      "SELECT id, parent_id, sort_order FROM categories WHERE id = ANY($1::int[])",
+      [nodes.map((n) => n.id)]
+    );
+    await client.query(
+      `UPDATE categories c
+         SET sort_order = x.sort_order,
+             parent_id = CASE WHEN x.move THEN x.parent_id ELSE c.parent_id END,
+             updated_at = NOW()
+       FROM jsonb_to_recordset($1::jsonb)
+            AS x(id int, sort_order int, parent_id int, move boolean)
+       WHERE c.id = x.id`,
+      [
+        JSON.stringify(
+          nodes.map((n) => ({
+            id: n.id,
+            sort_order: n.sort_order,
+            parent_id: n.parent_id ?? null,
+            move: "parent_id" in n,
+          }))
+        ),
+      ]
+    );
+
+    const synced = await syncCategoryPaths(client);
+    if (synced.error) throw new Rollback({ code: 409, body: synced });
+
+    await audit(
+      req,
+      {
+        action: "reorder",
+        entity: "category",
+        entityId: parentId ?? null,
+        before: { items: before },
+        after: { items: nodes },
+        meta: { paths_changed: synced.changed },
+      },
+      client
+    );
+    return {
+      code: 200,
+      body: { ok: true, updated: nodes.length, paths_changed: synced.changed },
+    };
+  });
+
+  res.status(result.code).json(result.body);
 });
 
-/** DELETE /admin/categories/:id — удалим только если нет детей и товаров */
+/** DELETE /admin/categories/:id — удалить категорию
+ *  Параметры:
+ *   - без mode — только пустую (иначе 400 HAS_CHILDREN / HAS_PRODUCTS;
+ *     обезличенные товары из корзины тоже считаются — purged_count)
+ *   - mode=reassign&target_id=5 — товары и подкатегории переносятся в target,
+ *     атрибуты категории — тоже; у совпавших по коду с атрибутом target значения
+ *     товаров переносятся на атрибут target (при другом типе — удаляются),
+ *     промокоды на категорию начинают действовать на target
+ *   - mode=deactivate — выключить всё поддерево (категории и товары), ничего не удаляя
+ *   - dry_run=true — только предпросмотр: что будет перенесено / выключено / удалено
+ *  Ответ: { ok?, dry_run, mode, category, target, categories, products, attributes, promo_codes }
+ */
 /**
- * curl -X DELETE http://localhost:8000/admin/categories/1 \
+ * curl -X DELETE "http://localhost:8000/admin/categories/1?mode=reassign&target_id=5&dry_run=true" \
  *   -H "Authorization: Bearer <TOKEN>"
  */
-r.delete("/categories/:id", async (req, res) => {
+r.delete("/categories/:id", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
+  const mode = req.query.mode || null;
+  if (mode && !CATEGORY_DELETE_MODES.includes(mode))
+    return res
+      .status(400)
+      .json({ error: "INVALID_MODE", allowed: CATEGORY_DELETE_MODES });
+  const targetId =
+    req.query.target_id === undefined ? null : Number(req.query.target_id);
+  const dryRun = req.query.dry_run === "true";
 
-  const { rows: ch } = await q(
-    "SELECT 1 FROM categories WHERE parent_id=$1 LIMIT 1",
-    [id]
-  );
-  if (ch[0]) return res.status(400).json({ error: "HAS_CHILDREN" });
+  const result = await tx(async (client) => {
+    await lockCategoryTree(client);
+    const { rows } = await client.query(
+      "SELECT * FROM categories WHERE id=$1 FOR UPDATE",
+      [id]
+    );
+    if (!rows[0]) return { code: 404, body: { error: "NOT_FOUND" } };
 
-  const { rows: pr } = await q(
-    "SELECT 1 FROM products WHERE category_id=$1 LIMIT 1",
-    [id]
-  );
-  if (pr[0]) return res.status(400).json({ error: "HAS_PRODUCTS" });
+    const plan = await categoryDeletePlan(client, rows[0], { mode, targetId });
+    if (plan.error) return plan.error;
+    if (dryRun) return { code: 200, body: { dry_run: true, ...plan } };
 
-  const { rowCount } = await q("DELETE FROM categories WHERE id=$1", [id]);
-  if (!rowCount) return res.status(404).json({ error: "NOT_FOUND" });
-  res.json({ ok: true });
+    await applyCategoryDelete(client, plan);
+    // перенос и выключение товаров — тоже сохранения товара
+    if (mode)
+      for (const p of plan.products)
+        await recordRevision(client, req, p.id, `category.${mode}`, {
+          category_id: id,
+        });
+
+    await audit(
+      req,
+      {
+        action: mode === "deactivate" ? "deactivate" : "delete",
+        entity: "category",
+        entityId: id,
+        before:
+          mode === "deactivate" ? { is_active: rows[0].is_active } : rows[0],
+        after: mode === "deactivate" ? { is_active: false } : null,
+        meta: mode
+          ? {
+              mode,
+              target_id: plan.target?.id ?? null,
+              categories: plan.categories.length,
+              products: plan.products.length,
+              attributes: plan.attributes.length,
+              promo_codes: plan.promo_codes.length,
+            }
+          : null,
+      },
+      client
+    );
+    return { code: 200, body: { ok: true, dry_run: false, ...plan } };
+  });
+
+  res.status(result.code).json(result.body);
 });
 
-/** ------------- IMAGES for PRODUCT ------------- */
+/** ------------- ХАРАКТЕРИСТИКИ (ATTRIBUTES) ------------- */
+/** Атрибут объявляется на категории и наследуется всем её поддеревом.
+ *  Типы: number | string | boolean | enum (для enum — список options).
+ */
 
-// утилита — сгенерить imageId (чтобы не зависеть от URL)
-function genImageId() {
-  return (
-    "img_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+const ATTR_CODE_RE = /^[a-z0-9_]+$/;
+
+// атрибуты, применимые к категории: её собственные и объявленные у предков
+async function applicableAttributes(categoryId) {
+  const { rows } = await q(
+    `SELECT a.*, (a.category_id <> c.id) AS inherited
+     FROM categories c
+     JOIN categories ac ON (c.path = ac.path OR c.path LIKE ac.path || '/%')
+     JOIN attributes a ON a.category_id = ac.id
+     WHERE c.id=$1
+     ORDER BY a.sort_order, a.name`,
+    [categoryId]
   );
+  return rows;
 }
 
-/** GET /admin/products/:id/images — получить список фотографий товара
- *  Пример:
- *  curl http://localhost:8000/admin/products/1/images \
- *    -H "Authorization: Bearer <TOKEN>"
+/** GET /admin/categories/:id/attributes — атрибуты категории (включая унаследованные)
+ *  curl http://localhost:8000/admin/categories/1/attributes -H "Authorization: Bearer <TOKEN>"
  */
-r.get("/products/:id/images", async (req, res) => {
+r.get("/categories/:id/attributes", canCatalog, async (req, res) => {
   const id = Number(req.params.id);
-  if (!id) return res.status(400).json({ error: "ID_REQUIRED" });
+  const { rows: cat } = await q("SELECT id FROM categories WHERE id=$1", [id]);
+  if (!cat[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(await applicableAttributes(id));
+});
 
-  const { rows } = await q(
-    "SELECT gallery, primary_image_url FROM products WHERE id=$1",
-    [id]
-  );
-  if (!rows[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+/** POST /admin/categories/:id/attributes — объявить атрибут на категории
+ *  curl -X POST http://localhost:8000/admin/categories/1/attributes \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"code":"power","name":"Мощность","type":"number","unit":"Вт"}'
+ *  enum: -d '{"code":"tube","name":"Трубка","type":"enum","options":["RECI","EFR"]}'
+ */
+r.post("/categories/:id/attributes", canCatalog, async (req, res) => {
+  const categoryId = Number(req.params.id);
+  const {
+    code,
+    name,
+    type,
+    unit = null,
+    options = [],
+    is_filterable = true,
+    sort_order = 0,
+  } = req.body || {};
 
-  const gallery = rows[0].gallery || [];
-  const primaryImageUrl = rows[0].primary_image_url;
+  if (!code || !name || !type)
+    return res.status(400).json({ error: "CODE_NAME_TYPE_REQUIRED" });
+  if (!ATTR_CODE_RE.test(code))
+    return res.status(400).json({ error: "INVALID_CODE" });
+  if (!ATTRIBUTE_TYPES.includes(type))
+    return res
+      .status(400)
+      .json({ error: "INVALID_TYPE", allowed: ATTRIBUTE_TYPES });
+  if (!Array.isArray(options) || (type === "enum" && options.length === 0))
+    return res.status(400).json({ error: "OPTIONS_REQUIRED" });
 
-  // Добавляем флаг is_primary к каждой фотографии
-  const images = gallery.map((img) => ({
-    ...img,
-    is_primary: img.url === primaryImageUrl,
-  }));
+  const { rows: cat } = await q("SELECT id FROM categories WHERE id=$1", [
+    categoryId,
+  ]);
+  if (!cat[0]) return res.status(404).json({ error: "CATEGORY_NOT_FOUND" });
 
-  res.json({
-    product_id: id,
-    primary_image_url: primaryImageUrl,
-    images,
-    total: images.length,
-  });
+  try {
+    const { rows } = await q(
+      `INSERT INTO attributes(category_id, code, name, type, unit, options, is_filterable, sort_order)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8)
+       RETURNING *`,
+      [
+        categoryId,
+        code,
+        name,
+        type,
+        unit,
+        JSON.stringify(options.map(String)),
+        is_filterable,
+        sort_order,
+      ]
+    );
+    await audit(req, {
+      action: "create",
+      entity: "attribute",
+      entityId: rows[0].id,
+      after: rows[0],
+    });
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "DUPLICATE_CODE" });
+    throw e;
+  }
 });
 
-/** POST /admin/products/:id/images — загрузить фото и добавить в gallery */
-/**
- * curl -X POST http://localhost:8000/admin/products/1/images \
- *   -H "Authorization: Bearer <TOKEN>" \
- *   -F file=@./image.jpg
+/** PATCH /admin/attributes/:id — изменить атрибут (тип менять нельзя)
+ *  curl -X PATCH http://localhost:8000/admin/attributes/1 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"name":"Мощность трубки","sort_order":1}'
  */
-r.post(
-  "/products/:id/images",
-  uploadToProduct().single("file"),
-  async (req, res) => {
+r.patch("/attributes/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const body = req.body || {};
+
+  const { rows: oldRows } = await q("SELECT * FROM attributes WHERE id=$1", [
+    id,
+  ]);
+  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  const old = oldRows[0];
+
+  if (body.type !== undefined && body.type !== old.type)
+    return res.status(400).json({ error: "TYPE_IMMUTABLE" });
+
+  const code = body.code ?? old.code;
+  const name = body.name ?? old.name;
+  const unit = "unit" in body ? body.unit : old.unit;
+  const options = body.options ?? old.options;
+  const is_filterable = body.is_filterable ?? old.is_filterable;
+  const sort_order = body.sort_order ?? old.sort_order;
+
+  if (!ATTR_CODE_RE.test(code))
+    return res.status(400).json({ error: "INVALID_CODE" });
+  if (!Array.isArray(options) || (old.type === "enum" && options.length === 0))
+    return res.status(400).json({ error: "OPTIONS_REQUIRED" });
+
+  try {
+    const { rows } = await q(
+      `UPDATE attributes
+         SET code=$1, name=$2, unit=$3, options=$4, is_filterable=$5, sort_order=$6
+       WHERE id=$7
+       RETURNING *`,
+      [
+        code,
+        name,
+        unit,
+        JSON.stringify(options.map(String)),
+        is_filterable,
+        sort_order,
+        id,
+      ]
+    );
+    await audit(req, {
+      action: "update",
+      entity: "attribute",
+      entityId: id,
+      before: old,
+      after: rows[0],
+    });
+    res.json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "DUPLICATE_CODE" });
+    throw e;
+  }
+});
+
+/** DELETE /admin/attributes/:id — удалить атрибут вместе со значениями у товаров
+ *  curl -X DELETE http://localhost:8000/admin/attributes/1 -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/attributes/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows } = await q("DELETE FROM attributes WHERE id=$1 RETURNING *", [
+    id,
+  ]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "delete",
+    entity: "attribute",
+    entityId: id,
+    before: rows[0],
+  });
+  res.json({ ok: true });
+});
+
+/** GET /admin/products/:id/attributes — применимые к товару атрибуты и их значения
+ *  curl http://localhost:8000/admin/products/1/attributes -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/:id/attributes", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows: prod } = await q(
+    "SELECT id, category_id FROM products WHERE id=$1",
+    [id]
+  );
+  if (!prod[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+
+  const defs = await applicableAttributes(prod[0].category_id);
+  const { rows: values } = await q(
+    `SELECT v.attribute_id, ${attributeValueSql("v")} AS value
+     FROM product_attribute_values v
+     WHERE v.product_id=$1`,
+    [id]
+  );
+  const byAttr = new Map(values.map((v) => [v.attribute_id, v.value]));
+
+  res.json({
+    product_id: id,
+    attributes: defs.map((d) => ({ ...d, value: byAttr.get(d.id) ?? null })),
+  });
+});
+
+/** PUT /admin/products/:id/attributes — заменить все значения характеристик товара
+ *  Body: { values: [{ attribute_id, value }] }; value=null — убрать значение
+ *  curl -X PUT http://localhost:8000/admin/products/1/attributes \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"values":[{"attribute_id":1,"value":60},{"attribute_id":2,"value":"RECI"}]}'
+ */
+r.put("/products/:id/attributes", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { values } = req.body || {};
+  if (!Array.isArray(values))
+    return res.status(400).json({ error: "VALUES_MUST_BE_ARRAY" });
+
+  const { rows: prod } = await q(
+    "SELECT id, category_id, deleted_at FROM products WHERE id=$1",
+    [id]
+  );
+  if (!prod[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+  if (prod[0].deleted_at)
+    return res.status(409).json({ error: "PRODUCT_DELETED" });
+
+  const applicable = await applicableAttributes(prod[0].category_id);
+  const defs = new Map(applicable.map((d) => [d.id, d]));
+
+  // валидируем всё до записи
+  const rowsToInsert = [];
+  for (const item of values) {
+    const def = defs.get(Number(item?.attribute_id));
+    if (!def)
+      return res.status(400).json({
+        error: "ATTRIBUTE_NOT_APPLICABLE",
+        attribute_id: item?.attribute_id,
+      });
+    if (item.value === null || item.value === undefined) continue;
+    const norm = normalizeAttributeValue(def, item.value);
+    if (norm.error)
+      return res
+        .status(400)
+        .json({ error: norm.error, attribute_id: def.id, code: def.code });
+    rowsToInsert.push({ attribute_id: def.id, ...norm });
+  }
+
+  const valuesByCode = async (db) => {
+    const { rows } = await db.query(
+      `SELECT a.code, ${attributeValueSql("v")} AS value
+       FROM product_attribute_values v
+       JOIN attributes a ON a.id = v.attribute_id
+       WHERE v.product_id=$1`,
+      [id]
+    );
+    return Object.fromEntries(rows.map((row) => [row.code, row.value]));
+  };
+
+  await tx(async (client) => {
+    const before = await valuesByCode(client);
+    await client.query(
+      "DELETE FROM product_attribute_values WHERE product_id=$1",
+      [id]
+    );
+    for (const v of rowsToInsert) {
+      await client.query(
+        `INSERT INTO product_attribute_values(product_id, attribute_id, value_number, value_text, value_bool)
+         VALUES($1,$2,$3,$4,$5)
+         ON CONFLICT (product_id, attribute_id) DO UPDATE
+           SET value_number=EXCLUDED.value_number,
+               value_text=EXCLUDED.value_text,
+               value_bool=EXCLUDED.value_bool`,
+        [id, v.attribute_id, v.value_number, v.value_text, v.value_bool]
+      );
+    }
+    const after = await valuesByCode(client);
+    for (const code of Object.keys(before)) {
+      if (!(code in after)) after[code] = null;
+    }
+    await audit(
+      req,
+      {
+        action: "attributes.update",
+        entity: "product",
+        entityId: id,
+        before,
+        after,
+      },
+      client
+    );
+    await recordRevision(client, req, id, "attributes.update");
+  });
+
+  const { rows } = await q(
+    `SELECT a.id AS attribute_id, a.code, a.name, a.type, a.unit,
+            ${attributeValueSql("v")} AS value
+     FROM product_attribute_values v
+     JOIN attributes a ON a.id = v.attribute_id
+     WHERE v.product_id=$1
+     ORDER BY a.sort_order, a.name`,
+    [id]
+  );
+  res.json({ product_id: id, attributes: rows });
+});
+
+/** ------------- ВАРИАНТЫ ТОВАРА ------------- */
+/** Вариант — конфигурация товара со своим sku, ценой и остатком.
+ *  image_id ссылается на фото из gallery товара.
+ *  weight_grams: null — вес как у товара.
+ */
+
+// проверка полей варианта; image_id должен быть в галерее товара
+function validateVariant(v, gallery) {
+  if (!v.name || !Number.isInteger(v.price))
+    return "REQUIRED_FIELDS: name, price(int)";
+  if (v.stock_qty !== null && !Number.isInteger(v.stock_qty))
+    return "INVALID_STOCK_QTY";
+  if (!isWeight(v.weight_grams)) return "INVALID_WEIGHT";
+  if (v.image_id && !(gallery || []).some((g) => g.id === v.image_id))
+    return "IMAGE_NOT_FOUND";
+  if (typeof v.options !== "object" || v.options === null)
+    return "OPTIONS_MUST_BE_OBJECT";
+  return null;
+}
+
+/** GET /admin/products/:id/variants — все варианты товара (включая неактивные)
+ *  curl http://localhost:8000/admin/products/1/variants -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/:id/variants", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows: prod } = await q("SELECT id FROM products WHERE id=$1", [id]);
+  if (!prod[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+  const { rows } = await q(
+    `SELECT * FROM product_variants WHERE product_id=$1 ORDER BY sort_order, id`,
+    [id]
+  );
+  res.json(rows);
+});
+
+/** POST /admin/products/:id/variants — добавить вариант
+ *  curl -X POST http://localhost:8000/admin/products/1/variants \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"name":"100 Вт, 1300×900","sku":"LX-1390-100","price":450000,
+ *         "options":{"power":"100 Вт","bed":"1300×900"},"image_id":"img_abcd","stock_qty":2}'
+ */
+r.post("/products/:id/variants", canCatalog, async (req, res) => {
+  const productId = Number(req.params.id);
+  const {
+    name,
+    sku = null,
+    price,
+    stock_qty = null,
+    allow_backorder = false,
+    image_id = null,
+    options = {},
+    is_active = true,
+    sort_order = 0,
+    weight_grams = null,
+  } = req.body || {};
+
+  const { rows: prod } = await q(
+    "SELECT id, gallery, deleted_at FROM products WHERE id=$1",
+    [productId]
+  );
+  if (!prod[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+  if (prod[0].deleted_at)
+    return res.status(409).json({ error: "PRODUCT_DELETED" });
+
+  const err = validateVariant(
+    { name, price, stock_qty, image_id, options, weight_grams },
+    prod[0].gallery
+  );
+  if (err) return res.status(400).json({ error: err });
+
+  try {
+    const { rows } = await q(
+      `INSERT INTO product_variants(
+         product_id, name, sku, price, stock_qty, allow_backorder,
+         image_id, options, is_active, sort_order, weight_grams
+       ) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+       RETURNING *`,
+      [
+        productId,
+        name,
+        sku,
+        price,
+        stock_qty,
+        allow_backorder,
+        image_id,
+        JSON.stringify(options),
+        is_active,
+        sort_order,
+        weight_grams,
+      ]
+    );
+    await audit(req, {
+      action: "variant.create",
+      entity: "product",
+      entityId: productId,
+      after: rows[0],
+      meta: { variant_id: rows[0].id },
+    });
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "DUPLICATE_SKU" });
+    throw e;
+  }
+});
+
+/** PATCH /admin/products/:id/variants/:variantId — частичное обновление варианта
+ *  curl -X PATCH http://localhost:8000/admin/products/1/variants/3 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"price":460000,"stock_qty":0,"allow_backorder":true}'
+ */
+r.patch("/products/:id/variants/:variantId", canCatalog, async (req, res) => {
+  const productId = Number(req.params.id);
+  const variantId = Number(req.params.variantId);
+  const body = req.body || {};
+
+  const { rows: oldRows } = await q(
+    `SELECT v.*, p.gallery, p.deleted_at AS product_deleted_at
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.id=$1 AND v.product_id=$2`,
+    [variantId, productId]
+  );
+  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  const old = oldRows[0];
+  if (old.product_deleted_at)
+    return res.status(409).json({ error: "PRODUCT_DELETED" });
+
+  const v = {
+    name: body.name ?? old.name,
+    sku: "sku" in body ? body.sku : old.sku,
+    price: body.price ?? old.price,
+    stock_qty: "stock_qty" in body ? body.stock_qty : old.stock_qty,
+    allow_backorder: body.allow_backorder ?? old.allow_backorder,
+    image_id: "image_id" in body ? body.image_id : old.image_id,
+    options: body.options ?? old.options,
+    is_active: body.is_active ?? old.is_active,
+    sort_order: body.sort_order ?? old.sort_order,
+    weight_grams: "weight_grams" in body ? body.weight_grams : old.weight_grams,
+  };
+  const err = validateVariant(v, old.gallery);
+  if (err) return res.status(400).json({ error: err });
+
+  try {
+    const { rows } = await q(
+      `UPDATE product_variants SET
+         name=$1, sku=$2, price=$3, stock_qty=$4, allow_backorder=$5,
+         image_id=$6, options=$7, is_active=$8, sort_order=$9, weight_grams=$10
+       WHERE id=$11
+       RETURNING *`,
+      [
+        v.name,
+        v.sku,
+        v.price,
+        v.stock_qty,
+        v.allow_backorder,
+        v.image_id,
+        JSON.stringify(v.options),
+        v.is_active,
+        v.sort_order,
+        v.weight_grams,
+        variantId,
+      ]
+    );
+    const { gallery, product_deleted_at, ...oldVariant } = old;
+    await audit(req, {
+      action: "variant.update",
+      entity: "product",
+      entityId: productId,
+      before: oldVariant,
+      after: rows[0],
+      meta: { variant_id: variantId },
+    });
+    res.json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "DUPLICATE_SKU" });
+    throw e;
+  }
+});
+
+/** DELETE /admin/products/:id/variants/:variantId — удалить вариант
+ *  Если вариант уже есть в заказах — 409 VARIANT_IN_ORDERS (деактивируйте через PATCH is_active=false)
+ *  curl -X DELETE http://localhost:8000/admin/products/1/variants/3 -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/products/:id/variants/:variantId", canCatalog, async (req, res) => {
+  const productId = Number(req.params.id);
+  const variantId = Number(req.params.variantId);
+  const { rows: prod } = await q(
+    "SELECT deleted_at FROM products WHERE id=$1",
+    [productId]
+  );
+  if (prod[0]?.deleted_at)
+    return res.status(409).json({ error: "PRODUCT_DELETED" });
+  try {
+    const { rows } = await q(
+      "DELETE FROM product_variants WHERE id=$1 AND product_id=$2 RETURNING *",
+      [variantId, productId]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+    await audit(req, {
+      action: "variant.delete",
+      entity: "product",
+      entityId: productId,
+      before: rows[0],
+      meta: { variant_id: variantId },
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    if (e.code === "23503")
+      return res.status(409).json({ error: "VARIANT_IN_ORDERS" });
+    throw e;
+  }
+});
+
+/** ------------- IMAGES for PRODUCT ------------- */
+
+// утилита — сгенерить imageId (чтобы не зависеть от URL)
+function genImageId() {
+  return (
+    "img_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+  );
+}
+
+/** GET /admin/products/:id/images — получить список фотографий товара
+ *  Пример:
+ *  curl http://localhost:8000/admin/products/1/images \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/products/:id/images", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: "ID_REQUIRED" });
+
+  const { rows } = await q(
+    "SELECT gallery, primary_image_url FROM products WHERE id=$1",
+    [id]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+
+  const gallery = rows[0].gallery || [];
+  const primaryImageUrl = rows[0].primary_image_url;
+
+  // Добавляем флаг is_primary к каждой фотографии
+  const images = gallery.map((img) => ({
+    ...img,
+    is_primary: img.url === primaryImageUrl,
+  }));
+
+  res.json({
+    product_id: id,
+    primary_image_url: primaryImageUrl,
+    images,
+    total: images.length,
+  });
+});
+
+/** POST /admin/products/:id/images — загрузить фото и добавить в gallery
+ *  Рядом с оригиналом создаются копии thumb/card/full (+ webp) → поле renditions
+ */
+/**
+ * curl -X POST http://localhost:8000/admin/products/1/images \
+ *   -H "Authorization: Bearer <TOKEN>" \
+ *   -F file=@./image.jpg
+ */
+r.post(
+  "/products/:id/images",
+  canEditProduct,
+  uploadToProduct().single("file"),
+  async (req, res) => {
     const id = Number(req.params.id);
     if (!req.file) return res.status(400).json({ error: "FILE_REQUIRED" });
 
@@ -752,6 +2574,7 @@ r.post(
       mime: req.file.mimetype,
       size: req.file.size,
       filename: req.file.originalname,
+      renditions: await createRenditions(url),
     };
 
     // append в JSONB
@@ -772,6 +2595,14 @@ r.post(
       ]);
     }
 
+    await audit(req, {
+      action: "image.add",
+      entity: "product",
+      entityId: id,
+      after: { image_id: imageItem.id, url },
+      meta: { primary: !updated[0].primary_image_url },
+    });
+    await recordRevision(pool, req, id, "image.add");
     return res.status(201).json({ image: imageItem });
   }
 );
@@ -781,30 +2612,46 @@ r.post(
  * curl -X PATCH http://localhost:8000/admin/products/1/images/img_abcd/primary \
  *   -H "Authorization: Bearer <TOKEN>"
  */
-r.patch("/products/:id/images/:imageId/primary", async (req, res) => {
-  const id = Number(req.params.id);
-  const imageId = String(req.params.imageId);
+r.patch(
+  "/products/:id/images/:imageId/primary",
+  canEditProduct,
+  async (req, res) => {
+    const id = Number(req.params.id);
+    const imageId = String(req.params.imageId);
 
-  const { rows } = await q("SELECT gallery FROM products WHERE id=$1", [id]);
-  if (!rows[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
-  const gallery = rows[0].gallery || [];
+    const { rows } = await q(
+      "SELECT gallery, primary_image_url FROM products WHERE id=$1",
+      [id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
+    const gallery = rows[0].gallery || [];
 
-  const img = gallery.find((g) => g.id === imageId);
-  if (!img) return res.status(404).json({ error: "IMAGE_NOT_FOUND" });
+    const img = gallery.find((g) => g.id === imageId);
+    if (!img) return res.status(404).json({ error: "IMAGE_NOT_FOUND" });
 
-  await q(
-    `UPDATE products SET primary_image_url=$1, updated_at=NOW() WHERE id=$2`,
-    [img.url, id]
-  );
-  res.json({ primary_image_url: img.url });
-});
+    await q(
+      `UPDATE products SET primary_image_url=$1, updated_at=NOW() WHERE id=$2`,
+      [img.url, id]
+    );
+    await audit(req, {
+      action: "image.primary",
+      entity: "product",
+      entityId: id,
+      before: { primary_image_url: rows[0].primary_image_url },
+      after: { primary_image_url: img.url },
+      meta: { image_id: imageId },
+    });
+    await recordRevision(pool, req, id, "image.primary");
+    res.json({ primary_image_url: img.url });
+  }
+);
 
 /** DELETE /admin/products/:id/images/:imageId — удалить фото из галереи */
 /**
  * curl -X DELETE http://localhost:8000/admin/products/1/images/img_abcd \
  *   -H "Authorization: Bearer <TOKEN>"
  */
-r.delete("/products/:id/images/:imageId", async (req, res) => {
+r.delete("/products/:id/images/:imageId", canEditProduct, async (req, res) => {
   const id = Number(req.params.id);
   const imageId = String(req.params.imageId);
 
@@ -833,16 +2680,25 @@ r.delete("/products/:id/images/:imageId", async (req, res) => {
      WHERE id=$3`,
     [JSON.stringify(gallery), newPrimary, id]
   );
+  // варианты, ссылавшиеся на это фото, остаются без картинки
+  await q(
+    `UPDATE product_variants SET image_id=NULL WHERE product_id=$1 AND image_id=$2`,
+    [id, imageId]
+  );
 
-  // Попробуем удалить файл с диска (best effort)
-  if (removed.url?.startsWith("/uploads/")) {
-    const filePath = removed.url.replace("/uploads", "/app/uploads");
-    try {
-      fs.unlinkSync(filePath);
-    } catch (_) {
-      // ignore
-    }
-  }
+  // файлы с диска не удаляем — фото можно вернуть восстановлением ревизии
+  await audit(req, {
+    action: "image.delete",
+    entity: "product",
+    entityId: id,
+    before: {
+      image_id: removed.id,
+      url: removed.url,
+      primary_image_url: rows[0].primary_image_url,
+    },
+    after: { image_id: null, url: null, primary_image_url: newPrimary },
+  });
+  await recordRevision(pool, req, id, "image.delete");
 
   res.json({ ok: true, primary_image_url: newPrimary });
 });
@@ -856,6 +2712,7 @@ r.delete("/products/:id/images/:imageId", async (req, res) => {
  */
 r.post(
   "/products/:id/doc",
+  canEditProduct,
   uploadToProduct().single("file"),
   async (req, res) => {
     const id = Number(req.params.id);
@@ -875,7 +2732,10 @@ r.post(
     }
 
     // ensure product exists
-    const { rows: prod } = await q("SELECT id FROM products WHERE id=$1", [id]);
+    const { rows: prod } = await q(
+      "SELECT id, doc_url, doc_meta, has_docs FROM products WHERE id=$1",
+      [id]
+    );
     if (!prod[0]) return res.status(404).json({ error: "PRODUCT_NOT_FOUND" });
 
     const rel = `/uploads/products/${id}/${req.file.filename}`;
@@ -893,6 +2753,14 @@ r.post(
      RETURNING id, doc_url, doc_meta, has_docs`,
       [url, meta, id]
     );
+    await audit(req, {
+      action: "doc.upload",
+      entity: "product",
+      entityId: id,
+      before: prod[0],
+      after: rows[0],
+    });
+    await recordRevision(pool, req, id, "doc.upload");
     res.status(201).json(rows[0]);
   }
 );
@@ -900,15 +2768,19 @@ r.post(
 /** ---------- ORDERS ---------- */
 /** GET /admin/orders — список заказов
  *  Параметры:
- *   - status: фильтр по статусу
+ *   - status: фильтр по статусу (new|confirmed|paid|shipped|completed|cancelled)
  *   - page, limit: пагинация
  *   - sort: created_at_asc | created_at_desc (по умолчанию created_at_desc)
  *  Пример:
  *  curl "http://localhost:8000/admin/orders?status=new&page=1&limit=20" \
  *    -H "Authorization: Bearer <TOKEN>"
  */
-r.get("/orders", async (req, res) => {
+r.get("/orders", canOrders, async (req, res) => {
   const status = (req.query.status || "").trim();
+  if (status && !isOrderStatus(status))
+    return res
+      .status(400)
+      .json({ error: "INVALID_STATUS", allowed: ORDER_STATUSES });
   const page = Math.max(1, parseInt(req.query.page || "1", 10));
   const limit = Math.min(
     100,
@@ -923,7 +2795,8 @@ r.get("/orders", async (req, res) => {
   };
   const orderBy = sortMap[sortKey] || sortMap.created_at_asc;
 
-  let sql = `SELECT id, created_at, customer_name, email, phone, comment, address, total_amount, status, shipped_items
+  let sql = `SELECT id, created_at, customer_name, email, phone, comment, address, total_amount, status,
+                    (SELECT COUNT(*)::int FROM shipments s WHERE s.order_id = orders.id) AS shipments_count
              FROM orders WHERE 1=1`;
   const params = [];
 
@@ -955,17 +2828,20 @@ r.get("/orders", async (req, res) => {
   });
 });
 
-/** GET /admin/orders/:id — получить заказ с товарами
+/** GET /admin/orders/:id — получить заказ с товарами и отправлениями
+ *  У позиций shipped_qty — сколько уже отправлено.
  *  Пример:
  *  curl http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000 \
  *    -H "Authorization: Bearer <TOKEN>"
  */
-r.get("/orders/:id", async (req, res) => {
+r.get("/orders/:id", canOrders, async (req, res) => {
   const orderId = req.params.id;
 
   // Заказ
   const { rows: orderRows } = await q(
-    `SELECT id, created_at, customer_name, email, phone, comment, address, total_amount, status, idempotency_key, shipped_items
+    `SELECT id, created_at, customer_name, email, phone, comment, address, total_amount, status, idempotency_key, tracking_token,
+            subtotal_amount, discount_amount, promo_code_id, promo_code, invoice_number, invoice_date,
+            delivery_method_id, delivery_method_name, delivery_zone_id, delivery_zone_name, delivery_amount
      FROM orders WHERE id=$1`,
     [orderId]
   );
@@ -975,74 +2851,1381 @@ r.get("/orders/:id", async (req, res) => {
 
   // Товары заказа
   const { rows: items } = await q(
-    `SELECT oi.id, oi.product_id, oi.qty, oi.price_at_purchase,
-            p.name AS product_name, p.slug AS product_slug, p.primary_image_url
+    `SELECT oi.id, oi.product_id, oi.variant_id, oi.qty, oi.price_at_purchase, oi.reserved_qty,
+            p.name AS product_name, p.slug AS product_slug, p.primary_image_url,
+            pv.name AS variant_name, pv.sku AS variant_sku,
+            (SELECT COALESCE(SUM(si.qty), 0)::int FROM shipment_items si
+             WHERE si.order_item_id = oi.id) AS shipped_qty
      FROM order_items oi
      LEFT JOIN products p ON p.id = oi.product_id
+     LEFT JOIN product_variants pv ON pv.id = oi.variant_id
      WHERE oi.order_id=$1
      ORDER BY oi.id`,
     [orderId]
   );
 
+  // История статусов
+  const { rows: status_history } = await q(
+    `SELECT h.id, h.from_status, h.to_status, h.comment, h.created_at,
+            h.changed_by, u.email AS changed_by_email
+     FROM order_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.order_id=$1
+     ORDER BY h.created_at, h.id`,
+    [orderId]
+  );
+
   res.json({
     ...order,
     items,
+    shipments: await loadShipments(pool, orderId),
+    allowed_transitions: allowedTransitions(order.status),
+    status_history,
   });
 });
 
-/** PATCH /admin/orders/:id/shipped — обновить список отправленных товаров
- *  Body: { shipped_items: [1, 2, 3] } — массив ID из order_items
+/** PATCH /admin/orders/:id/status — сменить статус заказа
+ *  Body: { status: "confirmed", comment?: "..." }
+ *  Жизненный цикл: new → confirmed → paid → (partially_shipped) → shipped → completed,
+ *  отмена (cancelled) возможна до отправки. partially_shipped и shipped вручную
+ *  не ставятся — их выставляют отправления (POST /admin/orders/:id/shipments).
+ *  Недопустимый переход → 409.
  *  Пример:
- *  curl -X PATCH http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/shipped \
+ *  curl -X PATCH http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/status \
  *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
- *    -d '{"shipped_items":[1,2,3]}'
+ *    -d '{"status":"confirmed","comment":"Созвонились с клиентом"}'
  */
-r.patch("/orders/:id/shipped", async (req, res) => {
+r.patch("/orders/:id/status", canOrders, async (req, res) => {
   const orderId = req.params.id;
-  const { shipped_items } = req.body || {};
-
-  if (!Array.isArray(shipped_items)) {
-    return res.status(400).json({ error: "SHIPPED_ITEMS_MUST_BE_ARRAY" });
-  }
+  const { status, comment = null } = req.body || {};
 
-  // Проверяем, что заказ существует
-  const { rows: orderRows } = await q(`SELECT id FROM orders WHERE id=$1`, [
-    orderId,
-  ]);
-  if (!orderRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  if (!isOrderStatus(status))
+    return res
+      .status(400)
+      .json({ error: "INVALID_STATUS", allowed: ORDER_STATUSES });
 
-  // Валидируем, что все shipped_items существуют в order_items этого заказа
-  if (shipped_items.length > 0) {
-    const itemIds = shipped_items.map((id) => Number(id)).filter(Boolean);
-    const { rows: validItems } = await q(
-      `SELECT id FROM order_items WHERE order_id=$1 AND id = ANY($2::int[])`,
-      [orderId, itemIds]
+  const result = await tx(async (client) => {
+    // блокируем строку, чтобы параллельные смены статуса не перетёрли друг друга
+    const { rows: orderRows } = await client.query(
+      `SELECT id, status FROM orders WHERE id=$1 FOR UPDATE`,
+      [orderId]
     );
-    if (validItems.length !== itemIds.length) {
-      return res.status(400).json({ error: "INVALID_ORDER_ITEM_IDS" });
+    const order = orderRows[0];
+    if (!order) return { code: 404, body: { error: "NOT_FOUND" } };
+
+    if (!canTransition(order.status, status)) {
+      return {
+        code: 409,
+        body: {
+          error: "INVALID_STATUS_TRANSITION",
+          from: order.status,
+          to: status,
+          allowed: allowedTransitions(order.status),
+        },
+      };
     }
-  }
 
-  // Обновляем
-  const { rows } = await q(
-    `UPDATE orders
-       SET shipped_items=$1
-     WHERE id=$2
-     RETURNING id, shipped_items`,
-    [JSON.stringify(shipped_items), orderId]
-  );
+    const { rows: upd } = await client.query(
+      `UPDATE orders SET status=$1 WHERE id=$2 RETURNING id, status`,
+      [status, orderId]
+    );
+    // при отмене возвращаем списанные остатки на склад
+    if (status === "cancelled") await releaseStock(client, orderId);
+    const { rows: hist } = await client.query(
+      `INSERT INTO order_status_history(order_id, from_status, to_status, changed_by, comment)
+       VALUES($1,$2,$3,$4,$5)
+       RETURNING id, from_status, to_status, changed_by, comment, created_at`,
+      [orderId, order.status, status, Number(req.admin.sub) || null, comment]
+    );
+    await audit(
+      req,
+      {
+        action: "status.change",
+        entity: "order",
+        entityId: orderId,
+        before: { status: order.status },
+        after: { status },
+        meta: comment ? { comment } : null,
+      },
+      client
+    );
 
-  res.json(rows[0]);
+    return {
+      code: 200,
+      from: order.status,
+      body: {
+        ...upd[0],
+        allowed_transitions: allowedTransitions(status),
+        history_entry: hist[0],
+      },
+    };
+  });
+
+  res.status(result.code).json(result.body);
+  if (result.code === 200)
+    notifyStatusChanged(req, orderId, result.from, status, comment);
 });
 
-/** Admin tool: rebuild all category counts */
-/**
- * curl -X POST http://localhost:8000/admin/tools/recalc-counts \
- *   -H "Authorization: Bearer <TOKEN>"
- */
-r.post("/tools/recalc-counts", async (req, res) => {
-  await q("SELECT recalc_desc_product_counts()");
-  res.json({ ok: true });
+// уведомление о смене статуса — после коммита и не задерживая ответ
+async function notifyStatusChanged(req, orderId, from, to, comment) {
+  try {
+    const { rows } = await q(
+      `SELECT o.id, o.customer_name, o.phone, o.total_amount, o.status,
+              (SELECT email FROM users WHERE id=$2) AS actor
+       FROM orders o WHERE o.id=$1`,
+      [orderId, Number(req.admin.sub)]
+    );
+    const { actor, ...order } = rows[0];
+    await notify("order.status_changed", { order, from, to, comment, actor });
+  } catch (e) {
+    console.error("Status change notification error:", e);
+  }
+}
+
+/** ---------- ОТПРАВЛЕНИЯ ---------- */
+/** Отправление — посылка с частью позиций заказа: служба доставки, трек-номер,
+ *  дата и количество по каждой позиции. Статус заказа выставляется по отправлениям:
+ *  ничего не отправлено — paid, часть — partially_shipped, всё — shipped.
+ *  Отправлять можно заказы в статусах paid, partially_shipped, shipped.
+ */
+
+// заказ под блокировкой для изменения отправлений
+async function lockShippableOrder(client, orderId) {
+  const { rows } = await client.query(
+    "SELECT id, status FROM orders WHERE id=$1 FOR UPDATE",
+    [orderId]
+  );
+  if (!rows[0]) throw new Rollback({ code: 404, body: { error: "NOT_FOUND" } });
+  if (!SHIPPABLE_STATUSES.includes(rows[0].status))
+    throw new Rollback({
+      code: 409,
+      body: {
+        error: "ORDER_NOT_SHIPPABLE",
+        status: rows[0].status,
+        allowed: SHIPPABLE_STATUSES,
+      },
+    });
+  return rows[0];
+}
+
+function validateShipmentFields(s) {
+  if (s.shipped_at !== undefined && Number.isNaN(Date.parse(s.shipped_at)))
+    return "INVALID_SHIPPED_AT";
+  for (const f of ["carrier", "tracking_number", "comment"]) {
+    if (s[f] !== undefined && s[f] !== null && typeof s[f] !== "string")
+      return `INVALID_${f.toUpperCase()}`;
+  }
+  return null;
+}
+
+// после коммита: смена статуса и письмо покупателю — не задерживая ответ
+function afterShipmentChange(req, orderId, statusChange, createdShipmentId) {
+  if (statusChange)
+    notifyStatusChanged(
+      req,
+      orderId,
+      statusChange.from,
+      statusChange.to,
+      statusChange.comment
+    );
+  if (createdShipmentId) notifyShipmentCreated(orderId, createdShipmentId);
+}
+
+async function notifyShipmentCreated(orderId, shipmentId) {
+  try {
+    const { rows } = await q(
+      `SELECT id, customer_name, email, phone, status, tracking_token
+       FROM orders WHERE id=$1`,
+      [orderId]
+    );
+    const shipment = (await loadShipments(pool, orderId)).find(
+      (s) => s.id === shipmentId
+    );
+    if (!rows[0] || !shipment) return;
+    const { tracking_token, ...order } = rows[0];
+    await Promise.all([
+      sendShipmentNotification(rows[0], shipment),
+      notify("order.shipment_created", { order, shipment }),
+    ]);
+  } catch (e) {
+    console.error("Shipment notification error:", e);
+  }
+}
+
+/** GET /admin/orders/:id/shipments — отправления заказа и остатки к отправке
+ *  Ответ: { shipments: [{ id, carrier, tracking_number, shipped_at, comment, items: [{ order_item_id, qty, ... }] }],
+ *           items: [{ id, product_id, variant_id, qty, shipped_qty }] }
+ *  curl http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/shipments \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/orders/:id/shipments", canOrders, async (req, res) => {
+  const orderId = req.params.id;
+  const { rows } = await q("SELECT id FROM orders WHERE id=$1", [orderId]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json({
+    shipments: await loadShipments(pool, orderId),
+    items: await orderItemsCoverage(pool, orderId),
+  });
+});
+
+/** POST /admin/orders/:id/shipments — создать отправление
+ *  Body: { carrier?, tracking_number?, shipped_at?, comment?, items?: [{ order_item_id, qty }] }
+ *  Без items в посылку попадает всё, что ещё не отправлено.
+ *  Больше остатка по позиции — 400 QTY_EXCEEDS_REMAINING { order_item_id, remaining }.
+ *  Покупателю уходит письмо с трек-номером, менеджерам — событие order.shipment_created.
+ *  curl -X POST http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/shipments \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"carrier":"СДЭК","tracking_number":"1234567890","items":[{"order_item_id":1,"qty":1}]}'
+ */
+r.post("/orders/:id/shipments", canOrders, async (req, res) => {
+  const orderId = req.params.id;
+  const body = req.body || {};
+  const err = validateShipmentFields(body);
+  if (err) return res.status(400).json({ error: err });
+  const actorId = Number(req.admin.sub) || null;
+
+  const result = await tx(async (client) => {
+    const order = await lockShippableOrder(client, orderId);
+    const resolved = resolveShipmentItems(
+      body.items,
+      await orderItemsCoverage(client, orderId)
+    );
+    if (resolved.error) throw new Rollback({ code: 400, body: resolved.error });
+
+    const { rows } = await client.query(
+      `INSERT INTO shipments(order_id, carrier, tracking_number, shipped_at, comment, created_by)
+       VALUES($1,$2,$3,COALESCE($4::timestamptz, NOW()),$5,$6)
+       RETURNING *`,
+      [
+        orderId,
+        body.carrier || null,
+        body.tracking_number || null,
+        body.shipped_at || null,
+        body.comment || null,
+        actorId,
+      ]
+    );
+    const shipment = rows[0];
+    await saveShipmentItems(client, shipment.id, resolved.items);
+    const comment = `Отправление №${shipment.id}`;
+    const statusChange = await syncShipmentStatus(
+      client,
+      order,
+      actorId,
+      comment
+    );
+    await audit(
+      req,
+      {
+        action: "shipment.create",
+        entity: "order",
+        entityId: orderId,
+        after: { ...shipment, items: resolved.items },
+        meta: { shipment_id: shipment.id, status: statusChange },
+      },
+      client
+    );
+    return {
+      code: 201,
+      statusChange: statusChange && { ...statusChange, comment },
+      status: statusChange?.to ?? order.status,
+      shipmentId: shipment.id,
+    };
+  });
+
+  if (result.code !== 201) return res.status(result.code).json(result.body);
+  const shipments = await loadShipments(pool, orderId);
+  res.status(201).json({
+    ...shipments.find((s) => s.id === result.shipmentId),
+    order_status: result.status,
+  });
+  afterShipmentChange(req, orderId, result.statusChange, result.shipmentId);
+});
+
+/** PATCH /admin/orders/:id/shipments/:shipmentId — изменить отправление
+ *  Body: { carrier?, tracking_number?, shipped_at?, comment?, items? } — items заменяют состав целиком
+ *  curl -X PATCH http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/shipments/1 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"tracking_number":"1234567891"}'
+ */
+r.patch("/orders/:id/shipments/:shipmentId", canOrders, async (req, res) => {
+  const orderId = req.params.id;
+  const shipmentId = Number(req.params.shipmentId);
+  const body = req.body || {};
+  const err = validateShipmentFields(body);
+  if (err) return res.status(400).json({ error: err });
+  const actorId = Number(req.admin.sub) || null;
+
+  const result = await tx(async (client) => {
+    const order = await lockShippableOrder(client, orderId);
+    const { rows: oldRows } = await client.query(
+      "SELECT * FROM shipments WHERE id=$1 AND order_id=$2",
+      [shipmentId, orderId]
+    );
+    const old = oldRows[0];
+    if (!old) throw new Rollback({ code: 404, body: { error: "NOT_FOUND" } });
+    const [oldShipment] = (await loadShipments(client, orderId)).filter(
+      (s) => s.id === shipmentId
+    );
+    const oldItems = oldShipment.items.map((it) => ({
+      order_item_id: it.order_item_id,
+      qty: it.qty,
+    }));
+
+    let items = oldItems;
+    if ("items" in body) {
+      const resolved = resolveShipmentItems(
+        body.items ?? [],
+        await orderItemsCoverage(client, orderId, shipmentId)
+      );
+      if (resolved.error)
+        throw new Rollback({ code: 400, body: resolved.error });
+      items = resolved.items;
+      await saveShipmentItems(client, shipmentId, items);
+    }
+
+    const pick = (f) => (f in body ? body[f] || null : old[f]);
+    const { rows } = await client.query(
+      `UPDATE shipments
+         SET carrier=$1, tracking_number=$2, shipped_at=$3, comment=$4
+       WHERE id=$5
+       RETURNING *`,
+      [
+        pick("carrier"),
+        pick("tracking_number"),
+        body.shipped_at ?? old.shipped_at,
+        pick("comment"),
+        shipmentId,
+      ]
+    );
+    const comment = `Отправление №${shipmentId} изменено`;
+    const statusChange = await syncShipmentStatus(
+      client,
+      order,
+      actorId,
+      comment
+    );
+    await audit(
+      req,
+      {
+        action: "shipment.update",
+        entity: "order",
+        entityId: orderId,
+        before: { ...old, items: oldItems },
+        after: { ...rows[0], items },
+        meta: { shipment_id: shipmentId, status: statusChange },
+      },
+      client
+    );
+    return {
+      code: 200,
+      statusChange: statusChange && { ...statusChange, comment },
+      status: statusChange?.to ?? order.status,
+    };
+  });
+
+  if (result.code !== 200) return res.status(result.code).json(result.body);
+  const shipments = await loadShipments(pool, orderId);
+  res.json({
+    ...shipments.find((s) => s.id === shipmentId),
+    order_status: result.status,
+  });
+  afterShipmentChange(req, orderId, result.statusChange, null);
+});
+
+/** DELETE /admin/orders/:id/shipments/:shipmentId — удалить ошибочное отправление
+ *  Статус заказа пересчитывается (например, shipped → partially_shipped).
+ *  curl -X DELETE http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/shipments/1 \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/orders/:id/shipments/:shipmentId", canOrders, async (req, res) => {
+  const orderId = req.params.id;
+  const shipmentId = Number(req.params.shipmentId);
+  const actorId = Number(req.admin.sub) || null;
+
+  const result = await tx(async (client) => {
+    const order = await lockShippableOrder(client, orderId);
+    const [shipment] = (await loadShipments(client, orderId)).filter(
+      (s) => s.id === shipmentId
+    );
+    if (!shipment)
+      throw new Rollback({ code: 404, body: { error: "NOT_FOUND" } });
+    await client.query("DELETE FROM shipments WHERE id=$1", [shipmentId]);
+    const comment = `Отправление №${shipmentId} удалено`;
+    const statusChange = await syncShipmentStatus(
+      client,
+      order,
+      actorId,
+      comment
+    );
+    await audit(
+      req,
+      {
+        action: "shipment.delete",
+        entity: "order",
+        entityId: orderId,
+        before: shipment,
+        meta: { shipment_id: shipmentId, status: statusChange },
+      },
+      client
+    );
+    return {
+      code: 200,
+      statusChange: statusChange && { ...statusChange, comment },
+      status: statusChange?.to ?? order.status,
+    };
+  });
+
+  if (result.code !== 200) return res.status(result.code).json(result.body);
+  res.json({ ok: true, order_status: result.status });
+  afterShipmentChange(req, orderId, result.statusChange, null);
+});
+
+/** ---------- ДОКУМЕНТЫ (PDF) ---------- */
+/** Реквизиты продавца — COMPANY_* в .env; номер счёта сквозной, присваивается
+ *  заказу при первой печати и сохраняется (orders.invoice_number, invoice_date).
+ */
+
+// filename= — только ASCII (иначе setHeader бросает ERR_INVALID_CHAR),
+// полное имя с префиксом номера счёта — в filename* (RFC 5987)
+function sendPdf(res, buffer, filename, asciiFilename = filename) {
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="${asciiFilename}"; filename*=UTF-8''${encoded}`
+  );
+  res.setHeader("Cache-Control", "no-store");
+  res.send(buffer);
+}
+
+// PDF-генерация падает без шрифта (PDF_FONT) — отвечаем 500, а не оставляем запрос висеть
+async function renderPdf(res, render) {
+  try {
+    return await render();
+  } catch (e) {
+    console.error("PDF generation error:", e);
+    res.status(500).json({ error: "PDF_GENERATION_FAILED" });
+    return null;
+  }
+}
+
+/** GET /admin/orders/:id/invoice.pdf — счёт на оплату
+ *  Для отменённого заказа новый номер не выдаётся — 409 ORDER_CANCELLED
+ *  (ранее выписанный счёт печатается как есть).
+ *  curl -o invoice.pdf http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/invoice.pdf \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/orders/:id/invoice.pdf", canOrders, async (req, res) => {
+  const orderId = req.params.id;
+  const result = await tx(async (client) => {
+    const invoice = await assignInvoiceNumber(client, orderId);
+    if (!invoice)
+      throw new Rollback({ code: 404, body: { error: "NOT_FOUND" } });
+    if (invoice.issued && invoice.status === "cancelled")
+      throw new Rollback({ code: 409, body: { error: "ORDER_CANCELLED" } });
+    if (invoice.issued)
+      await audit(
+        req,
+        {
+          action: "invoice.issue",
+          entity: "order",
+          entityId: orderId,
+          after: {
+            invoice_number: invoice.invoice_number,
+            invoice_date: invoice.invoice_date,
+          },
+        },
+        client
+      );
+    return { code: 200 };
+  });
+  if (result.code !== 200) return res.status(result.code).json(result.body);
+
+  const data = await loadOrderDocument(pool, orderId);
+  const pdf = await renderPdf(res, () => invoicePdf(data));
+  if (!pdf) return;
+  sendPdf(
+    res,
+    pdf,
+    `invoice-${formatInvoiceNumber(data.order.invoice_number)}.pdf`,
+    `invoice-${orderId}.pdf`
+  );
+});
+
+/** GET /admin/orders/:id/packing-slip.pdf — упаковочный лист (состав без цен)
+ *  ?shipment_id= — только позиции одного отправления
+ *  curl -o slip.pdf "http://localhost:8000/admin/orders/123e4567-e89b-12d3-a456-426614174000/packing-slip.pdf?shipment_id=1" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/orders/:id/packing-slip.pdf", canOrders, async (req, res) => {
+  const orderId = req.params.id;
+  const data = await loadOrderDocument(pool, orderId);
+  if (!data) return res.status(404).json({ error: "NOT_FOUND" });
+
+  let shipment = null;
+  if (req.query.shipment_id) {
+    const shipmentId = Number(req.query.shipment_id);
+    shipment = (await loadShipments(pool, orderId)).find(
+      (s) => s.id === shipmentId
+    );
+    if (!shipment) return res.status(404).json({ error: "SHIPMENT_NOT_FOUND" });
+  }
+
+  const pdf = await renderPdf(res, () => packingSlipPdf(data, shipment));
+  if (!pdf) return;
+  const suffix = shipment ? `-${shipment.id}` : "";
+  sendPdf(res, pdf, `packing-slip-${orderId}${suffix}.pdf`);
+});
+
+/** ---------- ПРОМОКОДЫ ---------- */
+/** Поля: code (A-Z, 0-9, _ и -; регистр не важен), description,
+ *  discount_type (percent|fixed), discount_value (процент или сумма),
+ *  min_order_amount, starts_at, ends_at, usage_limit, usage_limit_per_customer,
+ *  category_ids (с подкатегориями), product_ids — пустые списки = вся корзина,
+ *  is_active.
+ *  Использованием считается любой заказ с кодом, кроме отменённых.
+ */
+const PROMO_DEFAULTS = {
+  description: null,
+  min_order_amount: 0,
+  starts_at: null,
+  ends_at: null,
+  usage_limit: null,
+  usage_limit_per_customer: null,
+  category_ids: [],
+  product_ids: [],
+  is_active: true,
+};
+// порядок совпадает с плейсхолдерами в savePromo
+const PROMO_FIELDS = [
+  "code",
+  "description",
+  "discount_type",
+  "discount_value",
+  "min_order_amount",
+  "starts_at",
+  "ends_at",
+  "usage_limit",
+  "usage_limit_per_customer",
+  "category_ids",
+  "product_ids",
+  "is_active",
+];
+
+// поля из тела запроса поверх текущих значений (или значений по умолчанию)
+function promoInput(body, base) {
+  const p = { ...base };
+  for (const f of PROMO_FIELDS) if (f in body) p[f] = body[f];
+  p.code = normalizePromoCode(p.code);
+  return p;
+}
+
+async function savePromo(req, res, id, before) {
+  const p = promoInput(req.body || {}, before || PROMO_DEFAULTS);
+  const err = validatePromo(p);
+  if (err) return res.status(400).json({ error: err });
+  const values = PROMO_FIELDS.map((f) => p[f]);
+  try {
+    const { rows } = id
+      ? await q(
+          `UPDATE promo_codes
+             SET code=$1, description=$2, discount_type=$3, discount_value=$4,
+                 min_order_amount=$5, starts_at=$6, ends_at=$7, usage_limit=$8,
+                 usage_limit_per_customer=$9, category_ids=$10, product_ids=$11,
+                 is_active=$12
+           WHERE id=$13
+           RETURNING *`,
+          [...values, id]
+        )
+      : await q(
+          `INSERT INTO promo_codes(code, description, discount_type, discount_value,
+             min_order_amount, starts_at, ends_at, usage_limit,
+             usage_limit_per_customer, category_ids, product_ids, is_active)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+           RETURNING *`,
+          values
+        );
+    await audit(req, {
+      action: id ? "update" : "create",
+      entity: "promo_code",
+      entityId: rows[0].id,
+      before,
+      after: rows[0],
+    });
+    res.status(id ? 200 : 201).json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "DUPLICATE_CODE" });
+    throw e;
+  }
+}
+
+/** GET /admin/promo-codes — список промокодов с числом использований
+ *  Параметры: q (поиск по коду), active (true|false)
+ *  curl "http://localhost:8000/admin/promo-codes?active=true" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/promo-codes", canCatalog, async (req, res) => {
+  const params = [];
+  let where = "WHERE 1=1";
+  if (req.query.q) {
+    params.push(`%${normalizePromoCode(req.query.q)}%`);
+    where += ` AND upper(pc.code) LIKE $${params.length}`;
+  }
+  if (req.query.active === "true" || req.query.active === "false") {
+    params.push(req.query.active === "true");
+    where += ` AND pc.is_active = $${params.length}`;
+  }
+  const { rows } = await q(
+    `SELECT pc.*,
+            (SELECT COUNT(*)::int FROM orders o
+             WHERE o.promo_code_id = pc.id AND o.status <> 'cancelled') AS used_count
+     FROM promo_codes pc
+     ${where}
+     ORDER BY pc.created_at DESC, pc.id DESC`,
+    params
+  );
+  res.json(rows);
+});
+
+/** GET /admin/promo-codes/:id
+ *  curl http://localhost:8000/admin/promo-codes/1 -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/promo-codes/:id", canCatalog, async (req, res) => {
+  const { rows } = await q(
+    `SELECT pc.*,
+            (SELECT COUNT(*)::int FROM orders o
+             WHERE o.promo_code_id = pc.id AND o.status <> 'cancelled') AS used_count,
+            (SELECT COALESCE(SUM(o.discount_amount), 0)::int FROM orders o
+             WHERE o.promo_code_id = pc.id AND o.status <> 'cancelled') AS discount_total
+     FROM promo_codes pc WHERE pc.id=$1`,
+    [Number(req.params.id)]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(rows[0]);
+});
+
+/** POST /admin/promo-codes — создать промокод
+ *  curl -X POST http://localhost:8000/admin/promo-codes \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"code":"SPRING10","discount_type":"percent","discount_value":10,
+ *         "min_order_amount":3000,"ends_at":"2025-06-01T00:00:00Z","usage_limit":100,
+ *         "usage_limit_per_customer":1,"category_ids":[3]}'
+ */
+r.post("/promo-codes", canCatalog, (req, res) => savePromo(req, res, null));
+
+/** PATCH /admin/promo-codes/:id — частичное обновление
+ *  curl -X PATCH http://localhost:8000/admin/promo-codes/1 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"is_active":false}'
+ */
+r.patch("/promo-codes/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows } = await q("SELECT * FROM promo_codes WHERE id=$1", [id]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  return savePromo(req, res, id, rows[0]);
+});
+
+/** DELETE /admin/promo-codes/:id — удалить промокод
+ *  В оформленных заказах остаются скидка и текст кода (promo_code).
+ *  curl -X DELETE http://localhost:8000/admin/promo-codes/1 -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/promo-codes/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows } = await q("DELETE FROM promo_codes WHERE id=$1 RETURNING *", [
+    id,
+  ]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "delete",
+    entity: "promo_code",
+    entityId: id,
+    before: rows[0],
+  });
+  res.json({ ok: true });
+});
+
+/** ---------- ДОСТАВКА ---------- */
+/** Зона — регион для тарифов (например, «Москва», «Московская область», «Россия»).
+ *  Способ доставки: code, name, description, type (pickup|courier|transport),
+ *  requires_address, free_from_amount (бесплатно от суммы товаров после скидки),
+ *  rates — правила цены, первое подходящее задаёт стоимость:
+ *  [{ zone_id?, min_weight_grams?, max_weight_grams?, min_order_amount?, max_order_amount?, price }]
+ *  Если ни одно правило не подходит — способ для корзины недоступен.
+ */
+
+/** GET /admin/delivery-zones
+ *  curl http://localhost:8000/admin/delivery-zones -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/delivery-zones", canCatalog, async (_req, res) => {
+  const { rows } = await q(
+    "SELECT * FROM delivery_zones ORDER BY sort_order, name"
+  );
+  res.json(rows);
+});
+
+/** POST /admin/delivery-zones — создать зону
+ *  curl -X POST http://localhost:8000/admin/delivery-zones \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"name":"Москва","sort_order":1}'
+ */
+r.post("/delivery-zones", canCatalog, async (req, res) => {
+  const {
+    name,
+    description = null,
+    is_active = true,
+    sort_order = 0,
+  } = req.body || {};
+  if (!name) return res.status(400).json({ error: "NAME_REQUIRED" });
+  const { rows } = await q(
+    `INSERT INTO delivery_zones(name, description, is_active, sort_order)
+     VALUES ($1,$2,$3,$4)
+     RETURNING *`,
+    [name, description, is_active, sort_order]
+  );
+  await audit(req, {
+    action: "create",
+    entity: "delivery_zone",
+    entityId: rows[0].id,
+    after: rows[0],
+  });
+  res.status(201).json(rows[0]);
+});
+
+/** PATCH /admin/delivery-zones/:id
+ *  curl -X PATCH http://localhost:8000/admin/delivery-zones/1 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"is_active":false}'
+ */
+r.patch("/delivery-zones/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const body = req.body || {};
+  const { rows: oldRows } = await q(
+    "SELECT * FROM delivery_zones WHERE id=$1",
+    [id]
+  );
+  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  const old = oldRows[0];
+
+  const name = body.name ?? old.name;
+  const description =
+    "description" in body ? body.description : old.description;
+  const is_active = body.is_active ?? old.is_active;
+  const sort_order = body.sort_order ?? old.sort_order;
+  if (!name) return res.status(400).json({ error: "NAME_REQUIRED" });
+
+  const { rows } = await q(
+    `UPDATE delivery_zones SET name=$1, description=$2, is_active=$3, sort_order=$4
+     WHERE id=$5
+     RETURNING *`,
+    [name, description, is_active, sort_order, id]
+  );
+  await audit(req, {
+    action: "update",
+    entity: "delivery_zone",
+    entityId: id,
+    before: old,
+    after: rows[0],
+  });
+  res.json(rows[0]);
+});
+
+/** DELETE /admin/delivery-zones/:id — удалить зону
+ *  Если зона указана в тарифах способов доставки — 409 ZONE_IN_USE.
+ *  curl -X DELETE http://localhost:8000/admin/delivery-zones/1 -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/delivery-zones/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows: used } = await q(
+    `SELECT id, code FROM delivery_methods
+     WHERE rates @> jsonb_build_array(jsonb_build_object('zone_id', $1::int))`,
+    [id]
+  );
+  if (used.length)
+    return res.status(409).json({ error: "ZONE_IN_USE", methods: used });
+  const { rows } = await q(
+    "DELETE FROM delivery_zones WHERE id=$1 RETURNING *",
+    [id]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "delete",
+    entity: "delivery_zone",
+    entityId: id,
+    before: rows[0],
+  });
+  res.json({ ok: true });
+});
+
+const DELIVERY_DEFAULTS = {
+  description: null,
+  requires_address: true,
+  free_from_amount: null,
+  rates: [],
+  is_active: true,
+  sort_order: 0,
+};
+// порядок совпадает с плейсхолдерами в saveDeliveryMethod
+const DELIVERY_FIELDS = [
+  "code",
+  "name",
+  "description",
+  "type",
+  "requires_address",
+  "free_from_amount",
+  "rates",
+  "is_active",
+  "sort_order",
+];
+
+async function saveDeliveryMethod(req, res, id, before) {
+  const body = req.body || {};
+  const m = { ...(before || DELIVERY_DEFAULTS) };
+  for (const f of DELIVERY_FIELDS) if (f in body) m[f] = body[f];
+  const err = validateDeliveryMethod(m);
+  if (err)
+    return res
+      .status(400)
+      .json(
+        err === "INVALID_TYPE"
+          ? { error: err, allowed: DELIVERY_TYPES }
+          : { error: err }
+      );
+
+  // зоны из тарифов должны существовать
+  const zoneIds = [
+    ...new Set(m.rates.map((rt) => rt.zone_id).filter((z) => z != null)),
+  ];
+  if (zoneIds.length) {
+    const { rows: zones } = await q(
+      "SELECT id FROM delivery_zones WHERE id = ANY($1::int[])",
+      [zoneIds]
+    );
+    const known = new Set(zones.map((z) => z.id));
+    const missing = zoneIds.filter((z) => !known.has(z));
+    if (missing.length)
+      return res
+        .status(400)
+        .json({ error: "ZONE_NOT_FOUND", zone_ids: missing });
+  }
+
+  const values = DELIVERY_FIELDS.map((f) =>
+    f === "rates" ? JSON.stringify(m.rates) : m[f]
+  );
+  try {
+    const { rows } = id
+      ? await q(
+          `UPDATE delivery_methods
+             SET code=$1, name=$2, description=$3, type=$4, requires_address=$5,
+                 free_from_amount=$6, rates=$7, is_active=$8, sort_order=$9
+           WHERE id=$10
+           RETURNING *`,
+          [...values, id]
+        )
+      : await q(
+          `INSERT INTO delivery_methods(code, name, description, type, requires_address,
+             free_from_amount, rates, is_active, sort_order)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+           RETURNING *`,
+          values
+        );
+    await audit(req, {
+      action: id ? "update" : "create",
+      entity: "delivery_method",
+      entityId: rows[0].id,
+      before,
+      after: rows[0],
+    });
+    res.status(id ? 200 : 201).json(rows[0]);
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "DUPLICATE_CODE" });
+    throw e;
+  }
+}
+
+/** GET /admin/delivery-methods — все способы доставки (включая неактивные)
+ *  curl http://localhost:8000/admin/delivery-methods -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/delivery-methods", canCatalog, async (_req, res) => {
+  const { rows } = await q(
+    "SELECT * FROM delivery_methods ORDER BY sort_order, id"
+  );
+  res.json(rows);
+});
+
+/** GET /admin/delivery-methods/:id
+ *  curl http://localhost:8000/admin/delivery-methods/1 -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/delivery-methods/:id", canCatalog, async (req, res) => {
+  const { rows } = await q("SELECT * FROM delivery_methods WHERE id=$1", [
+    Number(req.params.id),
+  ]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(rows[0]);
+});
+
+/** POST /admin/delivery-methods — создать способ доставки
+ *  curl -X POST http://localhost:8000/admin/delivery-methods \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"code":"courier","name":"Курьер","type":"courier","free_from_amount":300000,
+ *         "rates":[{"zone_id":1,"max_weight_grams":30000,"price":1500},
+ *                  {"zone_id":1,"price":5000}]}'
+ */
+r.post("/delivery-methods", canCatalog, (req, res) =>
+  saveDeliveryMethod(req, res, null)
+);
+
+/** PATCH /admin/delivery-methods/:id — частичное обновление (rates заменяются целиком)
+ *  curl -X PATCH http://localhost:8000/admin/delivery-methods/2 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"free_from_amount":null}'
+ */
+r.patch("/delivery-methods/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows } = await q("SELECT * FROM delivery_methods WHERE id=$1", [id]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  return saveDeliveryMethod(req, res, id, rows[0]);
+});
+
+/** DELETE /admin/delivery-methods/:id — удалить способ доставки
+ *  В оформленных заказах остаются название и стоимость доставки.
+ *  curl -X DELETE http://localhost:8000/admin/delivery-methods/2 -H "Authorization: Bearer <TOKEN>"
+ */
+r.delete("/delivery-methods/:id", canCatalog, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows } = await q(
+    "DELETE FROM delivery_methods WHERE id=$1 RETURNING *",
+    [id]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await audit(req, {
+    action: "delete",
+    entity: "delivery_method",
+    entityId: id,
+    before: rows[0],
+  });
+  res.json({ ok: true });
+});
+
+/** ---------- ОЧЕРЕДЬ ПИСЕМ ---------- */
+/** GET /admin/email-outbox — письма в очереди (без тела письма)
+ *  Параметры: status (pending|sending|sent|failed), kind, order_id, page, limit
+ *  Ответ: { messages, counts: { pending, sending, sent, failed }, pagination }
+ *  curl "http://localhost:8000/admin/email-outbox?status=failed" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/email-outbox", canOrders, async (req, res) => {
+  const { status, kind, order_id } = req.query;
+  if (status && !OUTBOX_STATUSES.includes(status))
+    return res
+      .status(400)
+      .json({ error: "INVALID_STATUS", allowed: OUTBOX_STATUSES });
+  const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+  const limit = Math.min(
+    100,
+    Math.max(1, parseInt(req.query.limit || "20", 10) || 20)
+  );
+
+  const params = [];
+  let where = "WHERE 1=1";
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+  if (kind) {
+    params.push(String(kind));
+    where += ` AND kind = $${params.length}`;
+  }
+  if (order_id) {
+    params.push(String(order_id));
+    where += ` AND order_id::text = $${params.length}`;
+  }
+
+  const { rows: messages } = await q(
+    `SELECT id, kind, to_address, subject, order_id, status, attempts, max_attempts,
+            next_attempt_at, last_error, created_at, sent_at
+     FROM email_outbox
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const { rows: cnt } = await q(
+    `SELECT COUNT(*)::int AS cnt FROM email_outbox ${where}`,
+    params
+  );
+  const { rows: byStatus } = await q(
+    "SELECT status, COUNT(*)::int AS cnt FROM email_outbox GROUP BY status"
+  );
+  const counts = Object.fromEntries(OUTBOX_STATUSES.map((st) => [st, 0]));
+  for (const row of byStatus) counts[row.status] = row.cnt;
+
+  const total = cnt[0].cnt;
+  res.json({
+    messages,
+    counts,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
+
+/** GET /admin/email-outbox/:id — письмо целиком (html и text)
+ *  curl http://localhost:8000/admin/email-outbox/1 -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/email-outbox/:id", canOrders, async (req, res) => {
+  const { rows } = await q("SELECT * FROM email_outbox WHERE id=$1", [
+    Number(req.params.id),
+  ]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(rows[0]);
+});
+
+/** POST /admin/email-outbox/:id/resend — отправить письмо ещё раз
+ *  Письмо (failed, pending или уже sent) возвращается в очередь со сброшенным
+ *  счётчиком попыток и уходит сразу. Письмо в процессе отправки — 409.
+ *  curl -X POST http://localhost:8000/admin/email-outbox/1/resend \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/email-outbox/:id/resend", canOrders, async (req, res) => {
+  const id = Number(req.params.id);
+  const { rows: oldRows } = await q(
+    "SELECT id, status, attempts FROM email_outbox WHERE id=$1",
+    [id]
+  );
+  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+
+  const { rows } = await q(
+    `UPDATE email_outbox
+       SET status='pending', attempts=0, next_attempt_at=NOW(), last_error=NULL
+     WHERE id=$1 AND status <> 'sending'
+     RETURNING id, kind, to_address, subject, status, attempts, next_attempt_at`,
+    [id]
+  );
+  if (!rows[0]) return res.status(409).json({ error: "EMAIL_SENDING" });
+  kickOutbox();
+  await audit(req, {
+    action: "resend",
+    entity: "email",
+    entityId: id,
+    before: oldRows[0],
+    after: rows[0],
+  });
+  res.json(rows[0]);
+});
+
+/** ---------- ПОЛЬЗОВАТЕЛИ (только admin) ---------- */
+/** Роли: admin — всё, manager — только заказы, editor — только каталог */
+
+const USER_FIELDS =
+  "id, email, name, role, is_active, last_login_at, created_at, updated_at";
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// временный пароль для приглашения/сброса — показывается один раз в ответе
+function genTemporaryPassword() {
+  return crypto.randomBytes(9).toString("base64url");
+}
+
+// остался бы магазин без активного админа, если пользователь id перестанет им быть
+async function isLastActiveAdmin(id) {
+  const { rows } = await q(
+    `SELECT COUNT(*)::int AS cnt FROM users
+     WHERE role='admin' AND is_active=true AND id<>$1`,
+    [id]
+  );
+  return rows[0].cnt === 0;
+}
+
+/** GET /admin/users — список сотрудников
+ *  curl http://localhost:8000/admin/users -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/users", canUsers, async (req, res) => {
+  const { rows } = await q(`SELECT ${USER_FIELDS} FROM users ORDER BY id ASC`);
+  res.json(rows);
+});
+
+r.get("/users/:id", canUsers, async (req, res) => {
+  const { rows } = await q(`SELECT ${USER_FIELDS} FROM users WHERE id=$1`, [
+    Number(req.params.id),
+  ]);
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(rows[0]);
+});
+
+/** POST /admin/users — пригласить сотрудника
+ *  Body: { email, role, name?, password? } — без password генерируется временный
+ *  и возвращается один раз в temporary_password
+ *  curl -X POST http://localhost:8000/admin/users \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"email":"manager@example.com","role":"manager","name":"Ольга"}'
+ */
+r.post("/users", canUsers, async (req, res) => {
+  const { email, role, name = null, password } = req.body || {};
+  const normEmail = String(email || "")
+    .trim()
+    .toLowerCase();
+  if (!EMAIL_RE.test(normEmail))
+    return res.status(400).json({ error: "INVALID_EMAIL" });
+  if (!ROLES.includes(role))
+    return res.status(400).json({ error: "INVALID_ROLE", allowed: ROLES });
+  if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH)
+    return res
+      .status(400)
+      .json({ error: "PASSWORD_TOO_SHORT", min: MIN_PASSWORD_LENGTH });
+
+  const plain = password ?? genTemporaryPassword();
+  const hash = await bcrypt.hash(String(plain), 10);
+  try {
+    const { rows } = await q(
+      `INSERT INTO users(email, password_hash, role, name, is_active)
+       VALUES($1,$2,$3,$4,true)
+       RETURNING ${USER_FIELDS}`,
+      [normEmail, hash, role, name]
+    );
+    await audit(req, {
+      action: "create",
+      entity: "user",
+      entityId: rows[0].id,
+      after: { email: rows[0].email, role, name },
+    });
+    res.status(201).json({
+      ...rows[0],
+      ...(password === undefined ? { temporary_password: plain } : {}),
+    });
+  } catch (e) {
+    if (e.code === "23505")
+      return res.status(409).json({ error: "EMAIL_ALREADY_EXISTS" });
+    throw e;
+  }
+});
+
+/** PATCH /admin/users/:id — сменить роль/имя, деактивировать (is_active=false)
+ *  role — из ROLES, is_active — только boolean, name — строка или null (иначе 400)
+ *  curl -X PATCH http://localhost:8000/admin/users/2 \
+ *    -H "Authorization: Bearer <TOKEN>" -H "Content-Type: application/json" \
+ *    -d '{"is_active":false}'
+ */
+r.patch("/users/:id", canUsers, async (req, res) => {
+  const id = Number(req.params.id);
+  const body = req.body || {};
+  if (!Number.isInteger(id))
+    return res.status(404).json({ error: "NOT_FOUND" });
+
+  // типы проверяем до записи: строка "false" не должна попасть в is_active
+  if ("role" in body && !ROLES.includes(body.role))
+    return res.status(400).json({ error: "INVALID_ROLE", allowed: ROLES });
+  if ("is_active" in body && typeof body.is_active !== "boolean")
+    return res.status(400).json({ error: "INVALID_IS_ACTIVE" });
+  if ("name" in body && body.name !== null && typeof body.name !== "string")
+    return res.status(400).json({ error: "INVALID_NAME" });
+
+  const { rows: oldRows } = await q(
+    `SELECT ${USER_FIELDS} FROM users WHERE id=$1`,
+    [id]
+  );
+  if (!oldRows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  const old = oldRows[0];
+
+  const role = body.role ?? old.role;
+  const is_active = body.is_active ?? old.is_active;
+  const name = "name" in body ? body.name : old.name;
+
+  // себя не понижаем и не отключаем — иначе легко потерять доступ
+  const demoting = role !== old.role || is_active !== old.is_active;
+  if (demoting && id === Number(req.admin.sub))
+    return res.status(409).json({ error: "CANNOT_MODIFY_SELF" });
+  if (
+    old.role === "admin" &&
+    old.is_active &&
+    (role !== "admin" || !is_active) &&
+    (await isLastActiveAdmin(id))
+  )
+    return res.status(409).json({ error: "LAST_ADMIN" });
+
+  const { rows } = await q(
+    `UPDATE users SET role=$1, is_active=$2, name=$3
+     WHERE id=$4
+     RETURNING ${USER_FIELDS}`,
+    [role, is_active, name, id]
+  );
+  // отключённый пользователь выходит отовсюду сразу
+  if (!is_active && old.is_active) await revokeUserSessions(id);
+  await audit(req, {
+    action: "update",
+    entity: "user",
+    entityId: id,
+    before: old,
+    after: rows[0],
+  });
+  res.json(rows[0]);
+});
+
+/** POST /admin/users/:id/reset-password — сбросить пароль
+ *  Body: { password? } — без password генерируется временный (temporary_password)
+ *  curl -X POST http://localhost:8000/admin/users/2/reset-password \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/users/:id/reset-password", canUsers, async (req, res) => {
+  const id = Number(req.params.id);
+  const { password } = req.body || {};
+  if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH)
+    return res
+      .status(400)
+      .json({ error: "PASSWORD_TOO_SHORT", min: MIN_PASSWORD_LENGTH });
+
+  const plain = password ?? genTemporaryPassword();
+  const hash = await bcrypt.hash(String(plain), 10);
+  const { rows } = await q(
+    `UPDATE users SET password_hash=$1 WHERE id=$2 RETURNING ${USER_FIELDS}`,
+    [hash, id]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
+  await revokeUserSessions(id);
+  await audit(req, { action: "password.reset", entity: "user", entityId: id });
+  res.json({
+    ...rows[0],
+    ...(password === undefined ? { temporary_password: plain } : {}),
+  });
+});
+
+/** ---------- ЖУРНАЛ ДЕЙСТВИЙ ---------- */
+/** GET /admin/audit-log — кто, что и когда менял
+ *  Параметры (все необязательны):
+ *   - entity: product | category | media | upload | attribute | order | user
+ *   - entity_id, action (create, update, delete, image.add, status.change, ...)
+ *   - actor_id: id сотрудника
+ *   - from, to: период (ISO-дата или дата-время)
+ *   - page, limit: пагинация (по умолчанию 1 и 50, limit до 200)
+ *  Нечисловые actor_id, page, limit — 400 INVALID_NUMBER.
+ *  Ответ: { entries: [{ id, created_at, actor_id, actor_email, actor_name,
+ *           action, entity, entity_id, changes: { field: { from, to } }, meta, ip }],
+ *           pagination }
+ *  curl "http://localhost:8000/admin/audit-log?entity=product&entity_id=1" \
+ *    -H "Authorization: Bearer <TOKEN>"
+ */
+r.get("/audit-log", canAudit, async (req, res) => {
+  const { entity, entity_id, action, from, to } = req.query;
+
+  // числовые параметры — только положительные целые (в пределах int4), иначе 400
+  const numeric = {};
+  for (const [name, fallback] of [
+    ["actor_id", null],
+    ["page", 1],
+    ["limit", 50],
+  ]) {
+    const value = req.query[name];
+    if (value === undefined || value === "") {
+      numeric[name] = fallback;
+      continue;
+    }
+    const n = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+    if (!Number.isInteger(n) || n < 1 || n > 2147483647)
+      return res.status(400).json({ error: "INVALID_NUMBER", param: name });
+    numeric[name] = n;
+  }
+  const { actor_id, page } = numeric;
+  const limit = Math.min(200, numeric.limit);
+
+  for (const [name, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    if (value && Number.isNaN(Date.parse(value)))
+      return res.status(400).json({ error: "INVALID_DATE", param: name });
+  }
+
+  const params = [];
+  let where = "WHERE 1=1";
+  const add = (cond, value) => {
+    params.push(value);
+    where += ` AND ${cond.replace("?", `$${params.length}`)}`;
+  };
+  if (entity) add("l.entity = ?", String(entity));
+  if (entity_id) add("l.entity_id = ?", String(entity_id));
+  if (action) add("l.action = ?", String(action));
+  if (actor_id) add("l.actor_id = ?", actor_id);
+  if (from) add("l.created_at >= ?", from);
+  if (to) add("l.created_at <= ?", to);
+
+  const { rows: cnt } = await q(
+    `SELECT COUNT(*)::int AS cnt FROM audit_log l ${where}`,
+    params
+  );
+  const { rows: entries } = await q(
+    `SELECT l.id, l.created_at, l.actor_id, u.email AS actor_email, u.name AS actor_name,
+            l.action, l.entity, l.entity_id, l.changes, l.meta, l.ip
+     FROM audit_log l
+     LEFT JOIN users u ON u.id = l.actor_id
+     ${where}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const total = cnt[0].cnt;
+  res.json({
+    entries,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
+
+/** Admin tool: rebuild all category counts */
+/**
+ * curl -X POST http://localhost:8000/admin/tools/recalc-counts \
+ *   -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/tools/recalc-counts", canTools, async (req, res) => {
+  await refreshPublication();
+  await q("SELECT recalc_desc_product_counts()");
+  res.json({ ok: true });
+});
+
+/** Admin tool: создать недостающие копии изображений (для фото, загруженных раньше) */
+/**
+ * curl -X POST http://localhost:8000/admin/tools/generate-renditions \
+ *   -H "Authorization: Bearer <TOKEN>"
+ */
+r.post("/tools/generate-renditions", canTools, async (req, res) => {
+  let products = 0;
+  let media = 0;
+
+  const { rows: prods } = await q(
+    `SELECT id, gallery FROM products
+     WHERE EXISTS (
+       SELECT 1 FROM jsonb_array_elements(gallery) g WHERE g->'renditions' IS NULL OR g->'renditions' = 'null'::jsonb
+     )`
+  );
+  for (const p of prods) {
+    const gallery = p.gallery || [];
+    for (const img of gallery) {
+      if (img.renditions) continue;
+      img.renditions = await createRenditions(img.url);
+      if (img.renditions) products++;
+    }
+    await q(`UPDATE products SET gallery=$1::jsonb WHERE id=$2`, [
+      JSON.stringify(gallery),
+      p.id,
+    ]);
+  }
+
+  const { rows: items } = await q(
+    `SELECT id, url FROM media_library WHERE renditions IS NULL AND url IS NOT NULL`
+  );
+  for (const m of items) {
+    const renditions = await createRenditions(m.url);
+    if (!renditions) continue;
+    await q(`UPDATE media_library SET renditions=$1 WHERE id=$2`, [
+      renditions,
+      m.id,
+    ]);
+    media++;
+  }
+
+  res.json({ ok: true, products_images: products, media_library: media });
 });
 
 export default r;
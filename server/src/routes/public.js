@@ -1,6 +1,41 @@
 import { Router } from "express";
-import { q } from "../db.js";
-import { sendOrderNotification } from "../utils/email.js";
+import { pool, q, tx, Rollback } from "../db.js";
+import crypto from "node:crypto";
+import { sendOrderConfirmation } from "../utils/email.js";
+import { kickOutbox } from "../utils/outbox.js";
+import { notify } from "../utils/notify.js";
+import {
+  ordersByIp,
+  ordersByPhone,
+  promoByIp,
+  phoneKey,
+  checkLimits,
+  rejectThrottled,
+} from "../utils/rateLimit.js";
+import { availabilitySql, reserveStock } from "../utils/stock.js";
+import {
+  buildTsQuery,
+  escapeLike,
+  HEADLINE_OPTIONS,
+  NAME_HEADLINE_OPTIONS,
+  markNameHighlight,
+} from "../utils/search.js";
+import { thumbnailSql } from "../utils/images.js";
+import { liveSql, liveProductSql } from "../utils/publication.js";
+import { getFeed } from "../utils/feeds.js";
+import { findPromo, applyPromo } from "../utils/promo.js";
+import { loadShipments } from "../utils/shipments.js";
+import {
+  availableDeliveryMethods,
+  resolveDelivery,
+  cartWeight,
+  parseDeliveryIds,
+} from "../utils/delivery.js";
+import {
+  attributeValueSql,
+  parseAttributeFilters,
+  attributeFilterSql,
+} from "../utils/attributes.js";
 
 const r = Router();
 
@@ -18,7 +53,7 @@ r.get("/categories/tree", async (req, res) => {
   const { rows } = await q(
     `SELECT id, name, slug, parent_id, desc_product_count, sort_order, description
      FROM categories
-     WHERE is_active=true
+     WHERE ${liveSql()}
      ORDER BY sort_order, name`
   );
 
@@ -87,14 +122,14 @@ r.get("/categories", async (req, res) => {
   const { parent_slug } = req.query;
   if (parent_slug) {
     const { rows: parent } = await q(
-      "SELECT id FROM categories WHERE slug=$1 AND is_active=true",
+      `SELECT id FROM categories WHERE slug=$1 AND ${liveSql()}`,
       [parent_slug]
     );
     if (!parent[0]) return res.json([]);
     const { rows } = await q(
       `SELECT id, name, slug, desc_product_count, sort_order, description
        FROM categories
-       WHERE parent_id=$1 AND is_active=true
+       WHERE parent_id=$1 AND ${liveSql()}
        ORDER BY sort_order, name`,
       [parent[0].id]
     );
@@ -104,7 +139,7 @@ r.get("/categories", async (req, res) => {
   const { rows } = await q(
     `SELECT id, name, slug, parent_id, desc_product_count, sort_order, description
      FROM categories
-     WHERE is_active=true
+     WHERE ${liveSql()}
      ORDER BY parent_id NULLS FIRST, sort_order, name`
   );
   res.json(rows);
@@ -112,15 +147,23 @@ r.get("/categories", async (req, res) => {
 
 /** GET /categories/:slug/products — товары категории (всего поддерева)
  *  Параметры: page, limit, sort=(price_asc|price_desc|name_asc|name_desc|new)
+ *  Фильтры по характеристикам (код атрибута):
+ *   - attr[power][min]=40&attr[power][max]=100 — диапазон (number)
+ *   - attr[wavelength]=10600,1064 — любое из значений (string|enum)
+ *   - attr[autofocus]=true — boolean
+ *  В ответе facets: для каждого фильтруемого атрибута поддерева —
+ *  values[{value,count}] или min/max для number. Счётчики фасета учитывают
+ *  все фильтры, кроме его собственного.
  *  Пример:
  *    curl "http://localhost:8000/categories/laptops/products?sort=price_desc&page=2"
+ *    curl -g "http://localhost:8000/categories/co2-lasers/products?attr[power][min]=60&attr[wavelength]=10600"
  */
 r.get("/categories/:slug/products", async (req, res) => {
   const slug = req.params.slug;
   const { rows: catRows } = await q(
     `SELECT id, name, slug, path, featured_only, description
      FROM categories
-     WHERE slug=$1 AND is_active=true`,
+     WHERE slug=$1 AND ${liveSql()}`,
     [slug]
   );
   const category = catRows[0];
@@ -144,33 +187,105 @@ r.get("/categories/:slug/products", async (req, res) => {
   const orderBy = sortMap[sortKey] || sortMap.new;
 
   const onlyFeatured = !!category.featured_only;
-
-  const listParams = [category.path, limit, offset];
   const featuredCond = onlyFeatured ? "AND p.is_featured=true" : "";
 
+  // характеристики поддерева: объявленные на самой категории, предках и потомках
+  const { rows: attrRows } = await q(
+    `SELECT a.id, a.code, a.name, a.type, a.unit, a.options
+     FROM attributes a
+     JOIN categories ac ON ac.id = a.category_id
+     WHERE a.is_filterable=true
+       AND (ac.path = $1 OR ac.path LIKE $1 || '/%' OR $1 LIKE ac.path || '/%')
+     ORDER BY a.sort_order, a.name`,
+    [category.path]
+  );
+  // один код может быть объявлен в нескольких ветках — объединяем по коду
+  const defsByCode = new Map();
+  for (const a of attrRows) {
+    const def = defsByCode.get(a.code);
+    if (!def) defsByCode.set(a.code, { ...a, ids: [a.id] });
+    else if (def.type === a.type) def.ids.push(a.id);
+  }
+  const filters = parseAttributeFilters(req.query.attr, defsByCode);
+
+  // WHERE для товаров поддерева с учётом фильтров (кроме exceptCode)
+  const whereSql = (params, exceptCode = null) => {
+    params.push(category.path);
+    const n = params.length;
+    let sql = `${liveProductSql("p")}
+       AND (c.path = $${n} OR c.path LIKE $${n} || '/%')
+       ${featuredCond}`;
+    for (const f of filters) {
+      if (f.code !== exceptCode) sql += ` AND ${attributeFilterSql(f, params)}`;
+    }
+    return sql;
+  };
+
+  const listParams = [];
+  const listWhere = whereSql(listParams);
+  listParams.push(limit, offset);
   const { rows: products } = await q(
-    `SELECT p.id, p.name, p.slug, p.price, p.primary_image_url, p.doc_url
+    `SELECT p.id, p.name, p.slug, p.price, p.primary_image_url, p.doc_url,
+            ${thumbnailSql("p")} AS thumbnail_url,
+            ${availabilitySql("p")} AS availability
      FROM products p
      JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true
-       AND (c.path = $1 OR c.path LIKE $1 || '/%')
-       ${featuredCond}
+     WHERE ${listWhere}
      ORDER BY ${orderBy}
-     LIMIT $2 OFFSET $3`,
+     LIMIT $${listParams.length - 1} OFFSET $${listParams.length}`,
     listParams
   );
 
+  const cntParams = [];
+  const cntWhere = whereSql(cntParams);
   const { rows: cntRows } = await q(
     `SELECT COUNT(*)::int AS cnt
      FROM products p
      JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true
-       AND (c.path = $1 OR c.path LIKE $1 || '/%')
-       ${featuredCond}`,
-    [category.path]
+     WHERE ${cntWhere}`,
+    cntParams
   );
   const total = cntRows[0]?.cnt || 0;
 
+  // фасеты
+  const facets = await Promise.all(
+    [...defsByCode.values()].map(async (def) => {
+      const params = [];
+      const where = whereSql(params, def.code);
+      params.push(def.ids);
+      const from = `FROM products p
+         JOIN categories c ON c.id = p.category_id
+         JOIN product_attribute_values v
+           ON v.product_id = p.id AND v.attribute_id = ANY($${params.length}::int[])
+         WHERE ${where}`;
+      const facet = {
+        code: def.code,
+        name: def.name,
+        type: def.type,
+        unit: def.unit,
+      };
+      if (def.type === "number") {
+        const { rows } = await q(
+          `SELECT MIN(v.value_number)::float8 AS min,
+                  MAX(v.value_number)::float8 AS max,
+                  COUNT(DISTINCT p.id)::int AS count
+           ${from}`,
+          params
+        );
+        return { ...facet, ...rows[0] };
+      }
+      const col = def.type === "boolean" ? "v.value_bool" : "v.value_text";
+      const { rows } = await q(
+        `SELECT ${col} AS value, COUNT(DISTINCT p.id)::int AS count
+         ${from}
+         GROUP BY ${col}
+         ORDER BY count DESC, value`,
+        params
+      );
+      return { ...facet, values: rows };
+    })
+  );
+
   res.json({
     category: {
       id: category.id,
@@ -179,6 +294,7 @@ r.get("/categories/:slug/products", async (req, res) => {
       description: category.description,
     },
     products,
+    facets: facets.filter((f) => (f.values ? f.values.length : f.count)),
     pagination: { page, limit, total, pages: Math.ceil(total / limit) },
   });
 });
@@ -198,7 +314,7 @@ r.get("/categories/:slug", async (req, res) => {
   const { rows: catRows } = await q(
     `SELECT id, name, slug, path, featured_only, desc_product_count, description
      FROM categories
-     WHERE slug=$1 AND is_active=true`,
+     WHERE slug=$1 AND ${liveSql()}`,
     [slug]
   );
   const category = catRows[0];
@@ -208,17 +324,19 @@ r.get("/categories/:slug", async (req, res) => {
   const { rows: children } = await q(
     `SELECT id, name, slug, desc_product_count, sort_order, description
      FROM categories
-     WHERE parent_id=$1 AND is_active=true
+     WHERE parent_id=$1 AND ${liveSql()}
      ORDER BY sort_order, name`,
     [category.id]
   );
 
   // 2) Featured товары в поддереве (как у тебя)
   const { rows: featured } = await q(
-    `SELECT p.id, p.name, p.slug, p.price, p.primary_image_url, p.doc_url
+    `SELECT p.id, p.name, p.slug, p.price, p.primary_image_url, p.doc_url,
+            ${thumbnailSql("p")} AS thumbnail_url,
+            ${availabilitySql("p")} AS availability
      FROM products p
      JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true AND p.is_featured=true
+     WHERE ${liveProductSql("p")} AND p.is_featured=true
        AND (c.path = $1 OR c.path LIKE $1 || '/%')
      ORDER BY p.id ASC
      LIMIT 3`,
@@ -243,6 +361,7 @@ r.get("/categories/:slug", async (req, res) => {
           p.name,
           p.slug,
           p.primary_image_url,
+          ${thumbnailSql("p")} AS thumbnail_url,
           ROW_NUMBER() OVER (
             PARTITION BY cp.child_id
             ORDER BY p.is_featured DESC, p.id ASC
@@ -250,9 +369,9 @@ r.get("/categories/:slug", async (req, res) => {
         FROM child_paths cp
         JOIN categories c ON (c.path = cp.child_path OR c.path LIKE cp.child_path || '/%')
         JOIN products p ON p.category_id = c.id
-        WHERE p.is_active = true
+        WHERE ${liveProductSql("p")}
       )
-      SELECT child_id AS category_id, id, name, slug, primary_image_url
+      SELECT child_id AS category_id, id, name, slug, primary_image_url, thumbnail_url
       FROM ranked
       WHERE rn <= 3
       ORDER BY category_id, rn;
@@ -268,6 +387,7 @@ r.get("/categories/:slug", async (req, res) => {
         name: row.name,
         slug: row.slug,
         primary_image_url: row.primary_image_url,
+        thumbnail_url: row.thumbnail_url,
       });
     }
 
@@ -300,10 +420,12 @@ r.get("/categories/:slug", async (req, res) => {
   const onlyFeatured = !!category.featured_only;
 
   const { rows: products } = await q(
-    `SELECT p.id, p.name, p.slug, p.price, p.primary_image_url, p.gallery, p.doc_url
+    `SELECT p.id, p.name, p.slug, p.price, p.primary_image_url, p.gallery, p.doc_url,
+            ${thumbnailSql("p")} AS thumbnail_url,
+            ${availabilitySql("p")} AS availability
      FROM products p
      JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true
+     WHERE ${liveProductSql("p")}
        AND (c.path = $1 OR c.path LIKE $1 || '/%')
        ${onlyFeatured ? "AND p.is_featured=true" : ""}
      ORDER BY ${orderBy}
@@ -315,7 +437,7 @@ r.get("/categories/:slug", async (req, res) => {
     `SELECT COUNT(*)::int AS cnt
      FROM products p
      JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true
+     WHERE ${liveProductSql("p")}
        AND (c.path = $1 OR c.path LIKE $1 || '/%')
        ${onlyFeatured ? "AND p.is_featured=true" : ""}`,
     [category.path]
@@ -333,14 +455,17 @@ r.get("/categories/:slug", async (req, res) => {
 /** ---------- ПУБЛИЧНЫЕ ТОВАРЫ / ПОИСК ---------- */
 /** GET /products
  *  Параметры:
- *   - q: строка поиска по name (ILIKE)
+ *   - q: полнотекстовый поиск по name, sku, content_html, specs_html
+ *        (русская морфология, префиксы слов; в ответе name_highlight и snippet с <mark>;
+ *        name_highlight — название, экранированное как HTML)
  *   - category (slug): ограничить поддеревом категории
- *   - page, limit, sort=(price_asc|price_desc|name_asc|name_desc|new)
+ *   - page, limit, sort=(relevance|price_asc|price_desc|name_asc|name_desc|new)
+ *     при заданном q по умолчанию relevance, иначе new
  *  Примеры:
  *  - Последние товары:
  *    curl http://localhost:8000/products
  *  - Поиск по строке:
- *    curl "http://localhost:8000/products?q=mac"
+ *    curl "http://localhost:8000/products?q=лазерный%20станок"
  *  - Поиск в категории (slug):
  *    curl "http://localhost:8000/products?category=laptops&sort=price_desc&page=2&limit=12"
  */
@@ -356,13 +481,14 @@ r.get("/products", async (req, res) => {
   const offset = (page - 1) * limit;
 
   const sortMap = {
+    relevance: "rank DESC, p.id ASC",
     price_asc: "p.price ASC",
     price_desc: "p.price DESC",
     name_asc: "p.name ASC",
     name_desc: "p.name DESC",
     new: "p.id ASC",
   };
-  const sortKey = (req.query.sort || "new").toLowerCase();
+  const sortKey = (req.query.sort || (qStr ? "relevance" : "new")).toLowerCase();
   const orderBy = sortMap[sortKey] || sortMap.new;
 
   // если пришёл category=slug — найдём path
@@ -370,7 +496,7 @@ r.get("/products", async (req, res) => {
   let params = [];
   if (catSlug) {
     const { rows: cat } = await q(
-      "SELECT path FROM categories WHERE slug=$1 AND is_active=true",
+      `SELECT path FROM categories WHERE slug=$1 AND ${liveSql()}`,
       [catSlug]
     );
     if (!cat[0])
@@ -382,25 +508,49 @@ r.get("/products", async (req, res) => {
     pathCond = "AND (c.path = $1 OR c.path LIKE $1 || '/%')";
   }
 
-  // строка поиска
+  // строка поиска: tsvector-индекс + точное начало sku
   let searchCond = "";
-  if (qStr) {
-    params.push(`%${qStr}%`);
-    searchCond += ` AND p.name ILIKE $${params.length}`;
+  let rankSql = "0";
+  let headlineSql = "";
+  const tsQuery = qStr ? buildTsQuery(qStr) : null;
+  if (tsQuery) {
+    params.push(tsQuery);
+    const tsq = `to_tsquery('russian', $${params.length})`;
+    params.push(`${escapeLike(qStr)}%`);
+    searchCond = ` AND (p.search_vector @@ ${tsq} OR p.sku ILIKE $${params.length} ESCAPE '\\')`;
+    rankSql = `ts_rank_cd(p.search_vector, ${tsq})`;
+    headlineSql = `,
+       ts_headline('russian', p.name, ${tsq}, '${NAME_HEADLINE_OPTIONS}') AS name_highlight,
+       ts_headline('russian', html_to_text(p.content_html) || ' ' || html_to_text(p.specs_html),
+                   ${tsq}, '${HEADLINE_OPTIONS}') AS snippet`;
+  } else if (qStr) {
+    // в строке нет ни одного слова — ищем по подстроке, как раньше
+    params.push(`%${escapeLike(qStr)}%`);
+    searchCond = ` AND p.name ILIKE $${params.length} ESCAPE '\\'`;
   }
 
-  // данные
+  // данные (подсветку считаем только для текущей страницы)
   params.push(limit);
   params.push(offset);
   const { rows: products } = await q(
-    `SELECT p.id, p.name, p.slug, p.primary_image_url AS image
-     FROM products p
-     JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true
-       ${pathCond}
-       ${searchCond}
-     ORDER BY ${orderBy}
-     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    `WITH found AS (
+       SELECT p.id, p.name, p.slug, p.price, p.primary_image_url,
+              ${thumbnailSql("p")} AS thumbnail_url,
+              p.content_html, p.specs_html,
+              ${availabilitySql("p")} AS availability,
+              ${rankSql} AS rank
+       FROM products p
+       JOIN categories c ON c.id = p.category_id
+       WHERE ${liveProductSql("p")}
+         ${pathCond}
+         ${searchCond}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length - 1} OFFSET $${params.length}
+     )
+     SELECT p.id, p.name, p.slug, p.primary_image_url AS image, p.thumbnail_url,
+            p.availability${headlineSql}
+     FROM found p
+     ORDER BY ${orderBy}`,
     params
   );
 
@@ -410,12 +560,15 @@ r.get("/products", async (req, res) => {
     `SELECT COUNT(*)::int AS cnt
      FROM products p
      JOIN categories c ON c.id = p.category_id
-     WHERE p.is_active=true
+     WHERE ${liveProductSql("p")}
        ${pathCond}
        ${searchCond}`,
     countParams
   );
   const total = cntRows[0]?.cnt || 0;
+  if (tsQuery)
+    for (const p of products)
+      p.name_highlight = markNameHighlight(p.name_highlight);
 
   res.json({
     products,
@@ -424,6 +577,28 @@ r.get("/products", async (req, res) => {
 });
 
 /** ---------- КАРТОЧКА ТОВАРА ---------- */
+// поля карточки; служебные (search_vector, публикация, корзина) наружу не отдаём
+const PUBLIC_PRODUCT_COLUMNS = [
+  "id",
+  "name",
+  "slug",
+  "sku",
+  "price",
+  "is_active",
+  "is_featured",
+  "category_id",
+  "primary_image_url",
+  "gallery",
+  "doc_url",
+  "doc_meta",
+  "content_html",
+  "specs_html",
+  "has_docs",
+  "weight_grams",
+  "created_at",
+  "updated_at",
+];
+
 /**
  * GET /products/:slug — карточка
  * Пример:
@@ -431,28 +606,354 @@ r.get("/products", async (req, res) => {
  */
 r.get("/products/:slug", async (req, res) => {
   const { rows } = await q(
-    "SELECT * FROM products WHERE slug=$1 AND is_active=true",
+    `SELECT ${PUBLIC_PRODUCT_COLUMNS.map((c) => `p.${c}`).join(", ")},
+            ${availabilitySql("p")} AS availability
+     FROM products p
+     WHERE p.slug=$1 AND ${liveProductSql("p")}`,
     [req.params.slug]
   );
   if (!rows[0]) return res.status(404).json({ error: "NOT_FOUND" });
-  res.json(rows[0]);
+
+  // характеристики товара
+  const { rows: attributes } = await q(
+    `SELECT a.code, a.name, a.type, a.unit, ${attributeValueSql("v")} AS value
+     FROM product_attribute_values v
+     JOIN attributes a ON a.id = v.attribute_id
+     WHERE v.product_id=$1
+     ORDER BY a.sort_order, a.name`,
+    [rows[0].id]
+  );
+
+  // активные варианты; image — фото из галереи по image_id
+  const { rows: variants } = await q(
+    `SELECT v.id, v.name, v.sku, v.price, v.options, v.image_id,
+            ${availabilitySql("v")} AS availability
+     FROM product_variants v
+     WHERE v.product_id=$1 AND v.is_active=true
+     ORDER BY v.sort_order, v.id`,
+    [rows[0].id]
+  );
+  const gallery = rows[0].gallery || [];
+  for (const v of variants) {
+    v.image = gallery.find((g) => g.id === v.image_id) || null;
+  }
+
+  res.json({ ...rows[0], attributes, variants });
 });
 
+/** ---------- ТОВАРНЫЕ ФИДЫ ---------- */
+/** Фиды собираются из опубликованных товаров и категорий и кэшируются в памяти;
+ *  пересобираются автоматически, как только меняются товары, варианты или категории.
+ *  Ссылки строятся от SITE_URL (страница товара — SITE_URL/products/:slug),
+ *  картинки — от API_PUBLIC_URL.
+ */
+
+async function sendFeed(res, format) {
+  let feed;
+  try {
+    feed = await getFeed(format);
+  } catch (e) {
+    console.error(`Feed ${format} generation error:`, e);
+    return res.status(500).json({ error: "FEED_GENERATION_FAILED" });
+  }
+  res.set("Content-Type", "application/xml; charset=utf-8");
+  res.set("Last-Modified", feed.generatedAt.toUTCString());
+  res.send(feed.body);
+}
+
+/** GET /feeds/yandex.yml — каталог в формате Яндекс Маркета (YML)
+ *  curl http://localhost:8000/feeds/yandex.yml
+ */
+r.get("/feeds/yandex.yml", (req, res) => sendFeed(res, "yml"));
+
+/** GET /feeds/google.xml — фид Google Merchant Center (RSS 2.0)
+ *  curl http://localhost:8000/feeds/google.xml
+ */
+r.get("/feeds/google.xml", (req, res) => sendFeed(res, "google"));
+
 /** ---------- ОФОРМЛЕНИЕ ЗАКАЗА ---------- */
+// позиции корзины из тела запроса: [{ product_id, variant_id?, qty }]
+function parseCartItems(items) {
+  if (!Array.isArray(items) || items.length === 0)
+    return { error: { error: "ITEMS_REQUIRED" } };
+  for (const it of items) {
+    const qty = Number(it.qty || 0);
+    if (!Number.isInteger(qty) || qty <= 0)
+      return { error: { error: "INVALID_QTY", product_id: it.product_id } };
+  }
+  return {
+    lines: items.map((it) => ({
+      product_id: Number(it.product_id),
+      variant_id: it.variant_id ? Number(it.variant_id) : null,
+      qty: Number(it.qty),
+    })),
+  };
+}
+
+/**
+ * Цены позиций корзины: проверяет товары и варианты, проставляет
+ * line.price и line.weight_grams (вес варианта или товара).
+ * @returns {Promise<{ subtotal: number } | { error: { code: number, body: object } }>}
+ */
+async function priceCart(db, lines) {
+  const ids = lines.map((l) => l.product_id).filter(Boolean);
+  const { rows: prods } = await db.query(
+    `SELECT p.id, p.price, ${liveProductSql("p")} AS is_live, p.weight_grams,
+            EXISTS (
+              SELECT 1 FROM product_variants v
+              WHERE v.product_id = p.id AND v.is_active=true
+            ) AS has_variants
+     FROM products p
+     WHERE p.id = ANY($1::int[])`,
+    [ids]
+  );
+  const map = new Map(prods.map((p) => [p.id, p]));
+
+  const variantIds = lines.map((l) => l.variant_id).filter(Boolean);
+  const { rows: vars } = await db.query(
+    `SELECT id, product_id, price, is_active, weight_grams
+     FROM product_variants
+     WHERE id = ANY($1::int[])`,
+    [variantIds]
+  );
+  const variantMap = new Map(vars.map((v) => [v.id, v]));
+
+  const invalid = (body) => ({ error: { code: 400, body } });
+  let subtotal = 0;
+  for (const line of lines) {
+    const p = map.get(line.product_id);
+    if (!p || !p.is_live)
+      return invalid({ error: "INVALID_PRODUCT", product_id: line.product_id });
+    if (line.variant_id) {
+      const v = variantMap.get(line.variant_id);
+      if (!v || !v.is_active || v.product_id !== p.id)
+        return invalid({
+          error: "INVALID_VARIANT",
+          product_id: line.product_id,
+          variant_id: line.variant_id,
+        });
+      line.price = v.price;
+      line.weight_grams = v.weight_grams ?? p.weight_grams;
+    } else if (p.has_variants) {
+      // у товара есть варианты — нужно выбрать конкретный
+      return invalid({
+        error: "VARIANT_REQUIRED",
+        product_id: line.product_id,
+      });
+    } else {
+      line.price = p.price;
+      line.weight_grams = p.weight_grams;
+    }
+    subtotal += line.price * line.qty;
+  }
+  return { subtotal };
+}
+
+/**
+ * Расчёт корзины без записи: цены, скидка по промокоду.
+ * Неподходящий промокод не ошибка — скидка 0 и promo_error.
+ * @returns {Promise<{ error: { code, body } } | { lines, subtotal, discount, promo, promo_error }>}
+ */
+async function quoteCart(db, { items, promo_code, phone, email }) {
+  const parsed = parseCartItems(items);
+  if (parsed.error) return { error: { code: 400, body: parsed.error } };
+  const { lines } = parsed;
+
+  const priced = await priceCart(db, lines);
+  if (priced.error) return priced;
+
+  const quote = {
+    lines,
+    subtotal: priced.subtotal,
+    discount: 0,
+    promo: null,
+    promo_error: null,
+  };
+  if (promo_code) {
+    const found = await findPromo(db, promo_code);
+    const applied = found
+      ? await applyPromo(db, found, lines, { phone, email })
+      : { error: "PROMO_NOT_FOUND" };
+    if (applied.error) {
+      quote.promo_error = applied;
+    } else {
+      quote.discount = applied.discount;
+      quote.promo = {
+        code: found.code,
+        description: found.description,
+        discount_type: found.discount_type,
+        discount_value: found.discount_value,
+      };
+    }
+  }
+  return quote;
+}
+
+// Проверка промокода раскрывает, существует ли он, — неизвестные коды
+// считаются по IP, после серии таких попыток промокоды не проверяются (429).
+// Проверка засчитывается сразу, до запроса к БД (иначе параллельные запросы
+// проскочат лимит), и снимается в settlePromoCheck, если код нашёлся
+function promoThrottled(req, res, promoCode) {
+  if (!promoCode) return false;
+  const blocked = checkLimits([[promoByIp, req.ip]]);
+  if (blocked) {
+    rejectThrottled(req, res, blocked);
+    return true;
+  }
+  promoByIp.hit(req.ip);
+  return false;
+}
+
+function settlePromoCheck(req, promoCode, promoError) {
+  if (promoCode && promoError?.error !== "PROMO_NOT_FOUND")
+    promoByIp.unhit(req.ip);
+}
+
+// параметры корзины для тарифов доставки
+const deliveryCart = (quote, zoneId) => ({
+  amount: quote.subtotal - quote.discount,
+  weight_grams: cartWeight(quote.lines),
+  zone_id: zoneId,
+});
+
+/** POST /cart/quote — предварительный расчёт корзины (ничего не сохраняет)
+ *  Body: { items: [{ product_id, variant_id?, qty }], promo_code?, phone?, email?,
+ *          delivery_method_id?, delivery_zone_id?, address? }
+ *  phone/email нужны, чтобы проверить лимит промокода на покупателя.
+ *  Неизвестные промокоды считаются по IP (PROMO_*): после серии — 429 TOO_MANY_REQUESTS.
+ *  Неподходящий промокод не ошибка: расчёт без скидки + promo_error
+ *  (PROMO_NOT_FOUND | PROMO_INACTIVE | PROMO_NOT_STARTED | PROMO_EXPIRED |
+ *   PROMO_MIN_ORDER | PROMO_USAGE_LIMIT | PROMO_CUSTOMER_LIMIT | PROMO_NOT_APPLICABLE).
+ *  С delivery_method_id считается и доставка; недоступный способ — delivery_error
+ *  (DELIVERY_METHOD_NOT_FOUND | DELIVERY_ZONE_NOT_FOUND | ADDRESS_REQUIRED | DELIVERY_UNAVAILABLE).
+ *  Нецелые delivery_method_id / delivery_zone_id — 400 INVALID_DELIVERY_METHOD / INVALID_DELIVERY_ZONE.
+ *  Ответ: { items: [{ product_id, variant_id, qty, price, line_total }],
+ *           subtotal_amount, discount_amount, promo, promo_error,
+ *           weight_grams, delivery, delivery_error, delivery_amount, total_amount }
+ *  curl -X POST http://localhost:8000/cart/quote \
+ *    -H "Content-Type: application/json" \
+ *    -d '{"items":[{"product_id":1,"qty":2}],"promo_code":"SPRING10","delivery_method_id":2,"delivery_zone_id":1}'
+ */
+r.post("/cart/quote", async (req, res) => {
+  const body = req.body || {};
+  const ids = parseDeliveryIds(body);
+  if (ids.error) return res.status(400).json(ids);
+  if (promoThrottled(req, res, body.promo_code)) return;
+  const quote = await quoteCart(pool, body);
+  settlePromoCheck(req, body.promo_code, quote.promo_error);
+  if (quote.error) return res.status(quote.error.code).json(quote.error.body);
+
+  const cart = deliveryCart(quote, ids.zoneId);
+  let delivery = null;
+  let deliveryError = null;
+  if (ids.methodId) {
+    const resolved = await resolveDelivery(
+      pool,
+      {
+        methodId: ids.methodId,
+        zoneId: cart.zone_id,
+        address: body.address,
+      },
+      cart
+    );
+    if (resolved.error) deliveryError = resolved;
+    else delivery = { ...resolved.method, zone: resolved.zone };
+  }
+  const deliveryAmount = delivery ? delivery.price : 0;
+
+  res.json({
+    items: quote.lines.map(({ weight_grams, ...l }) => ({
+      ...l,
+      line_total: l.price * l.qty,
+    })),
+    subtotal_amount: quote.subtotal,
+    discount_amount: quote.discount,
+    promo: quote.promo,
+    promo_error: quote.promo_error,
+    weight_grams: cart.weight_grams,
+    delivery,
+    delivery_error: deliveryError,
+    delivery_amount: deliveryAmount,
+    total_amount: quote.subtotal - quote.discount + deliveryAmount,
+  });
+});
+
+/** GET /delivery/zones — зоны доставки (для выбора в корзине)
+ *  curl http://localhost:8000/delivery/zones
+ */
+r.get("/delivery/zones", async (_req, res) => {
+  const { rows } = await q(
+    `SELECT id, name, description FROM delivery_zones
+     WHERE is_active=true ORDER BY sort_order, name`
+  );
+  res.json(rows);
+});
+
+/** POST /delivery/methods — способы доставки, доступные для корзины, с ценой
+ *  Body: { items: [{ product_id, variant_id?, qty }], delivery_zone_id?, promo_code? }
+ *  Цена зависит от веса корзины, суммы товаров (после скидки) и зоны.
+ *  Ответ: { weight_grams, amount, methods: [{ id, code, name, description, type,
+ *           requires_address, free_from_amount, price }] }
+ *  curl -X POST http://localhost:8000/delivery/methods \
+ *    -H "Content-Type: application/json" \
+ *    -d '{"items":[{"product_id":1,"qty":1}],"delivery_zone_id":1}'
+ */
+r.post("/delivery/methods", async (req, res) => {
+  const body = req.body || {};
+  const ids = parseDeliveryIds(body);
+  if (ids.error) return res.status(400).json(ids);
+  if (promoThrottled(req, res, body.promo_code)) return;
+  const quote = await quoteCart(pool, body);
+  settlePromoCheck(req, body.promo_code, quote.promo_error);
+  if (quote.error) return res.status(quote.error.code).json(quote.error.body);
+  const cart = deliveryCart(quote, ids.zoneId);
+  const methods = await availableDeliveryMethods(pool, cart);
+  res.json({ weight_grams: cart.weight_grams, amount: cart.amount, methods });
+});
+
 /**
  * POST /orders — создать заказ
  * Пример:
  * curl -X POST http://localhost:8000/orders \
  *   -H "Content-Type: application/json" \
  *   -d '{
+ *     "idempotency_key":"7f9c2ba4-checkout-1",
  *     "customer_name":"Иван",
  *     "email":"ivan@example.com",
  *     "phone":"+79990000000",
  *     "comment":"Позвонить перед доставкой",
- *     "items":[{"product_id":1,"qty":2},{"product_id":2,"qty":1}]
+ *     "promo_code":"SPRING10",
+ *     "delivery_method_id":2, "delivery_zone_id":1,
+ *     "items":[{"product_id":1,"qty":2},{"product_id":2,"variant_id":5,"qty":1}]
  *   }'
+ * Для товара с вариантами variant_id обязателен (иначе 400 VARIANT_REQUIRED),
+ * цена берётся из варианта.
+ * promo_code необязателен; неподходящий — 400 с кодом ошибки, как promo_error
+ * в POST /cart/quote. Скидка сохраняется в заказе (discount_amount, promo_code).
+ * delivery_method_id необязателен; стоимость доставки (delivery_amount) входит
+ * в total_amount и хранится отдельно. Недоступный способ — 400
+ * (DELIVERY_METHOD_NOT_FOUND | DELIVERY_ZONE_NOT_FOUND | ADDRESS_REQUIRED | DELIVERY_UNAVAILABLE),
+ * нецелые id способа или зоны — 400 INVALID_DELIVERY_METHOD / INVALID_DELIVERY_ZONE.
+ * Если товара не хватает на складе (и не разрешён заказ сверх остатка) —
+ * 409 { error: "OUT_OF_STOCK", items: [{ product_id, requested, available }] }
+ * Ответ 201: { order_id, total_amount, discount_amount, delivery_amount, tracking_token } — tracking_token нужен
+ * для GET /orders/:id?token=..., ссылка с ним уходит покупателю в письме.
+ * Повтор с тем же idempotency_key возвращает исходный ответ
+ * с заголовком Idempotent-Replayed: true; tracking_token в нём — только если
+ * phone или email совпадают с заказом (иначе null).
+ * Непредвиденная ошибка — 500 ORDER_FAILED (заказ не создаётся).
  */
 r.post("/orders", async (req, res) => {
+  // любая ошибка (БД и т.п.) — 500, а не повисший запрос
+  try {
+    await createOrder(req, res);
+  } catch (e) {
+    console.error("Order creation error:", e);
+    if (!res.headersSent) res.status(500).json({ error: "ORDER_FAILED" });
+  }
+});
+
+async function createOrder(req, res) {
   const {
     idempotency_key = null,
     customer_name,
@@ -460,86 +961,329 @@ r.post("/orders", async (req, res) => {
     phone,
     comment,
     address = null,
+    promo_code = null,
+    delivery_method_id = null,
+    delivery_zone_id = null,
     items,
   } = req.body || {};
-  if (!Array.isArray(items) || items.length === 0)
-    return res.status(400).json({ error: "ITEMS_REQUIRED" });
+  const parsed = parseCartItems(items);
+  if (parsed.error) return res.status(400).json(parsed.error);
+  const { lines } = parsed;
+  const deliveryIds = parseDeliveryIds({
+    delivery_method_id,
+    delivery_zone_id,
+  });
+  if (deliveryIds.error) return res.status(400).json(deliveryIds);
+
+  // повтор с тем же ключом — отдаём исходный ответ
+  const customer = { phone, email };
+  if (idempotency_key && (await replayOrder(res, idempotency_key, customer)))
+    return;
+
+  // защита от флуда заказами (и письмами): лимиты по IP и по телефону;
+  // засчитываются только созданные заказы — исправление ошибок формы не блокирует.
+  // Слот занимаем сразу, чтобы параллельные запросы не проскочили проверку,
+  // и освобождаем, если заказ не создан
+  const phoneLimitKey = phoneKey(phone);
+  const blocked = checkLimits([
+    [ordersByIp, req.ip],
+    [ordersByPhone, phoneLimitKey],
+    [promoByIp, promo_code ? req.ip : null],
+  ]);
+  if (blocked) return rejectThrottled(req, res, blocked);
+  ordersByIp.hit(req.ip);
+  if (phoneLimitKey) ordersByPhone.hit(phoneLimitKey);
+  if (promo_code) promoByIp.hit(req.ip);
+  const releaseOrderSlot = () => {
+    ordersByIp.unhit(req.ip);
+    if (phoneLimitKey) ordersByPhone.unhit(phoneLimitKey);
+  };
+
+  // весь checkout — одна транзакция: либо заказ целиком, либо ничего
+  const result = await tx(async (client) => {
+    const priced = await priceCart(client, lines);
+    if (priced.error) throw new Rollback(priced.error);
 
-  if (idempotency_key) {
-    const { rows: ex } = await q(
-      "SELECT id FROM orders WHERE idempotency_key=$1",
-      [idempotency_key]
+    let promo = null;
+    let discount = 0;
+    if (promo_code) {
+      promo = await findPromo(client, promo_code, { forUpdate: true });
+      const applied = promo
+        ? await applyPromo(client, promo, lines, { phone, email })
+        : { error: "PROMO_NOT_FOUND" };
+      if (applied.error) throw new Rollback({ code: 400, body: applied });
+      discount = applied.discount;
+    }
+
+    let delivery = null;
+    if (deliveryIds.methodId) {
+      delivery = await resolveDelivery(
+        client,
+        {
+          methodId: deliveryIds.methodId,
+          zoneId: deliveryIds.zoneId,
+          address,
+        },
+        {
+          amount: priced.subtotal - discount,
+          weight_grams: cartWeight(lines),
+        }
+      );
+      if (delivery.error) throw new Rollback({ code: 400, body: delivery });
+    }
+    const deliveryAmount = delivery ? delivery.price : 0;
+    const total = priced.subtotal - discount + deliveryAmount;
+
+    // при гонке двух запросов с одним ключом второй INSERT дождётся коммита
+    // первого и вместо unique violation просто ничего не вставит
+    const { rows: ord } = await client.query(
+      `INSERT INTO orders(customer_name,email,phone,comment,address,total_amount,idempotency_key,
+                          subtotal_amount,discount_amount,promo_code_id,promo_code,
+                          delivery_method_id,delivery_method_name,delivery_zone_id,delivery_zone_name,delivery_amount)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING id, tracking_token`,
+      [
+        customer_name,
+        email,
+        phone,
+        comment,
+        address,
+        total,
+        idempotency_key,
+        priced.subtotal,
+        discount,
+        promo?.id ?? null,
+        promo?.code ?? null,
+        delivery?.method.id ?? null,
+        delivery?.method.name ?? null,
+        delivery?.zone?.id ?? null,
+        delivery?.zone?.name ?? null,
+        deliveryAmount,
+      ]
     );
-    if (ex[0])
-      return res.status(200).json({ order_id: ex[0].id, status: "duplicate" });
-  }
+    if (!ord[0]) throw new Rollback({ replay: true });
+    const orderId = ord[0].id;
 
-  const ids = items.map((it) => Number(it.product_id)).filter(Boolean);
-  const { rows: prods } = await q(
-    `SELECT id, price, is_active FROM products WHERE id = ANY($1::int[])`,
-    [ids]
-  );
-  const map = new Map(prods.map((p) => [p.id, p]));
-  let total = 0;
-  for (const it of items) {
-    const p = map.get(Number(it.product_id));
-    if (!p || !p.is_active)
-      return res
-        .status(400)
-        .json({ error: "INVALID_PRODUCT", product_id: it.product_id });
-    const qty = Number(it.qty || 0);
-    if (!Number.isInteger(qty) || qty <= 0)
-      return res
-        .status(400)
-        .json({ error: "INVALID_QTY", product_id: it.product_id });
-    total += p.price * qty;
+    // списываем остатки (всё или ничего)
+    const stock = await reserveStock(client, lines);
+    if (stock.shortages.length)
+      throw new Rollback({
+        code: 409,
+        body: { error: "OUT_OF_STOCK", items: stock.shortages },
+      });
+
+    await client.query(
+      `INSERT INTO order_status_history(order_id, from_status, to_status)
+       VALUES($1, NULL, 'new')`,
+      [orderId]
+    );
+
+    const values = [];
+    const params = [];
+    let i = 1;
+    for (const line of lines) {
+      const reservedQty = stock.tracked(line) ? line.qty : 0;
+      values.push(`($${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++})`);
+      params.push(
+        orderId,
+        line.product_id,
+        line.variant_id,
+        line.qty,
+        line.price,
+        reservedQty
+      );
+    }
+    await client.query(
+      `INSERT INTO order_items(order_id, product_id, variant_id, qty, price_at_purchase, reserved_qty)
+       VALUES ${values.join(",")}`,
+      params
+    );
+
+    // Полная информация о заказе и товарах для писем и уведомлений
+    const { rows: orderRows } = await client.query(
+      `SELECT id, created_at, customer_name, email, phone, comment, address, total_amount, status, tracking_token,
+              subtotal_amount, discount_amount, promo_code,
+              delivery_method_name, delivery_zone_name, delivery_amount
+       FROM orders WHERE id=$1`,
+      [orderId]
+    );
+    const { rows: orderItems } = await client.query(
+      `SELECT oi.product_id, oi.variant_id, oi.qty, oi.price_at_purchase,
+              CASE WHEN pv.id IS NULL THEN p.name
+                   ELSE p.name || ' — ' || pv.name END AS product_name
+       FROM order_items oi
+       LEFT JOIN products p ON p.id = oi.product_id
+       LEFT JOIN product_variants pv ON pv.id = oi.variant_id
+       WHERE oi.order_id=$1
+       ORDER BY oi.id`,
+      [orderId]
+    );
+    // подтверждение покупателю — в той же транзакции: заказ без письма
+    // в очереди не сохранится, даже если процесс упадёт сразу после коммита;
+    // сломанный шаблон не мешает — письмо уйдёт простым текстом
+    await sendOrderConfirmation(orderRows[0], orderItems, client);
+
+    return {
+      code: 201,
+      body: {
+        order_id: orderId,
+        total_amount: total,
+        discount_amount: discount,
+        delivery_amount: deliveryAmount,
+        tracking_token: ord[0].tracking_token,
+      },
+      orderData: orderRows[0],
+      orderItems,
+    };
+  }).catch((e) => {
+    releaseOrderSlot();
+    settlePromoCheck(req, promo_code, null);
+    throw e;
+  });
+
+  settlePromoCheck(req, promo_code, result.replay ? null : result.body);
+  if (result.replay) {
+    releaseOrderSlot();
+    if (await replayOrder(res, idempotency_key, customer)) return;
+    return res.status(409).json({ error: "IDEMPOTENCY_CONFLICT" });
+  }
+  if (result.code !== 201) {
+    releaseOrderSlot();
+    return res.status(result.code).json(result.body);
   }
 
-  const { rows: ord } = await q(
-    `INSERT INTO orders(customer_name,email,phone,comment,address,total_amount,idempotency_key)
-     VALUES($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
-    [customer_name, email, phone, comment, address, total, idempotency_key]
+  // письмо уже в очереди — будим воркер, не дожидаясь его тика
+  kickOutbox();
+
+  // Уведомляем магазин по всем каналам (не блокируем ответ, если ошибка);
+  // tracking_token — секрет покупателя, во внешние каналы (webhook) не уходит
+  const { tracking_token, ...order } = result.orderData;
+  notify("order.created", { order, items: result.orderItems }).catch((err) => {
+    console.error("Order notification error:", err);
+  });
+
+  return res.status(201).json(result.body);
+}
+
+// совпадает ли покупатель повтора с покупателем заказа (телефон или email)
+function sameCustomer(order, { phone, email }) {
+  const key = phoneKey(phone);
+  if (key && phoneKey(order.phone) === key) return true;
+  return Boolean(
+    email &&
+      order.email &&
+      String(email).trim().toLowerCase() === order.email.trim().toLowerCase()
   );
-  const orderId = ord[0].id;
+}
 
-  const values = [];
-  const params = [];
-  let i = 1;
-  for (const it of items) {
-    const p = map.get(Number(it.product_id));
-    values.push(`($${i++}, $${i++}, $${i++}, $${i++})`);
-    params.push(orderId, Number(it.product_id), Number(it.qty), p.price);
-  }
-  await q(
-    `INSERT INTO order_items(order_id, product_id, qty, price_at_purchase)
-     VALUES ${values.join(",")}`,
-    params
+// Ответ на повторный запрос с тем же idempotency_key: тот же статус и тело,
+// что и у исходного запроса, плюс заголовок Idempotent-Replayed.
+// tracking_token — секрет заказа: отдаём, только если телефон или email
+// совпадают с заказом, иначе одного ключа хватило бы, чтобы его получить
+async function replayOrder(res, idempotencyKey, customer) {
+  const { rows } = await q(
+    `SELECT id, total_amount, discount_amount, delivery_amount, tracking_token, phone, email
+     FROM orders WHERE idempotency_key=$1`,
+    [idempotencyKey]
   );
+  if (!rows[0]) return false;
+  res.set("Idempotent-Replayed", "true");
+  res.status(201).json({
+    order_id: rows[0].id,
+    total_amount: rows[0].total_amount,
+    discount_amount: rows[0].discount_amount,
+    delivery_amount: rows[0].delivery_amount,
+    tracking_token: sameCustomer(rows[0], customer)
+      ? rows[0].tracking_token
+      : null,
+  });
+  return true;
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// сравнение секретов за постоянное время
+function tokenMatches(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-  // Получаем полную информацию о заказе и товарах для email
-  const { rows: orderRows } = await q(
-    `SELECT id, created_at, customer_name, email, phone, comment, address, total_amount, status
+/** GET /orders/:id?token=... — отслеживание заказа покупателем
+ *  token — секрет заказа из письма-подтверждения (tracking_token из ответа POST /orders).
+ *  Без верного токена — 404, как будто заказа нет.
+ *  Ответ: { id, created_at, status, total_amount, subtotal_amount, discount_amount,
+ *           delivery: { method, zone, amount } | null, items: [{ id, product_name, variant_name, qty,
+ *           price_at_purchase, shipped_qty }],
+ *           shipments: [{ id, carrier, tracking_number, shipped_at, items: [{ order_item_id, qty }] }],
+ *           status_history: [{ status, created_at }] }
+ *  curl "http://localhost:8000/orders/123e4567-e89b-12d3-a456-426614174000?token=<TOKEN>"
+ */
+r.get("/orders/:id", async (req, res) => {
+  const orderId = req.params.id;
+  if (!UUID_RE.test(orderId) || !req.query.token)
+    return res.status(404).json({ error: "NOT_FOUND" });
+
+  const { rows } = await q(
+    `SELECT id, created_at, status, total_amount, subtotal_amount, discount_amount,
+            delivery_method_name, delivery_zone_name, delivery_amount, tracking_token
      FROM orders WHERE id=$1`,
     [orderId]
   );
-  const orderData = orderRows[0];
+  const order = rows[0];
+  if (!order || !tokenMatches(order.tracking_token, req.query.token))
+    return res.status(404).json({ error: "NOT_FOUND" });
 
-  const { rows: orderItems } = await q(
-    `SELECT oi.product_id, oi.qty, oi.price_at_purchase,
-            p.name AS product_name
+  const { rows: items } = await q(
+    `SELECT oi.id, oi.product_id, p.name AS product_name, p.slug AS product_slug,
+            pv.name AS variant_name, oi.qty, oi.price_at_purchase,
+            (SELECT COALESCE(SUM(si.qty), 0)::int FROM shipment_items si
+             WHERE si.order_item_id = oi.id) AS shipped_qty
      FROM order_items oi
      LEFT JOIN products p ON p.id = oi.product_id
+     LEFT JOIN product_variants pv ON pv.id = oi.variant_id
      WHERE oi.order_id=$1
      ORDER BY oi.id`,
     [orderId]
   );
+  // комментарии менеджеров — внутренние, покупателю только статусы и даты
+  const { rows: history } = await q(
+    `SELECT to_status AS status, created_at
+     FROM order_status_history
+     WHERE order_id=$1
+     ORDER BY created_at, id`,
+    [orderId]
+  );
 
-  // Отправляем email уведомление (не блокируем ответ, если ошибка)
-  sendOrderNotification(orderData, orderItems).catch((err) => {
-    console.error("Email notification error:", err);
+  // комментарий и автор отправления — внутренние
+  const shipments = (await loadShipments(pool, orderId)).map((sh) => ({
+    id: sh.id,
+    carrier: sh.carrier,
+    tracking_number: sh.tracking_number,
+    shipped_at: sh.shipped_at,
+    items: sh.items.map(({ order_item_id, qty }) => ({ order_item_id, qty })),
+  }));
+  res.set("Cache-Control", "no-store");
+  res.json({
+    id: order.id,
+    created_at: order.created_at,
+    status: order.status,
+    total_amount: order.total_amount,
+    subtotal_amount: order.subtotal_amount,
+    discount_amount: order.discount_amount,
+    delivery: order.delivery_method_name
+      ? {
+          method: order.delivery_method_name,
+          zone: order.delivery_zone_name,
+          amount: order.delivery_amount,
+        }
+      : null,
+    items,
+    shipments,
+    status_history: history,
   });
-
-  return res.status(201).json({ order_id: orderId, total_amount: total });
 });
 
 export default r;
@@ -0,0 +1,114 @@
+// Характеристики товаров: валидация значений и фильтры для каталога
+
+export const ATTRIBUTE_TYPES = ["number", "string", "boolean", "enum"];
+
+// значение атрибута одной колонкой jsonb (alias — product_attribute_values)
+export function attributeValueSql(alias = "v") {
+  return `COALESCE(to_jsonb(${alias}.value_number), to_jsonb(${alias}.value_bool), to_jsonb(${alias}.value_text))`;
+}
+
+/**
+ * Приводит значение из запроса к колонкам product_attribute_values
+ * @param {{type: string, options: string[]}} def - определение атрибута
+ * @param {*} raw - значение из body
+ * @returns {{value_number, value_text, value_bool} | {error: string}}
+ */
+export function normalizeAttributeValue(def, raw) {
+  const out = { value_number: null, value_text: null, value_bool: null };
+  switch (def.type) {
+    case "number": {
+      const n = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+      if (typeof n !== "number" || !Number.isFinite(n))
+        return { error: "NUMBER_EXPECTED" };
+      out.value_number = n;
+      return out;
+    }
+    case "boolean":
+      if (raw !== true && raw !== false) return { error: "BOOLEAN_EXPECTED" };
+      out.value_bool = raw;
+      return out;
+    case "enum":
+      if (!(def.options || []).includes(String(raw)))
+        return { error: "VALUE_NOT_IN_OPTIONS" };
+      out.value_text = String(raw);
+      return out;
+    default: {
+      const s = String(raw ?? "").trim();
+      if (!s) return { error: "STRING_EXPECTED" };
+      out.value_text = s;
+      return out;
+    }
+  }
+}
+
+/**
+ * Разбирает фильтры из query:
+ *   attr[power][min]=40&attr[power][max]=100   — диапазон для number
+ *   attr[wavelength]=10600,1064               — любое из значений (string/enum)
+ *   attr[autofocus]=true                       — boolean
+ * Неизвестные коды и пустые значения игнорируются.
+ * @param {object} attrQuery - req.query.attr
+ * @param {Map<string, {type: string, ids: number[]}>} defsByCode
+ */
+export function parseAttributeFilters(attrQuery, defsByCode) {
+  const filters = [];
+  if (!attrQuery || typeof attrQuery !== "object") return filters;
+  for (const [code, raw] of Object.entries(attrQuery)) {
+    const def = defsByCode.get(code);
+    if (!def) continue;
+    if (def.type === "number") {
+      const range = typeof raw === "object" && raw ? raw : { min: raw, max: raw };
+      const min = range.min !== undefined && range.min !== "" ? Number(range.min) : null;
+      const max = range.max !== undefined && range.max !== "" ? Number(range.max) : null;
+      if ((min === null || Number.isNaN(min)) && (max === null || Number.isNaN(max)))
+        continue;
+      filters.push({
+        code,
+        def,
+        min: Number.isNaN(min) ? null : min,
+        max: Number.isNaN(max) ? null : max,
+      });
+    } else if (def.type === "boolean") {
+      if (raw !== "true" && raw !== "false") continue;
+      filters.push({ code, def, value: raw === "true" });
+    } else {
+      const values = (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+      if (!values.length) continue;
+      filters.push({ code, def, values });
+    }
+  }
+  return filters;
+}
+
+/**
+ * SQL-условие (EXISTS) для одного фильтра; параметры дописываются в params.
+ * @param {object} f - элемент из parseAttributeFilters
+ * @param {Array} params
+ * @param {string} productAlias
+ */
+export function attributeFilterSql(f, params, productAlias = "p") {
+  params.push(f.def.ids);
+  const conds = [
+    `v.product_id = ${productAlias}.id`,
+    `v.attribute_id = ANY($${params.length}::int[])`,
+  ];
+  if (f.def.type === "number") {
+    if (f.min !== null) {
+      params.push(f.min);
+      conds.push(`v.value_number >= $${params.length}`);
+    }
+    if (f.max !== null) {
+      params.push(f.max);
+      conds.push(`v.value_number <= $${params.length}`);
+    }
+  } else if (f.def.type === "boolean") {
+    params.push(f.value);
+    conds.push(`v.value_bool = $${params.length}`);
+  } else {
+    params.push(f.values);
+    conds.push(`v.value_text = ANY($${params.length}::text[])`);
+  }
+  return `EXISTS (SELECT 1 FROM product_attribute_values v WHERE ${conds.join(" AND ")})`;
+}
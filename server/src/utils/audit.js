@@ -0,0 +1,62 @@
+// Журнал действий в админке (таблица audit_log)
+import { q } from "../db.js";
+
+// служебные поля, которые меняются сами и только зашумляют дифф
+const IGNORED_FIELDS = new Set(["created_at", "updated_at", "search_vector"]);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Дифф двух снимков записи: { field: { from, to } }.
+ * Создание — before=null, удаление — after=null. При обновлении
+ * сравниваются только поля, которые есть в after.
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const keys = after ? Object.keys(after) : Object.keys(before || {});
+  for (const k of keys) {
+    if (IGNORED_FIELDS.has(k)) continue;
+    const from = before ? before[k] ?? null : null;
+    const to = after ? after[k] ?? null : null;
+    if (!same(from, to)) changes[k] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Записать действие в журнал. Автор — req.admin.sub.
+ * С client запись идёт в той же транзакции, что и само изменение;
+ * без него ошибка журнала только логируется и не ломает ответ.
+ * Обновление без фактических изменений не записывается.
+ * @param {import("express").Request} req
+ * @param {{ action: string, entity: string, entityId: string|number,
+ *           before?: object|null, after?: object|null, meta?: object|null }} entry
+ * @param {import("pg").PoolClient} [client]
+ */
+export async function audit(req, entry, client = null) {
+  const { action, entity, entityId, before = null, after = null } = entry;
+  const meta = entry.meta ?? null;
+  const changes = diffRecords(before, after);
+  if (before && after && !Object.keys(changes).length && !meta) return;
+
+  const sql = `INSERT INTO audit_log(actor_id, action, entity, entity_id, changes, meta, ip)
+               VALUES($1,$2,$3,$4,$5,$6,$7)`;
+  const params = [
+    Number(req.admin?.sub) || null,
+    action,
+    entity,
+    entityId == null ? null : String(entityId),
+    JSON.stringify(changes),
+    meta ? JSON.stringify(meta) : null,
+    req.ip || null,
+  ];
+  if (client) {
+    await client.query(sql, params);
+    return;
+  }
+  try {
+    await q(sql, params);
+  } catch (e) {
+    console.error("Audit log write failed:", action, entity, entityId, e);
+  }
+}
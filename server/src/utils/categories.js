@@ -0,0 +1,279 @@
+// Дерево категорий: materialized path (root/slug/slug), перемещения и порядок
+
+/**
+ * Заблокировать дерево категорий до конца транзакции.
+ * Перестройки дерева идут по одной: иначе два встречных переноса
+ * (A под B и B под A) могут вместе дать цикл.
+ */
+export async function lockCategoryTree(client) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('categories'))");
+}
+
+/**
+ * Пути всех категорий по parent_id и slug
+ * @param {Array<{ id, parent_id, slug }>} rows
+ * @returns {{ paths: Map<number, string> } | { cycle: number }} cycle — id категории в цикле
+ */
+export function categoryPaths(rows) {
+  const byId = new Map(rows.map((c) => [c.id, c]));
+  const paths = new Map();
+  for (const start of rows) {
+    // поднимаемся до уже посчитанного предка или корня
+    const chain = [];
+    const seen = new Set();
+    let c = start;
+    while (c && !paths.has(c.id)) {
+      if (seen.has(c.id)) return { cycle: c.id };
+      seen.add(c.id);
+      chain.push(c);
+      c = c.parent_id === null ? null : byId.get(c.parent_id);
+    }
+    let path = c ? paths.get(c.id) : "root";
+    for (const node of chain.reverse()) {
+      path = `${path}/${node.slug}`;
+      paths.set(node.id, path);
+    }
+  }
+  return { paths };
+}
+
+/**
+ * Пересчитать path после смены parent_id / slug (внутри транзакции,
+ * под lockCategoryTree). Цикл — ошибка, вызывающий откатывает транзакцию.
+ * @returns {Promise<{ changed: number } | { error: string, category_id: number }>}
+ */
+export async function syncCategoryPaths(client) {
+  const { rows } = await client.query(
+    "SELECT id, parent_id, slug, path FROM categories"
+  );
+  const result = categoryPaths(rows);
+  if (result.cycle)
+    return { error: "CATEGORY_CYCLE", category_id: result.cycle };
+
+  const changed = rows
+    .filter((c) => result.paths.get(c.id) !== c.path)
+    .map((c) => ({ id: c.id, path: result.paths.get(c.id) }));
+  if (changed.length) {
+    await client.query(
+      `UPDATE categories c SET path = x.path, updated_at=NOW()
+       FROM jsonb_to_recordset($1::jsonb) AS x(id int, path text)
+       WHERE c.id = x.id`,
+      [JSON.stringify(changed)]
+    );
+  }
+  return { changed: changed.length };
+}
+
+/**
+ * Дерево из запроса на сортировку → плоский список.
+ * Узел: { id, sort_order?, children?: [...] }; sort_order по умолчанию — позиция в списке.
+ * Дети получают parent_id родителя; верхний уровень — parentId
+ * (undefined — родитель не меняется, только порядок).
+ * @returns {{ nodes: Array<{ id, parent_id?, sort_order }> } | { error: object }}
+ */
+export function flattenCategoryTree(items, parentId) {
+  const nodes = [];
+  const seen = new Set();
+  const walk = (list, parent) => {
+    if (!Array.isArray(list)) return { error: "INVALID_ITEMS" };
+    for (const [i, item] of list.entries()) {
+      const id = Number(item?.id);
+      const sort = item?.sort_order ?? i;
+      if (!Number.isInteger(id)) return { error: "INVALID_ITEMS" };
+      if (seen.has(id)) return { error: "DUPLICATE_CATEGORY", category_id: id };
+      if (!Number.isInteger(sort))
+        return { error: "INVALID_SORT_ORDER", category_id: id };
+      seen.add(id);
+      const node = { id, sort_order: sort };
+      if (parent !== undefined) node.parent_id = parent;
+      nodes.push(node);
+      if (item.children !== undefined) {
+        const error = walk(item.children, id);
+        if (error) return error;
+      }
+    }
+    return null;
+  };
+  if (!Array.isArray(items) || !items.length)
+    return { error: { error: "ITEMS_REQUIRED" } };
+  const error = walk(items, parentId);
+  return error ? { error } : { nodes };
+}
+
+// Режимы удаления категории:
+// reassign — товары и подкатегории переносятся в target;
+// deactivate — всё поддерево (категории и товары) выключается, категория остаётся
+export const CATEGORY_DELETE_MODES = ["reassign", "deactivate"];
+
+// поддерево по path ($1); без LIKE — в slug могут быть «_» и «%»
+const SUBTREE_SQL = "(c.path = $1 OR left(c.path, length($1) + 1) = $1 || '/')";
+
+const brief = (c) => ({ id: c.id, name: c.name, slug: c.slug, path: c.path });
+
+/**
+ * Что затронет удаление категории — одно и то же для предпросмотра и для записи.
+ * Вызывать под lockCategoryTree, категория уже заблокирована.
+ * @param {{ mode: string|null, targetId: number|null }} opts - mode null — удалить пустую
+ * @returns {Promise<object | { error: { code: number, body: object } }>}
+ */
+export async function categoryDeletePlan(client, category, { mode, targetId }) {
+  const plan = {
+    mode,
+    category: brief(category),
+    target: null,
+    categories: [],
+    products: [],
+    attributes: [],
+    promo_codes: [],
+  };
+  const fail = (code, body) => ({ error: { code, body } });
+
+  if (mode === "deactivate") {
+    const { rows: cats } = await client.query(
+      `SELECT c.id, c.name, c.slug, c.path FROM categories c
+       WHERE ${SUBTREE_SQL} ORDER BY c.path`,
+      [category.path]
+    );
+    const { rows: products } = await client.query(
+      `SELECT p.id, p.name, p.sku FROM products p
+       JOIN categories c ON c.id = p.category_id
+       WHERE ${SUBTREE_SQL} AND p.is_active AND p.deleted_at IS NULL
+       ORDER BY p.id`,
+      [category.path]
+    );
+    plan.categories = cats.map(brief);
+    plan.products = products;
+    return plan;
+  }
+
+  // прямые дети и товары самой категории (обезличенные товары переезжают молча)
+  const { rows: children } = await client.query(
+    `SELECT id, name, slug, path FROM categories
+     WHERE parent_id=$1 ORDER BY sort_order, id`,
+    [category.id]
+  );
+  const { rows: products } = await client.query(
+    `SELECT id, name, sku, purged_at IS NOT NULL AS purged FROM products
+     WHERE category_id=$1 ORDER BY id`,
+    [category.id]
+  );
+  plan.categories = children.map(brief);
+  plan.products = products
+    .filter((p) => !p.purged)
+    .map(({ purged, ...p }) => p);
+
+  if (!mode) {
+    if (children.length) return fail(400, { error: "HAS_CHILDREN" });
+    // обезличенные тоже держат категорию (products.category_id ON DELETE RESTRICT)
+    if (products.length)
+      return fail(400, {
+        error: "HAS_PRODUCTS",
+        purged_count: products.length - plan.products.length,
+      });
+    return plan;
+  }
+
+  if (!Number.isInteger(targetId))
+    return fail(400, { error: "TARGET_REQUIRED" });
+  const { rows: targets } = await client.query(
+    "SELECT id, name, slug, path FROM categories WHERE id=$1",
+    [targetId]
+  );
+  const target = targets[0];
+  if (!target) return fail(404, { error: "TARGET_NOT_FOUND" });
+  if (
+    target.path === category.path ||
+    target.path.startsWith(`${category.path}/`)
+  )
+    return fail(409, { error: "INVALID_TARGET" });
+  plan.target = brief(target);
+
+  // атрибуты категории переезжают в target; если там уже есть атрибут с тем же
+  // кодом — значения товаров переносятся на него (merge), а при другом типе
+  // перенести их некуда — атрибут удаляется вместе со значениями (delete)
+  const { rows: attributes } = await client.query(
+    `SELECT a.id, a.code, a.name, t.id AS target_attribute_id,
+            CASE WHEN t.id IS NULL THEN 'move'
+                 WHEN t.type = a.type THEN 'merge'
+                 ELSE 'delete' END AS action,
+            (SELECT COUNT(*)::int FROM product_attribute_values v
+             WHERE v.attribute_id = a.id) AS values_count
+     FROM attributes a
+     LEFT JOIN attributes t ON t.category_id=$2 AND t.code=a.code
+     WHERE a.category_id=$1
+     ORDER BY a.sort_order, a.id`,
+    [category.id, target.id]
+  );
+  plan.attributes = attributes;
+
+  // промокоды на эту категорию начинают действовать на target
+  const { rows: promos } = await client.query(
+    "SELECT id, code FROM promo_codes WHERE $1 = ANY(category_ids) ORDER BY id",
+    [category.id]
+  );
+  plan.promo_codes = promos;
+  return plan;
+}
+
+/** Выполнить план categoryDeletePlan (в той же транзакции) */
+export async function applyCategoryDelete(client, plan) {
+  const id = plan.category.id;
+  if (plan.mode === "deactivate") {
+    await client.query(
+      "UPDATE categories SET is_active=false, updated_at=NOW() WHERE id = ANY($1::int[])",
+      [plan.categories.map((c) => c.id)]
+    );
+    await client.query(
+      "UPDATE products SET is_active=false, updated_at=NOW() WHERE id = ANY($1::int[])",
+      [plan.products.map((p) => p.id)]
+    );
+    return;
+  }
+
+  if (plan.mode === "reassign") {
+    const targetId = plan.target.id;
+    await client.query(
+      "UPDATE products SET category_id=$2, updated_at=NOW() WHERE category_id=$1",
+      [id, targetId]
+    );
+    await client.query(
+      "UPDATE categories SET parent_id=$2, updated_at=NOW() WHERE parent_id=$1",
+      [id, targetId]
+    );
+    await client.query(
+      "UPDATE attributes SET category_id=$2 WHERE id = ANY($1::int[])",
+      [
+        plan.attributes.filter((a) => a.action === "move").map((a) => a.id),
+        targetId,
+      ]
+    );
+    // значения — на одноимённый атрибут target; уже заполненное там не трогаем,
+    // исходные строки уйдут каскадом вместе с категорией
+    const merged = plan.attributes
+      .filter((a) => a.action === "merge")
+      .map((a) => ({ id: a.id, target_id: a.target_attribute_id }));
+    if (merged.length) {
+      await client.query(
+        `INSERT INTO product_attribute_values
+           (product_id, attribute_id, value_number, value_text, value_bool)
+         SELECT v.product_id, m.target_id, v.value_number, v.value_text, v.value_bool
+         FROM product_attribute_values v
+         JOIN jsonb_to_recordset($1::jsonb) AS m(id int, target_id int)
+           ON m.id = v.attribute_id
+         ON CONFLICT (product_id, attribute_id) DO NOTHING`,
+        [JSON.stringify(merged)]
+      );
+    }
+    await client.query(
+      `UPDATE promo_codes
+         SET category_ids = ARRAY(
+           SELECT DISTINCT unnest(array_replace(category_ids, $1, $2))
+         )
+       WHERE $1 = ANY(category_ids)`,
+      [id, targetId]
+    );
+  }
+
+  await client.query("DELETE FROM categories WHERE id=$1", [id]);
+  if (plan.mode === "reassign") await syncCategoryPaths(client);
+}
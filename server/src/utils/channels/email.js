@@ -0,0 +1,11 @@
+// Канал «email»: письмо магазину через очередь email_outbox
+import { sendOrderNotification } from "../email.js";
+
+export default {
+  name: "email",
+  // всегда включён: без SMTP письма копятся в очереди и уйдут после настройки
+  enabled: () => true,
+  handlers: {
+    "order.created": ({ order, items }) => sendOrderNotification(order, items),
+  },
+};
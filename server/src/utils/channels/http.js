@@ -0,0 +1,28 @@
+// HTTP-запросы каналов уведомлений: таймаут и пара повторов при сетевых
+// ошибках, 429 и 5xx (остальные 4xx не повторяем — запрос всё равно неверный)
+const TIMEOUT_MS = 10000;
+const RETRY_DELAYS_MS = [1000, 3000];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function postJson(url, body, headers = {}) {
+  const payload = typeof body === "string" ? body : JSON.stringify(body);
+  for (let attempt = 0; ; attempt++) {
+    let retryable = true;
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: payload,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (res.ok) return res;
+      const text = await res.text().catch(() => "");
+      retryable = res.status >= 500 || res.status === 429;
+      throw new Error(`HTTP ${res.status}: ${text.slice(0, 300)}`);
+    } catch (e) {
+      if (!retryable || attempt >= RETRY_DELAYS_MS.length) throw e;
+    }
+    await sleep(RETRY_DELAYS_MS[attempt]);
+  }
+}
@@ -0,0 +1,113 @@
+// Канал «telegram»: сообщение в чат(ы) менеджеров через Telegram Bot API.
+// TELEGRAM_BOT_TOKEN — токен бота, TELEGRAM_CHAT_ID — id чата (можно несколько через запятую)
+import { postJson } from "./http.js";
+import { escapeHtml } from "../templates.js";
+import { statusLabel } from "../orderStatus.js";
+
+const chatIds = () =>
+  (process.env.TELEGRAM_CHAT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+const price = (value) => `${Number(value).toLocaleString("ru-RU")} ₽`;
+
+// строка «Подпись: значение», если значение есть
+const field = (label, value) =>
+  value ? `${label}: ${escapeHtml(value)}` : null;
+
+function orderCreatedText({ order, items }) {
+  return [
+    `<b>Новый заказ</b> #${escapeHtml(order.id)}`,
+    `Сумма: <b>${price(order.total_amount)}</b>`,
+    order.discount_amount > 0
+      ? `Скидка: ${price(order.discount_amount)} (промокод ${escapeHtml(
+          order.promo_code
+        )})`
+      : null,
+    "",
+    field("Имя", order.customer_name),
+    field("Телефон", order.phone),
+    field("Email", order.email),
+    order.delivery_method_name
+      ? `Доставка: ${escapeHtml(order.delivery_method_name)}${
+          order.delivery_zone_name
+            ? ` (${escapeHtml(order.delivery_zone_name)})`
+            : ""
+        } — ${price(order.delivery_amount)}`
+      : null,
+    field("Адрес", order.address),
+    field("Комментарий", order.comment),
+    "",
+    ...items.map(
+      (item, idx) =>
+        `${idx + 1}. ${escapeHtml(
+          item.product_name || `Товар ID: ${item.product_id}`
+        )} — ${item.qty} шт. × ${price(item.price_at_purchase)}`
+    ),
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+function statusChangedText({ order, from, to, comment, actor }) {
+  return [
+    `Заказ #${escapeHtml(order.id)}: ${statusLabel(from)} → <b>${statusLabel(
+      to
+    )}</b>`,
+    field("Клиент", order.customer_name),
+    field("Комментарий", comment),
+    field("Изменил", actor),
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+function shipmentCreatedText({ order, shipment }) {
+  return [
+    `Заказ #${escapeHtml(order.id)}: отправление <b>№${shipment.id}</b>`,
+    field("Клиент", order.customer_name),
+    field("Служба доставки", shipment.carrier),
+    field("Трек-номер", shipment.tracking_number),
+    `Статус заказа: ${statusLabel(order.status)}`,
+    "",
+    ...shipment.items.map(
+      (item) =>
+        `• ${escapeHtml(
+          item.product_name || `Товар ID: ${item.product_id}`
+        )} — ${item.qty} шт.`
+    ),
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+async function send(text) {
+  const url = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+  // чаты независимы: ошибка в одном не мешает остальным
+  const results = await Promise.allSettled(
+    chatIds().map((chatId) =>
+      postJson(url, {
+        chat_id: chatId,
+        text,
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+      })
+    )
+  );
+  const failed = results.filter((r) => r.status === "rejected");
+  if (failed.length)
+    throw new Error(
+      `${failed.length}/${results.length} chats failed: ${failed[0].reason?.message}`
+    );
+}
+
+export default {
+  name: "telegram",
+  enabled: () => Boolean(process.env.TELEGRAM_BOT_TOKEN && chatIds().length),
+  handlers: {
+    "order.created": (payload) => send(orderCreatedText(payload)),
+    "order.status_changed": (payload) => send(statusChangedText(payload)),
+    "order.shipment_created": (payload) => send(shipmentCreatedText(payload)),
+  },
+};
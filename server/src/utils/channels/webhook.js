@@ -0,0 +1,30 @@
+// Канал «webhook»: POST JSON { event, sent_at, data } на NOTIFY_WEBHOOK_URL.
+// С NOTIFY_WEBHOOK_SECRET тело подписывается: X-Webhook-Signature: sha256=<hmac>
+import crypto from "node:crypto";
+import { postJson } from "./http.js";
+
+async function send(event, data) {
+  const body = JSON.stringify({
+    event,
+    sent_at: new Date().toISOString(),
+    data,
+  });
+  const headers = { "X-Webhook-Event": event };
+  const secret = process.env.NOTIFY_WEBHOOK_SECRET;
+  if (secret) {
+    const hmac = crypto.createHmac("sha256", secret).update(body).digest("hex");
+    headers["X-Webhook-Signature"] = `sha256=${hmac}`;
+  }
+  await postJson(process.env.NOTIFY_WEBHOOK_URL, body, headers);
+}
+
+export default {
+  name: "webhook",
+  enabled: () => Boolean(process.env.NOTIFY_WEBHOOK_URL),
+  handlers: {
+    "order.created": (payload) => send("order.created", payload),
+    "order.status_changed": (payload) => send("order.status_changed", payload),
+    "order.shipment_created": (payload) =>
+      send("order.shipment_created", payload),
+  },
+};
@@ -0,0 +1,159 @@
+// Способы доставки: проверка тарифов и расчёт стоимости для корзины
+export const DELIVERY_TYPES = ["pickup", "courier", "transport"];
+
+const CODE_RE = /^[a-z0-9_-]{2,32}$/;
+const RATE_LIMITS = [
+  ["min_weight_grams", "max_weight_grams"],
+  ["min_order_amount", "max_order_amount"],
+];
+
+const isAmount = (v) => Number.isInteger(v) && v >= 0;
+const isOptionalAmount = (v) => v === undefined || v === null || isAmount(v);
+
+/**
+ * Проверка тарифов способа доставки
+ * @returns {string|null} код ошибки
+ */
+function validateRates(rates) {
+  if (!Array.isArray(rates)) return "INVALID_RATES";
+  for (const rate of rates) {
+    if (typeof rate !== "object" || rate === null) return "INVALID_RATES";
+    if (!isAmount(rate.price)) return "INVALID_RATE_PRICE";
+    if (!isOptionalAmount(rate.zone_id)) return "INVALID_RATE_ZONE";
+    for (const [min, max] of RATE_LIMITS) {
+      if (!isOptionalAmount(rate[min]) || !isOptionalAmount(rate[max]))
+        return `INVALID_RATE_${min.slice(4).toUpperCase()}`;
+      if (isAmount(rate[min]) && isAmount(rate[max]) && rate[min] > rate[max])
+        return `INVALID_RATE_${min.slice(4).toUpperCase()}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Проверка полей способа доставки (для создания и правки в админке)
+ * @returns {string|null} код ошибки
+ */
+export function validateDeliveryMethod(m) {
+  if (!CODE_RE.test(m.code || "")) return "INVALID_CODE";
+  if (!m.name) return "NAME_REQUIRED";
+  if (!DELIVERY_TYPES.includes(m.type)) return "INVALID_TYPE";
+  if (m.free_from_amount !== null && !isAmount(m.free_from_amount))
+    return "INVALID_FREE_FROM_AMOUNT";
+  if (!Number.isInteger(m.sort_order)) return "INVALID_SORT_ORDER";
+  return validateRates(m.rates);
+}
+
+// условие правила выполняется, если не задано или значение в диапазоне
+function inRange(value, min, max) {
+  if (min !== undefined && min !== null && value < min) return false;
+  if (max !== undefined && max !== null && value > max) return false;
+  return true;
+}
+
+/**
+ * Стоимость доставки способом `method` или null, если способ недоступен.
+ * cart: { amount — сумма товаров после скидки, weight_grams, zone_id }
+ */
+export function deliveryPrice(method, cart) {
+  if (!method.is_active) return null;
+  const rate = method.rates.find(
+    (r) =>
+      (r.zone_id === undefined ||
+        r.zone_id === null ||
+        r.zone_id === cart.zone_id) &&
+      inRange(cart.weight_grams, r.min_weight_grams, r.max_weight_grams) &&
+      inRange(cart.amount, r.min_order_amount, r.max_order_amount)
+  );
+  if (!rate) return null;
+  if (
+    method.free_from_amount !== null &&
+    cart.amount >= method.free_from_amount
+  )
+    return 0;
+  return rate.price;
+}
+
+/** Вес корзины; строки — после priceCart (с weight_grams) */
+export function cartWeight(lines) {
+  return lines.reduce((sum, l) => sum + (l.weight_grams || 0) * l.qty, 0);
+}
+
+// id из тела запроса: пусто — null, иначе положительное целое (int4) или NaN
+function parseId(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && n <= 2147483647 ? n : NaN;
+}
+
+/**
+ * delivery_method_id и delivery_zone_id из тела запроса
+ * @returns {{ methodId: number|null, zoneId: number|null } | { error: string }}
+ */
+export function parseDeliveryIds({ delivery_method_id, delivery_zone_id }) {
+  const methodId = parseId(delivery_method_id);
+  const zoneId = parseId(delivery_zone_id);
+  if (Number.isNaN(methodId)) return { error: "INVALID_DELIVERY_METHOD" };
+  if (Number.isNaN(zoneId)) return { error: "INVALID_DELIVERY_ZONE" };
+  return { methodId, zoneId };
+}
+
+// публичные поля способа доставки
+const publicMethod = (m, price) => ({
+  id: m.id,
+  code: m.code,
+  name: m.name,
+  description: m.description,
+  type: m.type,
+  requires_address: m.requires_address,
+  free_from_amount: m.free_from_amount,
+  price,
+});
+
+/**
+ * Способы доставки, доступные для корзины, с ценой
+ * @returns {Promise<Array>}
+ */
+export async function availableDeliveryMethods(db, cart) {
+  const { rows } = await db.query(
+    "SELECT * FROM delivery_methods WHERE is_active=true ORDER BY sort_order, id"
+  );
+  return rows
+    .map((m) => [m, deliveryPrice(m, cart)])
+    .filter(([, price]) => price !== null)
+    .map(([m, price]) => publicMethod(m, price));
+}
+
+/**
+ * Доставка для заказа: способ, зона и цена.
+ * address === undefined — адрес не проверяется (предварительный расчёт).
+ * @returns {Promise<{ method, zone, price } | { error: string }>}
+ */
+export async function resolveDelivery(db, { methodId, zoneId, address }, cart) {
+  const { rows } = await db.query(
+    "SELECT * FROM delivery_methods WHERE id=$1 AND is_active=true",
+    [methodId]
+  );
+  const method = rows[0];
+  if (!method) return { error: "DELIVERY_METHOD_NOT_FOUND" };
+
+  let zone = null;
+  if (zoneId) {
+    const { rows: zones } = await db.query(
+      "SELECT id, name FROM delivery_zones WHERE id=$1 AND is_active=true",
+      [zoneId]
+    );
+    zone = zones[0];
+    if (!zone) return { error: "DELIVERY_ZONE_NOT_FOUND" };
+  }
+  if (
+    method.requires_address &&
+    address !== undefined &&
+    !String(address || "").trim()
+  )
+    return { error: "ADDRESS_REQUIRED" };
+
+  const price = deliveryPrice(method, { ...cart, zone_id: zone?.id ?? null });
+  if (price === null) return { error: "DELIVERY_UNAVAILABLE" };
+  return { method: publicMethod(method, price), zone, price };
+}
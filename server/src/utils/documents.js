@@ -0,0 +1,433 @@
+// Документы по заказу в PDF: счёт на оплату и упаковочный лист.
+// Реквизиты продавца — из переменных окружения COMPANY_*.
+import fs from "node:fs";
+import PDFDocument from "pdfkit";
+
+// шрифт с кириллицей: PDF_FONT / PDF_FONT_BOLD или DejaVu из системы
+const FONT_CANDIDATES = {
+  regular: [
+    "/usr/share/fonts/dejavu/DejaVuSans.ttf",
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+  ],
+  bold: [
+    "/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf",
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+  ],
+};
+
+function fontPath(kind) {
+  const configured =
+    kind === "bold" ? process.env.PDF_FONT_BOLD : process.env.PDF_FONT;
+  const path =
+    configured || FONT_CANDIDATES[kind].find((p) => fs.existsSync(p));
+  if (!path) throw new Error(`PDF font (${kind}) not found, set PDF_FONT`);
+  return path;
+}
+
+/** Реквизиты продавца для документов */
+export function companyRequisites() {
+  const env = process.env;
+  return {
+    name: env.COMPANY_NAME || env.SHOP_COMPANY || env.SHOP_NAME || "LaserIO",
+    inn: env.COMPANY_INN || "",
+    kpp: env.COMPANY_KPP || "",
+    ogrn: env.COMPANY_OGRN || "",
+    address: env.COMPANY_ADDRESS || "",
+    phone: env.COMPANY_PHONE || "",
+    email: env.COMPANY_EMAIL || "",
+    bank: env.COMPANY_BANK || "",
+    bik: env.COMPANY_BIK || "",
+    account: env.COMPANY_ACCOUNT || "",
+    corrAccount: env.COMPANY_CORR_ACCOUNT || "",
+    director: env.COMPANY_DIRECTOR || "",
+    accountant: env.COMPANY_ACCOUNTANT || "",
+    // ставка НДС в процентах (цены включают налог); пусто — «Без НДС»
+    vatRate: Number(env.COMPANY_VAT_RATE) || 0,
+  };
+}
+
+/** Номер счёта для печати: INVOICE_NUMBER_PREFIX + номер */
+export function formatInvoiceNumber(number) {
+  return `${process.env.INVOICE_NUMBER_PREFIX || ""}${number}`;
+}
+
+/**
+ * Присвоить заказу номер счёта (один раз; повторно возвращает тот же).
+ * Вызывать в транзакции: счётчик и заказ блокируются до коммита.
+ * @returns {Promise<{ invoice_number, invoice_date, issued: boolean } | null>} null — нет заказа
+ */
+export async function assignInvoiceNumber(client, orderId) {
+  const { rows } = await client.query(
+    "SELECT invoice_number, invoice_date, status FROM orders WHERE id=$1 FOR UPDATE",
+    [orderId]
+  );
+  if (!rows[0]) return null;
+  if (rows[0].invoice_number !== null) return { ...rows[0], issued: false };
+  const { rows: counter } = await client.query(
+    `UPDATE document_counters SET last_value = last_value + 1
+     WHERE name='invoice'
+     RETURNING last_value`
+  );
+  const { rows: upd } = await client.query(
+    `UPDATE orders SET invoice_number=$1, invoice_date=NOW()
+     WHERE id=$2
+     RETURNING invoice_number, invoice_date, status`,
+    [counter[0].last_value, orderId]
+  );
+  return { ...upd[0], issued: true };
+}
+
+/**
+ * Заказ и позиции для документов (название с вариантом, артикул варианта или товара)
+ * @returns {Promise<{ order, items } | null>}
+ */
+export async function loadOrderDocument(db, orderId) {
+  const { rows } = await db.query(
+    `SELECT id, created_at, customer_name, email, phone, address, comment, status,
+            total_amount, subtotal_amount, discount_amount, promo_code,
+            delivery_method_name, delivery_zone_name, delivery_amount,
+            invoice_number, invoice_date
+     FROM orders WHERE id=$1`,
+    [orderId]
+  );
+  if (!rows[0]) return null;
+  const { rows: items } = await db.query(
+    `SELECT oi.id, oi.qty, oi.price_at_purchase,
+            CASE WHEN pv.id IS NULL THEN COALESCE(p.name, 'Товар ID: ' || oi.product_id)
+                 ELSE p.name || ' — ' || pv.name END AS name,
+            COALESCE(pv.sku, p.sku) AS sku
+     FROM order_items oi
+     LEFT JOIN products p ON p.id = oi.product_id
+     LEFT JOIN product_variants pv ON pv.id = oi.variant_id
+     WHERE oi.order_id=$1
+     ORDER BY oi.id`,
+    [orderId]
+  );
+  return { order: rows[0], items };
+}
+
+const money = (value) =>
+  Number(value).toLocaleString("ru-RU", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+const dateText = (value) => new Date(value).toLocaleDateString("ru-RU");
+
+function createDoc() {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.registerFont("regular", fontPath("regular"));
+  doc.registerFont("bold", fontPath("bold"));
+  doc.font("regular").fontSize(9);
+  return doc;
+}
+
+// PDFDocument → Buffer
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+/**
+ * Таблица с переносом строк и новой страницей при необходимости.
+ * columns: [{ title, width, align? }], rows: массив массивов строк
+ */
+function drawTable(doc, columns, rows, { header = true } = {}) {
+  const left = doc.page.margins.left;
+  const padding = 3;
+  const rowHeight = (cells, font) => {
+    doc.font(font);
+    return (
+      Math.max(
+        ...cells.map((cell, i) =>
+          doc.heightOfString(String(cell), {
+            width: columns[i].width - padding * 2,
+          })
+        )
+      ) +
+      padding * 2
+    );
+  };
+  const drawRow = (cells, font) => {
+    const height = rowHeight(cells, font);
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      const { width, align = "left" } = columns[i];
+      doc.rect(x, top, width, height).stroke();
+      doc.font(font).text(String(cell), x + padding, top + padding, {
+        width: width - padding * 2,
+        align,
+      });
+      x += width;
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  if (header)
+    drawRow(
+      columns.map((c) => c.title),
+      "bold"
+    );
+  for (const row of rows) drawRow(row, "regular");
+  doc.font("regular");
+}
+
+// строки «подпись: значение» справа под таблицей
+function drawTotals(doc, lines) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  doc.moveDown(0.5);
+  for (const [label, value, bold] of lines) {
+    doc
+      .font(bold ? "bold" : "regular")
+      .text(`${label} ${value}`, left, doc.y, { width, align: "right" });
+  }
+  doc.font("regular").moveDown();
+}
+
+const join = (parts) => parts.filter(Boolean).join(", ");
+
+function customerLine(order) {
+  return (
+    join([order.customer_name, order.phone, order.email, order.address]) || "—"
+  );
+}
+
+function documentItemRows(items, withPrices) {
+  return items.map((it, idx) => [
+    idx + 1,
+    it.name,
+    it.sku || "",
+    it.qty,
+    "шт",
+    ...(withPrices
+      ? [money(it.price_at_purchase), money(it.price_at_purchase * it.qty)]
+      : [""]),
+  ]);
+}
+
+/**
+ * Счёт на оплату
+ * @returns {Promise<Buffer>}
+ */
+export function invoicePdf({ order, items }, company = companyRequisites()) {
+  const doc = createDoc();
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // банковские реквизиты
+  const bankRows = [
+    ["Банк получателя", company.bank, "БИК", company.bik],
+    ["", "", "Сч. №", company.corrAccount],
+    [
+      join([
+        company.inn && `ИНН ${company.inn}`,
+        company.kpp && `КПП ${company.kpp}`,
+      ]),
+      "",
+      "Сч. №",
+      company.account,
+    ],
+    ["Получатель", company.name, "", ""],
+  ];
+  drawTable(
+    doc,
+    [
+      { title: "", width: width * 0.25 },
+      { title: "", width: width * 0.35 },
+      { title: "", width: width * 0.1 },
+      { title: "", width: width * 0.3 },
+    ],
+    bankRows,
+    { header: false }
+  );
+
+  doc.moveDown();
+  doc
+    .font("bold")
+    .fontSize(14)
+    .text(
+      `Счёт на оплату № ${formatInvoiceNumber(
+        order.invoice_number
+      )} от ${dateText(order.invoice_date)}`,
+      left,
+      doc.y,
+      { width }
+    );
+  doc.fontSize(9).font("regular").moveDown(0.5);
+  doc.text(`Заказ: ${order.id} от ${dateText(order.created_at)}`);
+  doc.moveDown(0.5);
+  doc.text(
+    `Поставщик: ${join([
+      company.name,
+      company.inn && `ИНН ${company.inn}`,
+      company.kpp && `КПП ${company.kpp}`,
+      company.ogrn && `ОГРН ${company.ogrn}`,
+      company.address,
+      company.phone,
+      company.email,
+    ])}`,
+    { width }
+  );
+  doc.moveDown(0.3);
+  doc.text(`Покупатель: ${customerLine(order)}`, { width });
+  doc.moveDown();
+
+  const rows = documentItemRows(items, true);
+  if (order.delivery_method_name) {
+    const name = order.delivery_zone_name
+      ? `Доставка: ${order.delivery_method_name} (${order.delivery_zone_name})`
+      : `Доставка: ${order.delivery_method_name}`;
+    rows.push([
+      rows.length + 1,
+      name,
+      "",
+      1,
+      "усл",
+      money(order.delivery_amount),
+      money(order.delivery_amount),
+    ]);
+  }
+  drawTable(
+    doc,
+    [
+      { title: "№", width: width * 0.05, align: "right" },
+      { title: "Товар", width: width * 0.36 },
+      { title: "Артикул", width: width * 0.14 },
+      { title: "Кол-во", width: width * 0.1, align: "right" },
+      { title: "Ед.", width: width * 0.06 },
+      { title: "Цена", width: width * 0.14, align: "right" },
+      { title: "Сумма", width: width * 0.15, align: "right" },
+    ],
+    rows
+  );
+
+  const total = Number(order.total_amount);
+  const totals = [];
+  if (Number(order.discount_amount) > 0)
+    totals.push([
+      order.promo_code ? `Скидка (${order.promo_code}):` : "Скидка:",
+      `−${money(order.discount_amount)}`,
+    ]);
+  totals.push(["Итого:", money(total), true]);
+  totals.push(
+    company.vatRate
+      ? [
+          `В том числе НДС (${company.vatRate}%):`,
+          money((total * company.vatRate) / (100 + company.vatRate)),
+        ]
+      : ["Без налога (НДС)", ""]
+  );
+  totals.push(["Всего к оплате:", money(total), true]);
+  drawTotals(doc, totals);
+
+  doc.text(
+    `Всего наименований ${rows.length}, на сумму ${money(total)} руб.`,
+    left,
+    doc.y,
+    { width }
+  );
+  doc.moveDown(2);
+  const sign = (label, name) =>
+    doc.text(`${label} ____________________ ${name || ""}`, left, doc.y, {
+      width,
+    });
+  sign("Руководитель", company.director);
+  doc.moveDown();
+  sign("Бухгалтер", company.accountant || company.director);
+
+  return toBuffer(doc);
+}
+
+/**
+ * Упаковочный лист: состав без цен, покупатель и доставка.
+ * shipment — печать для одного отправления (только его позиции)
+ * @returns {Promise<Buffer>}
+ */
+export function packingSlipPdf(
+  { order, items },
+  shipment = null,
+  company = companyRequisites()
+) {
+  const doc = createDoc();
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.text(company.name, { width, align: "right" });
+  doc.moveDown();
+  doc
+    .font("bold")
+    .fontSize(14)
+    .text(
+      shipment
+        ? `Упаковочный лист: заказ ${order.id}, отправление № ${shipment.id}`
+        : `Упаковочный лист: заказ ${order.id}`,
+      left,
+      doc.y,
+      { width }
+    );
+  doc.fontSize(9).font("regular").moveDown(0.5);
+  doc.text(`Дата заказа: ${dateText(order.created_at)}`);
+  if (shipment) {
+    doc.text(`Дата отправки: ${dateText(shipment.shipped_at)}`);
+    if (shipment.carrier || shipment.tracking_number)
+      doc.text(
+        `Отправка: ${join([shipment.carrier, shipment.tracking_number])}`
+      );
+  }
+  doc.moveDown(0.5);
+  doc.text(`Получатель: ${join([order.customer_name, order.phone]) || "—"}`, {
+    width,
+  });
+  if (order.delivery_method_name)
+    doc.text(
+      `Доставка: ${join([
+        order.delivery_method_name,
+        order.delivery_zone_name,
+      ])}`,
+      { width }
+    );
+  if (order.address) doc.text(`Адрес: ${order.address}`, { width });
+  if (order.comment) doc.text(`Комментарий: ${order.comment}`, { width });
+  doc.moveDown();
+
+  const lines = shipment
+    ? shipment.items.map((si) => ({
+        ...items.find((it) => it.id === si.order_item_id),
+        qty: si.qty,
+      }))
+    : items;
+  drawTable(
+    doc,
+    [
+      { title: "№", width: width * 0.06, align: "right" },
+      { title: "Товар", width: width * 0.5 },
+      { title: "Артикул", width: width * 0.18 },
+      { title: "Кол-во", width: width * 0.1, align: "right" },
+      { title: "Ед.", width: width * 0.06 },
+      { title: "Собрано", width: width * 0.1 },
+    ],
+    documentItemRows(lines, false)
+  );
+
+  const units = lines.reduce((sum, it) => sum + it.qty, 0);
+  drawTotals(doc, [
+    ["Позиций:", lines.length],
+    ["Всего единиц:", units, true],
+  ]);
+  doc.moveDown();
+  doc.text("Собрал ____________________", left, doc.y, { width });
+  doc.moveDown();
+  doc.text("Проверил ____________________", left, doc.y, { width });
+
+  return toBuffer(doc);
+}
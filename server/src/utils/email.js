@@ -1,133 +1,174 @@
-import nodemailer from "nodemailer";
+// Письма о заказах: собираются из шаблонов (src/templates/email) и ставятся
+// в очередь email_outbox, откуда их отправляет воркер (utils/outbox.js)
+import { renderEmail } from "./templates.js";
+import { enqueueEmail } from "./outbox.js";
 
-// Создаём транспортер для отправки email
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || "smtp.mail.ru",
-  port: Number(process.env.SMTP_PORT || 465),
-  secure: process.env.SMTP_PORT === "465" || process.env.SMTP_SECURE === "true",
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASSWORD,
-  },
-});
+function formatPrice(value) {
+  return `${Number(value).toLocaleString("ru-RU")} ₽`;
+}
+
+/**
+ * Ссылка на публичную страницу отслеживания заказа.
+ * ORDER_TRACKING_URL — шаблон с {id} и {token}, по умолчанию — эндпоинт API
+ */
+export function orderTrackingUrl(orderId, token) {
+  const base = (
+    process.env.API_PUBLIC_URL ||
+    process.env.SITE_URL ||
+    ""
+  ).replace(/\/+$/, "");
+  const template =
+    process.env.ORDER_TRACKING_URL || `${base}/orders/{id}?token={token}`;
+  return template
+    .replace("{id}", encodeURIComponent(orderId))
+    .replace("{token}", encodeURIComponent(token));
+}
+
+// данные для шаблонов писем о заказе
+function orderTemplateData(orderData, items) {
+  return {
+    shop_name: process.env.SHOP_NAME || "LaserIO",
+    order: {
+      ...orderData,
+      created_at_text: new Date(orderData.created_at).toLocaleString("ru-RU"),
+    },
+    items: items.map((item, idx) => ({
+      n: idx + 1,
+      name: item.product_name || `Товар ID: ${item.product_id}`,
+      qty: item.qty,
+      price: formatPrice(item.price_at_purchase),
+      sum: formatPrice(item.price_at_purchase * item.qty),
+    })),
+    total: formatPrice(orderData.total_amount),
+    discount:
+      orderData.discount_amount > 0
+        ? {
+            subtotal: formatPrice(orderData.subtotal_amount),
+            amount: formatPrice(orderData.discount_amount),
+            promo_code: orderData.promo_code,
+          }
+        : null,
+    delivery: orderData.delivery_method_name
+      ? {
+          method: orderData.delivery_method_name,
+          zone: orderData.delivery_zone_name,
+          amount: orderData.delivery_amount
+            ? formatPrice(orderData.delivery_amount)
+            : "бесплатно",
+        }
+      : null,
+    tracking_url: orderData.tracking_token
+      ? orderTrackingUrl(orderData.id, orderData.tracking_token)
+      : null,
+  };
+}
 
 /**
- * Отправляет уведомление о новом заказе
+ * Ставит в очередь уведомление магазину о новом заказе
  * @param {Object} orderData - данные заказа
  * @param {Array} items - массив товаров заказа
  */
 export async function sendOrderNotification(orderData, items) {
-  const recipientEmail = process.env.ORDER_NOTIFICATION_EMAIL || "zar.alexander00@mail.ru";
-
-  if (!process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
-    console.warn("SMTP credentials not configured, skipping email notification");
-    return;
-  }
-
-  // Форматируем список товаров (без цен)
-  const itemsList = items
-    .map(
-      (item, idx) =>
-        `${idx + 1}. ${item.product_name || `Товар ID: ${item.product_id}`} - ${item.qty} шт.`
-    )
-    .join("\n");
-
-  // Адрес как строка
-  const addressText = orderData.address || "Не указан";
-
-  const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
-    .content { background-color: #f9f9f9; padding: 20px; }
-    .section { margin-bottom: 20px; }
-    .label { font-weight: bold; color: #555; }
-    .value { margin-left: 10px; }
-    .items { background-color: white; padding: 15px; border-radius: 5px; margin-top: 10px; }
-    .total { font-size: 18px; font-weight: bold; color: #4CAF50; margin-top: 15px; }
-    .footer { text-align: center; color: #777; font-size: 12px; margin-top: 20px; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>Новый заказ #${orderData.id}</h1>
-    </div>
-    <div class="content">
-      <div class="section">
-        <div><span class="label">ID заказа:</span><span class="value">${orderData.id}</span></div>
-        <div><span class="label">Дата создания:</span><span class="value">${new Date(orderData.created_at).toLocaleString("ru-RU")}</span></div>
-      </div>
-      
-      <div class="section">
-        <h3>Контактная информация:</h3>
-        <div><span class="label">Имя:</span><span class="value">${orderData.customer_name || "Не указано"}</span></div>
-        <div><span class="label">Email:</span><span class="value">${orderData.email || "Не указан"}</span></div>
-        <div><span class="label">Телефон:</span><span class="value">${orderData.phone || "Не указан"}</span></div>
-      </div>
-
-      <div class="section">
-        <h3>Адрес доставки:</h3>
-        <pre style="background: white; padding: 10px; border-radius: 5px; white-space: pre-wrap;">${addressText}</pre>
-      </div>
-
-      <div class="section">
-        <h3>Комментарий заказчика:</h3>
-        <p>${orderData.comment || "Нет комментария"}</p>
-      </div>
-
-      <div class="section">
-        <h3>Товары:</h3>
-        <div class="items">
-          <pre style="margin: 0; white-space: pre-wrap;">${itemsList}</pre>
-        </div>
-      </div>
-    </div>
-    <div class="footer">
-      <p>Это автоматическое уведомление о новом заказе</p>
-    </div>
-  </div>
-</body>
-</html>
-  `;
-
-  const emailText = `
-Новый заказ #${orderData.id}
-
-Дата создания: ${new Date(orderData.created_at).toLocaleString("ru-RU")}
-
-Контактная информация:
-Имя: ${orderData.customer_name || "Не указано"}
-Email: ${orderData.email || "Не указан"}
-Телефон: ${orderData.phone || "Не указан"}
-
-Адрес доставки:
-${addressText}
-
-Комментарий заказчика:
-${orderData.comment || "Нет комментария"}
+  const recipientEmail =
+    process.env.ORDER_NOTIFICATION_EMAIL || "zar.alexander00@mail.ru";
+  const message = await renderEmail(
+    "order-notification",
+    orderTemplateData(orderData, items)
+  );
+  await enqueueEmail({
+    kind: "order_notification",
+    to: recipientEmail,
+    orderId: orderData.id,
+    ...message,
+  });
+}
 
-Товары:
-${itemsList}
-  `;
+// подтверждение простым текстом — если шаблон не читается или не собирается
+function plainOrderConfirmation(data) {
+  const lines = [
+    "Спасибо за заказ!",
+    "",
+    `Заказ №${data.order.id} от ${data.order.created_at_text}`,
+    "",
+    "Товары:",
+    ...data.items.map(
+      (i) => `${i.n}. ${i.name} - ${i.qty} шт. × ${i.price} = ${i.sum}`
+    ),
+    "",
+  ];
+  if (data.discount)
+    lines.push(
+      `Скидка по промокоду ${data.discount.promo_code}: −${data.discount.amount}`
+    );
+  if (data.delivery)
+    lines.push(`Доставка: ${data.delivery.method} — ${data.delivery.amount}`);
+  lines.push(`Итого: ${data.total}`);
+  if (data.tracking_url) lines.push("", `Статус заказа: ${data.tracking_url}`);
+  return {
+    subject: `${data.shop_name}: заказ №${data.order.id} принят`,
+    text: lines.join("\n"),
+  };
+}
 
+/**
+ * Ставит в очередь подтверждение покупателю: товары, цены, сумма и ссылка на отслеживание
+ * Ошибка в шаблоне не роняет оформление заказа — уходит письмо простым текстом.
+ * @param {Object} orderData - данные заказа (включая email и tracking_token)
+ * @param {Array} items - товары заказа (product_name, qty, price_at_purchase)
+ * @param {import("pg").PoolClient} [client] - транзакция, в которой создаётся заказ
+ */
+export async function sendOrderConfirmation(orderData, items, client = null) {
+  if (!orderData.email) return;
+  const data = orderTemplateData(orderData, items);
+  let message;
   try {
-    await transporter.sendMail({
-      from: process.env.SMTP_FROM || process.env.SMTP_USER,
-      to: recipientEmail,
-      subject: `Новый заказ #${orderData.id}`,
-      text: emailText,
-      html: emailHtml,
-    });
-    console.log(`Order notification email sent to ${recipientEmail}`);
-  } catch (error) {
-    console.error("Failed to send order notification email:", error);
-    // Не бросаем ошибку, чтобы не ломать создание заказа
+    message = await renderEmail("order-confirmation", data);
+  } catch (e) {
+    console.error("Order confirmation template error:", e);
+    message = plainOrderConfirmation(data);
   }
+  await enqueueEmail(
+    {
+      kind: "order_confirmation",
+      to: orderData.email,
+      orderId: orderData.id,
+      ...message,
+    },
+    client
+  );
 }
 
+/**
+ * Ставит в очередь письмо покупателю об отправке посылки: служба доставки,
+ * трек-номер и состав отправления
+ * @param {Object} orderData - данные заказа (email, status, tracking_token)
+ * @param {Object} shipment - отправление с items (product_name, qty)
+ */
+export async function sendShipmentNotification(orderData, shipment) {
+  if (!orderData.email) return;
+  const message = await renderEmail("shipment-created", {
+    shop_name: process.env.SHOP_NAME || "LaserIO",
+    order: orderData,
+    partial: orderData.status === "partially_shipped",
+    shipment: {
+      ...shipment,
+      shipped_at_text: new Date(shipment.shipped_at).toLocaleDateString(
+        "ru-RU"
+      ),
+      items: shipment.items.map((item, idx) => ({
+        n: idx + 1,
+        name: item.product_name || `Товар ID: ${item.product_id}`,
+        qty: item.qty,
+      })),
+    },
+    tracking_url: orderData.tracking_token
+      ? orderTrackingUrl(orderData.id, orderData.tracking_token)
+      : null,
+  });
+  await enqueueEmail({
+    kind: "shipment_created",
+    to: orderData.email,
+    orderId: orderData.id,
+    ...message,
+  });
+}
@@ -0,0 +1,275 @@
+// Товарные фиды для маркетплейсов: Яндекс Маркет (YML) и Google Merchant (RSS 2.0)
+import { q } from "../db.js";
+import { availabilitySql } from "./stock.js";
+import { liveSql, liveProductSql } from "./publication.js";
+
+const MAX_PICTURES = 10;
+const CACHE_TTL_MS = 60 * 60 * 1000; // страховка, основное — отпечаток данных
+
+// кэш готовых фидов: format → { fingerprint, body, generatedAt }
+const cache = new Map();
+
+function feedConfig() {
+  const siteUrl = (process.env.SITE_URL || "").replace(/\/+$/, "");
+  return {
+    name: process.env.SHOP_NAME || "LaserIO",
+    company: process.env.SHOP_COMPANY || process.env.SHOP_NAME || "LaserIO",
+    siteUrl,
+    // откуда раздаются /uploads (API); по умолчанию — тот же домен, что и сайт
+    assetsUrl: (process.env.API_PUBLIC_URL || siteUrl).replace(/\/+$/, ""),
+  };
+}
+
+export function xmlEscape(value) {
+  return (
+    String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;")
+      // управляющие символы запрещены в XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+  );
+}
+
+const absUrl = (base, url) => (url && url.startsWith("/") ? base + url : url);
+
+// Отпечаток данных фида: меняется при любой записи в товары, варианты и категории
+async function fingerprint() {
+  const { rows } = await q(
+    `SELECT
+       (SELECT COUNT(*) || ':' || COALESCE(MAX(updated_at)::text, '') FROM products) || '|' ||
+       (SELECT COUNT(*) || ':' || COALESCE(MAX(updated_at)::text, '') FROM product_variants) || '|' ||
+       (SELECT COUNT(*) || ':' || COALESCE(MAX(updated_at)::text, '') FROM categories) AS fp`
+  );
+  return rows[0].fp;
+}
+
+// категория видна, только если видны и она сама, и все её предки по path;
+// иначе offers и дочерние категории ссылались бы на id, которых нет в <categories>
+const visibleCategorySql = (alias) => `${liveSql(alias)} AND NOT EXISTS (
+       SELECT 1 FROM categories a
+       WHERE left(${alias}.path, length(a.path) + 1) = a.path || '/'
+         AND NOT ${liveSql("a")}
+     )`;
+
+async function loadCatalog() {
+  const { rows: categories } = await q(
+    `SELECT c.id, c.name, c.parent_id, c.path
+     FROM categories c
+     WHERE ${visibleCategorySql("c")}
+     ORDER BY c.path`
+  );
+
+  const { rows: products } = await q(
+    `SELECT p.id, p.name, p.slug, p.sku, p.price, p.category_id,
+            p.primary_image_url, p.gallery,
+            left(html_to_text(p.content_html), 3000) AS description,
+            ${availabilitySql("p")} AS availability
+     FROM products p
+     JOIN categories c ON c.id = p.category_id
+     WHERE ${liveProductSql("p")} AND ${visibleCategorySql("c")}
+     ORDER BY p.id`
+  );
+
+  const { rows: variants } = await q(
+    `SELECT v.id, v.product_id, v.name, v.sku, v.price, v.image_id,
+            ${availabilitySql("v")} AS availability
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.is_active=true AND ${liveProductSql("p")}
+     ORDER BY v.product_id, v.sort_order, v.id`
+  );
+
+  // путь названий категории: «Лазеры > CO2»
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  const pathNames = (id) => {
+    const names = [];
+    for (let c = byId.get(id); c; c = byId.get(c.parent_id))
+      names.unshift(c.name);
+    return names;
+  };
+
+  const variantsByProduct = new Map();
+  for (const v of variants) {
+    if (!variantsByProduct.has(v.product_id))
+      variantsByProduct.set(v.product_id, []);
+    variantsByProduct.get(v.product_id).push(v);
+  }
+
+  // одна позиция фида на товар или на каждый его вариант
+  const offers = [];
+  for (const p of products) {
+    const gallery = p.gallery || [];
+    const pictures = [
+      p.primary_image_url,
+      ...gallery.map((g) => g.url).filter((u) => u !== p.primary_image_url),
+    ].filter(Boolean);
+    const base = {
+      product_id: p.id,
+      name: p.name,
+      slug: p.slug,
+      description: p.description,
+      category_id: p.category_id,
+      category_path: pathNames(p.category_id),
+    };
+    const pv = variantsByProduct.get(p.id);
+    if (!pv) {
+      offers.push({
+        ...base,
+        id: String(p.id),
+        sku: p.sku,
+        price: p.price,
+        availability: p.availability,
+        pictures,
+      });
+      continue;
+    }
+    for (const v of pv) {
+      const image = gallery.find((g) => g.id === v.image_id);
+      offers.push({
+        ...base,
+        id: `${p.id}-${v.id}`,
+        group_id: String(p.id),
+        name: `${p.name} ${v.name}`,
+        sku: v.sku || p.sku,
+        price: v.price,
+        availability: v.availability,
+        pictures: image
+          ? [image.url, ...pictures.filter((u) => u !== image.url)]
+          : pictures,
+      });
+    }
+  }
+
+  return { categories, offers };
+}
+
+function renderYml({ categories, offers }, cfg) {
+  const date = new Date().toISOString().replace(/\.\d+Z$/, "+00:00");
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push(`<yml_catalog date="${date}">`);
+  out.push("<shop>");
+  out.push(`<name>${xmlEscape(cfg.name)}</name>`);
+  out.push(`<company>${xmlEscape(cfg.company)}</company>`);
+  out.push(`<url>${xmlEscape(cfg.siteUrl)}</url>`);
+  out.push('<currencies><currency id="RUR" rate="1"/></currencies>');
+
+  out.push("<categories>");
+  for (const c of categories) {
+    const parent = c.parent_id ? ` parentId="${c.parent_id}"` : "";
+    out.push(`<category id="${c.id}"${parent}>${xmlEscape(c.name)}</category>`);
+  }
+  out.push("</categories>");
+
+  out.push("<offers>");
+  for (const o of offers) {
+    const group = o.group_id ? ` group_id="${xmlEscape(o.group_id)}"` : "";
+    const available = o.availability === "out_of_stock" ? "false" : "true";
+    out.push(
+      `<offer id="${xmlEscape(o.id)}" available="${available}"${group}>`
+    );
+    out.push(`<name>${xmlEscape(o.name)}</name>`);
+    out.push(`<url>${xmlEscape(`${cfg.siteUrl}/products/${o.slug}`)}</url>`);
+    out.push(`<price>${o.price}</price>`);
+    out.push("<currencyId>RUR</currencyId>");
+    out.push(`<categoryId>${o.category_id}</categoryId>`);
+    for (const pic of o.pictures.slice(0, MAX_PICTURES)) {
+      out.push(`<picture>${xmlEscape(absUrl(cfg.assetsUrl, pic))}</picture>`);
+    }
+    if (o.sku) out.push(`<vendorCode>${xmlEscape(o.sku)}</vendorCode>`);
+    if (o.description)
+      out.push(`<description>${xmlEscape(o.description)}</description>`);
+    out.push("</offer>");
+  }
+  out.push("</offers>");
+  out.push("</shop>");
+  out.push("</yml_catalog>");
+  return out.join("\n");
+}
+
+const GOOGLE_AVAILABILITY = {
+  in_stock: "in_stock",
+  backorder: "backorder",
+  out_of_stock: "out_of_stock",
+};
+
+function renderGoogle({ offers }, cfg) {
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push('<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">');
+  out.push("<channel>");
+  out.push(`<title>${xmlEscape(cfg.name)}</title>`);
+  out.push(`<link>${xmlEscape(cfg.siteUrl)}</link>`);
+  out.push(`<description>${xmlEscape(cfg.company)}</description>`);
+  for (const o of offers) {
+    const [image, ...additional] = o.pictures;
+    out.push("<item>");
+    out.push(`<g:id>${xmlEscape(o.id)}</g:id>`);
+    out.push(`<g:title>${xmlEscape(o.name.slice(0, 150))}</g:title>`);
+    out.push(
+      `<g:description>${xmlEscape(o.description || o.name)}</g:description>`
+    );
+    out.push(
+      `<g:link>${xmlEscape(`${cfg.siteUrl}/products/${o.slug}`)}</g:link>`
+    );
+    if (image)
+      out.push(
+        `<g:image_link>${xmlEscape(
+          absUrl(cfg.assetsUrl, image)
+        )}</g:image_link>`
+      );
+    for (const pic of additional.slice(0, MAX_PICTURES)) {
+      out.push(
+        `<g:additional_image_link>${xmlEscape(
+          absUrl(cfg.assetsUrl, pic)
+        )}</g:additional_image_link>`
+      );
+    }
+    out.push(
+      `<g:availability>${GOOGLE_AVAILABILITY[o.availability]}</g:availability>`
+    );
+    out.push(`<g:price>${o.price}.00 RUB</g:price>`);
+    out.push("<g:condition>new</g:condition>");
+    if (o.sku) out.push(`<g:mpn>${xmlEscape(o.sku)}</g:mpn>`);
+    out.push("<g:identifier_exists>no</g:identifier_exists>");
+    if (o.category_path.length)
+      out.push(
+        `<g:product_type>${xmlEscape(
+          o.category_path.join(" > ")
+        )}</g:product_type>`
+      );
+    if (o.group_id)
+      out.push(`<g:item_group_id>${xmlEscape(o.group_id)}</g:item_group_id>`);
+    out.push("</item>");
+  }
+  out.push("</channel>");
+  out.push("</rss>");
+  return out.join("\n");
+}
+
+const RENDERERS = { yml: renderYml, google: renderGoogle };
+
+/**
+ * Готовый фид из кэша; пересобирается, если изменились товары/категории
+ * (отпечаток данных) или истёк TTL
+ * @param {"yml"|"google"} format
+ * @returns {Promise<{body: string, generatedAt: Date}>}
+ */
+export async function getFeed(format) {
+  const fp = await fingerprint();
+  const cached = cache.get(format);
+  if (
+    cached &&
+    cached.fingerprint === fp &&
+    Date.now() - cached.generatedAt.getTime() < CACHE_TTL_MS
+  ) {
+    return cached;
+  }
+  const body = RENDERERS[format](await loadCatalog(), feedConfig());
+  const entry = { fingerprint: fp, body, generatedAt: new Date() };
+  cache.set(format, entry);
+  return entry;
+}
@@ -0,0 +1,118 @@
+// server/src/utils/images.js
+// Уменьшенные копии загруженных фото: thumb / card / full + WebP для каждой
+import sharp from "sharp";
+import path from "node:path";
+import fs from "node:fs";
+
+// размеры рамки (вписываем, не увеличиваем маленькие исходники)
+export const RENDITION_SIZES = {
+  thumb: 240,
+  card: 640,
+  full: 1600,
+};
+
+// "/uploads/..." → путь на диске и обратно
+const UPLOADS_URL = "/uploads/";
+const UPLOADS_DIR = "/app/uploads/";
+const urlToPath = (url) => url.replace(UPLOADS_URL, UPLOADS_DIR);
+const pathToUrl = (p) => p.replace(UPLOADS_DIR, UPLOADS_URL);
+
+/**
+ * Генерирует копии изображения рядом с оригиналом.
+ * Для каждого размера: файл в формате оригинала (png остаётся png, остальное → jpeg) + webp.
+ * @param {string} url - URL оригинала вида /uploads/...
+ * @returns {Promise<Object|null>} { thumb: { url, webp_url, width, height }, card, full }
+ *   или null, если файл не удалось прочитать как изображение
+ */
+export async function createRenditions(url) {
+  const src = urlToPath(url);
+  const dir = path.dirname(src);
+  const base = path.basename(src, path.extname(src));
+
+  try {
+    const meta = await sharp(src).metadata();
+    const ext = meta.format === "png" ? "png" : "jpg";
+    const renditions = {};
+
+    for (const [name, size] of Object.entries(RENDITION_SIZES)) {
+      const resized = () =>
+        sharp(src)
+          .rotate() // учитываем EXIF-ориентацию с телефонов
+          .resize(size, size, { fit: "inside", withoutEnlargement: true });
+
+      const mainPath = path.join(dir, `${base}-${name}.${ext}`);
+      const webpPath = path.join(dir, `${base}-${name}.webp`);
+
+      const info = await (ext === "png"
+        ? resized().png({ compressionLevel: 9 })
+        : resized().jpeg({ quality: 82, mozjpeg: true })
+      ).toFile(mainPath);
+      await resized().webp({ quality: 80 }).toFile(webpPath);
+
+      renditions[name] = {
+        url: pathToUrl(mainPath),
+        webp_url: pathToUrl(webpPath),
+        width: info.width,
+        height: info.height,
+      };
+    }
+    return renditions;
+  } catch (e) {
+    console.warn("Failed to create image renditions:", url, e.message);
+    return null;
+  }
+}
+
+/**
+ * Все URL файлов изображения: оригинал + копии
+ * @param {{url: string, renditions?: Object}} image
+ */
+export function imageFileUrls(image) {
+  const urls = [image.url];
+  for (const r of Object.values(image.renditions || {})) {
+    urls.push(r.url, r.webp_url);
+  }
+  return urls.filter((u) => u?.startsWith(UPLOADS_URL));
+}
+
+// удалить оригинал и копии с диска (best effort)
+export function removeImageFiles(image) {
+  for (const url of imageFileUrls(image)) {
+    try {
+      fs.unlinkSync(urlToPath(url));
+    } catch (_) {
+      // ignore
+    }
+  }
+}
+
+// удалить каталог с файлами товара (фото, копии, документы) — best effort
+export function removeProductFiles(productId) {
+  const dir = path.join(UPLOADS_DIR, "products", String(productId));
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } catch (e) {
+    console.warn("Failed to remove product files:", dir, e.message);
+  }
+}
+
+// файл по URL на месте; внешние ссылки (не /uploads/) не проверяем
+export function uploadExists(url) {
+  if (!url?.startsWith(UPLOADS_URL)) return true;
+  return fs.existsSync(urlToPath(url));
+}
+
+/**
+ * SQL-выражение: URL миниатюры главного фото товара
+ * (из gallery по primary_image_url, для старых фото без копий — сам оригинал)
+ * @param {string} alias - алиас таблицы products
+ */
+export function thumbnailSql(alias = "p") {
+  return `COALESCE(
+    (SELECT g->'renditions'->'thumb'->>'url'
+     FROM jsonb_array_elements(${alias}.gallery) g
+     WHERE g->>'url' = ${alias}.primary_image_url
+     LIMIT 1),
+    ${alias}.primary_image_url
+  )`;
+}
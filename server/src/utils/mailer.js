@@ -0,0 +1,27 @@
+// SMTP-транспорт. Письма напрямую отсюда не шлём — только через очередь (outbox.js)
+import nodemailer from "nodemailer";
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || "smtp.mail.ru",
+  port: Number(process.env.SMTP_PORT || 465),
+  secure: process.env.SMTP_PORT === "465" || process.env.SMTP_SECURE === "true",
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASSWORD,
+  },
+});
+
+export function smtpConfigured() {
+  return Boolean(process.env.SMTP_USER && process.env.SMTP_PASSWORD);
+}
+
+/** Отправить письмо; ошибка SMTP пробрасывается вызывающему */
+export async function deliverEmail({ to, subject, text, html }) {
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
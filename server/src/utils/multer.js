@@ -52,3 +52,11 @@ export const upload = multer({
     },
   }),
 });
+
+// для импорта таблиц — файл нужен только в памяти
+export function uploadToMemory() {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+  });
+}
@@ -0,0 +1,59 @@
+// Диспетчер уведомлений: событие рассылается во все включённые каналы.
+// Каналы независимы — ошибка одного не мешает остальным и не ломает запрос.
+//
+// Какие каналы получают событие — NOTIFY_<СОБЫТИЕ> через запятую, например
+//   NOTIFY_ORDER_CREATED=email,telegram
+//   NOTIFY_ORDER_STATUS_CHANGED=telegram
+// Без настройки — все включённые каналы, которые умеют это событие.
+import emailChannel from "./channels/email.js";
+import telegramChannel from "./channels/telegram.js";
+import webhookChannel from "./channels/webhook.js";
+
+export const NOTIFICATION_EVENTS = [
+  "order.created",
+  "order.status_changed",
+  "order.shipment_created",
+];
+
+const CHANNELS = [emailChannel, telegramChannel, webhookChannel];
+
+const envKey = (event) =>
+  "NOTIFY_" + event.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+/** Каналы, в которые уйдёт событие */
+export function channelsFor(event) {
+  const configured = process.env[envKey(event)];
+  const names = configured
+    ? configured
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+    : null;
+  return CHANNELS.filter(
+    (ch) =>
+      (!names || names.includes(ch.name)) && ch.handlers[event] && ch.enabled()
+  );
+}
+
+/**
+ * Разослать событие.
+ * order.created: { order, items }
+ * order.status_changed: { order, from, to, comment, actor }
+ * order.shipment_created: { order, shipment }
+ * @returns {Promise<Array<{ channel: string, ok: boolean, error?: string }>>}
+ */
+export async function notify(event, payload) {
+  const channels = channelsFor(event);
+  const results = await Promise.allSettled(
+    channels.map(async (ch) => ch.handlers[event](payload))
+  );
+  return results.map((result, i) => {
+    const channel = channels[i].name;
+    if (result.status === "fulfilled") return { channel, ok: true };
+    console.error(
+      `Notification ${event} via ${channel} failed:`,
+      result.reason?.message || result.reason
+    );
+    return { channel, ok: false, error: String(result.reason?.message) };
+  });
+}
@@ -0,0 +1,71 @@
+// Жизненный цикл заказа и допустимые переходы между статусами
+
+export const ORDER_STATUSES = [
+  "new",
+  "confirmed",
+  "paid",
+  "partially_shipped",
+  "shipped",
+  "completed",
+  "cancelled",
+];
+
+// названия для сообщений людям (Telegram, письма)
+const LABELS = {
+  new: "Новый",
+  confirmed: "Подтверждён",
+  paid: "Оплачен",
+  partially_shipped: "Частично отправлен",
+  shipped: "Отправлен",
+  completed: "Выполнен",
+  cancelled: "Отменён",
+};
+
+export function statusLabel(status) {
+  return LABELS[status] || status;
+}
+
+// из какого статуса куда можно перейти вручную;
+// partially_shipped и shipped выставляются по отправлениям (shipmentStatus)
+const TRANSITIONS = {
+  new: ["confirmed", "cancelled"],
+  confirmed: ["paid", "cancelled"],
+  paid: ["cancelled"],
+  partially_shipped: [],
+  shipped: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+export function isOrderStatus(status) {
+  return ORDER_STATUSES.includes(status);
+}
+
+/**
+ * Список статусов, в которые можно перевести заказ из текущего
+ * @param {string} from - текущий статус
+ * @returns {string[]}
+ */
+export function allowedTransitions(from) {
+  return TRANSITIONS[from] || [];
+}
+
+export function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+// в этих статусах заказ можно собирать и отправлять
+export const SHIPPABLE_STATUSES = ["paid", "partially_shipped", "shipped"];
+
+/**
+ * Статус по покрытию заказа отправлениями
+ * @param {Array<{ qty: number, shipped_qty: number }>} items - позиции заказа
+ * @returns {"paid"|"partially_shipped"|"shipped"}
+ */
+export function shipmentStatus(items) {
+  const shipped = items.filter((it) => it.shipped_qty > 0);
+  if (!shipped.length) return "paid";
+  return items.every((it) => it.shipped_qty >= it.qty)
+    ? "shipped"
+    : "partially_shipped";
+}
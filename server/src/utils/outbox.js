@@ -0,0 +1,156 @@
+// Очередь исходящих писем (email_outbox): письмо сначала сохраняется в БД,
+// фоновый воркер отправляет его и при ошибке повторяет с нарастающей паузой.
+import { pool, q } from "../db.js";
+import { deliverEmail, smtpConfigured } from "./mailer.js";
+
+export const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+const BATCH_SIZE = 10;
+// «sending» дольше этого — процесс упал посреди отправки, берём письмо заново
+const STALE_SENDING_MINUTES = 10;
+
+// пауза после N-й неудачной попытки: base, 2·base, 4·base… но не больше max
+export function retryDelaySeconds(attempts) {
+  const base = Number(process.env.EMAIL_RETRY_BASE_SECONDS || 60);
+  const max = Number(process.env.EMAIL_RETRY_MAX_SECONDS || 3600);
+  return Math.min(base * 2 ** Math.max(0, attempts - 1), max);
+}
+
+/**
+ * Поставить письмо в очередь
+ * С client письмо пишется в той же транзакции, что и само событие (заказ),
+ * и воркер не будится — после коммита вызывающий зовёт kickOutbox().
+ * @param {{ kind: string, to: string, subject: string, html?: string,
+ *           text?: string, orderId?: string|null }} message
+ * @param {import("pg").PoolClient} [client]
+ * @returns {Promise<number>} id записи в email_outbox
+ */
+export async function enqueueEmail(
+  { kind, to, subject, html = null, text = null, orderId = null },
+  client = null
+) {
+  const { rows } = await (client ?? pool).query(
+    `INSERT INTO email_outbox(kind, to_address, subject, html, text, order_id, max_attempts)
+     VALUES($1,$2,$3,$4,$5,$6,$7)
+     RETURNING id`,
+    [
+      kind,
+      to,
+      subject,
+      html,
+      text,
+      orderId,
+      Number(process.env.EMAIL_MAX_ATTEMPTS || 8),
+    ]
+  );
+  if (!client) kickOutbox();
+  return rows[0].id;
+}
+
+// забираем пачку писем, которые пора отправлять; SKIP LOCKED — на случай
+// нескольких инстансов, чтобы одно письмо не ушло дважды
+async function claimBatch() {
+  const { rows } = await q(
+    `UPDATE email_outbox SET status='sending', locked_at=NOW()
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE (status='pending' AND next_attempt_at <= NOW())
+          OR (status='sending' AND locked_at < NOW() - make_interval(mins => $1))
+       ORDER BY next_attempt_at, id
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_SENDING_MINUTES, BATCH_SIZE]
+  );
+  return rows;
+}
+
+async function sendOne(msg) {
+  const attempts = msg.attempts + 1;
+  try {
+    await deliverEmail({
+      to: msg.to_address,
+      subject: msg.subject,
+      text: msg.text,
+      html: msg.html,
+    });
+    await q(
+      `UPDATE email_outbox
+         SET status='sent', sent_at=NOW(), attempts=$2, last_error=NULL, locked_at=NULL
+       WHERE id=$1`,
+      [msg.id, attempts]
+    );
+    console.log(`Email #${msg.id} (${msg.kind}) sent to ${msg.to_address}`);
+    return true;
+  } catch (e) {
+    const failed = attempts >= msg.max_attempts;
+    await q(
+      `UPDATE email_outbox
+         SET status=$2, attempts=$3, last_error=$4, locked_at=NULL,
+             next_attempt_at = NOW() + make_interval(secs => $5)
+       WHERE id=$1`,
+      [
+        msg.id,
+        failed ? "failed" : "pending",
+        attempts,
+        String(e?.message || e).slice(0, 2000),
+        retryDelaySeconds(attempts),
+      ]
+    );
+    console.error(
+      `Email #${msg.id} (${msg.kind}) to ${msg.to_address} failed, attempt ${attempts}/${msg.max_attempts}:`,
+      e?.message || e
+    );
+    return false;
+  }
+}
+
+let running = false;
+let again = false;
+
+/** Отправить всё, что пора; параллельный вызов только помечает «пройтись ещё раз» */
+export async function processOutbox() {
+  if (!smtpConfigured()) return 0;
+  if (running) {
+    again = true;
+    return 0;
+  }
+  running = true;
+  let sent = 0;
+  try {
+    do {
+      again = false;
+      let batch;
+      do {
+        batch = await claimBatch();
+        for (const msg of batch) {
+          if (await sendOne(msg)) sent++;
+        }
+      } while (batch.length === BATCH_SIZE);
+    } while (again);
+  } finally {
+    running = false;
+  }
+  return sent;
+}
+
+/** Не ждать следующего тика воркера — отправить сразу после постановки в очередь */
+export function kickOutbox() {
+  setImmediate(() => {
+    processOutbox().catch((e) => console.error("Email outbox error:", e));
+  });
+}
+
+/** Фоновый воркер: раз в EMAIL_OUTBOX_POLL_SECONDS проверяет очередь */
+export function startOutboxWorker() {
+  if (!smtpConfigured())
+    console.warn(
+      "SMTP credentials not configured, emails stay queued in email_outbox"
+    );
+  const interval = Number(process.env.EMAIL_OUTBOX_POLL_SECONDS || 15) * 1000;
+  setInterval(() => {
+    processOutbox().catch((e) => console.error("Email outbox error:", e));
+  }, interval);
+  kickOutbox();
+}
@@ -0,0 +1,143 @@
+// Промокоды: проверка условий и расчёт скидки для корзины
+import { phoneKey } from "./rateLimit.js";
+
+export const PROMO_DISCOUNT_TYPES = ["percent", "fixed"];
+
+// телефон заказа в SQL так же, как phoneKey: только цифры, 8XXXXXXXXXX → 7XXXXXXXXXX
+const ORDER_PHONE_KEY_SQL = `regexp_replace(
+  regexp_replace(phone, '\\D', '', 'g'), '^8(\\d{10})$', '7\\1')`;
+
+const CODE_RE = /^[A-Z0-9_-]{3,32}$/;
+
+export function normalizePromoCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Проверка полей промокода (для создания и правки в админке)
+ * @returns {string|null} код ошибки
+ */
+export function validatePromo(p) {
+  if (!CODE_RE.test(p.code)) return "INVALID_CODE";
+  if (!PROMO_DISCOUNT_TYPES.includes(p.discount_type))
+    return "INVALID_DISCOUNT_TYPE";
+  if (!Number.isInteger(p.discount_value) || p.discount_value <= 0)
+    return "INVALID_DISCOUNT_VALUE";
+  if (p.discount_type === "percent" && p.discount_value > 100)
+    return "INVALID_DISCOUNT_VALUE";
+  if (!Number.isInteger(p.min_order_amount) || p.min_order_amount < 0)
+    return "INVALID_MIN_ORDER_AMOUNT";
+  for (const f of ["usage_limit", "usage_limit_per_customer"]) {
+    if (p[f] !== null && (!Number.isInteger(p[f]) || p[f] <= 0))
+      return `INVALID_${f.toUpperCase()}`;
+  }
+  for (const f of ["starts_at", "ends_at"]) {
+    if (p[f] !== null && Number.isNaN(Date.parse(p[f])))
+      return `INVALID_${f.toUpperCase()}`;
+  }
+  if (
+    p.starts_at &&
+    p.ends_at &&
+    Date.parse(p.starts_at) > Date.parse(p.ends_at)
+  )
+    return "INVALID_PERIOD";
+  for (const f of ["category_ids", "product_ids"]) {
+    if (!Array.isArray(p[f]) || !p[f].every(Number.isInteger))
+      return `INVALID_${f.toUpperCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Найти промокод (без учёта регистра).
+ * forUpdate — блокировка строки до конца транзакции: параллельные заказы
+ * с одним кодом проверяют лимит использований по очереди.
+ */
+export async function findPromo(db, code, { forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM promo_codes WHERE upper(code) = $1 ${
+      forUpdate ? "FOR UPDATE" : ""
+    }`,
+    [normalizePromoCode(code)]
+  );
+  return rows[0] || null;
+}
+
+// сумма позиций, на которые действует ограничение по категориям/товарам
+async function eligibleSubtotal(db, promo, lines) {
+  const all = lines.reduce((sum, l) => sum + l.price * l.qty, 0);
+  if (!promo.category_ids.length && !promo.product_ids.length) return all;
+  const { rows } = await db.query(
+    `SELECT p.id
+     FROM products p
+     JOIN categories c ON c.id = p.category_id
+     WHERE p.id = ANY($1::int[])
+       AND (
+         p.id = ANY($2::int[])
+         OR EXISTS (
+           SELECT 1 FROM categories pc
+           WHERE pc.id = ANY($3::int[])
+             AND (c.path = pc.path OR c.path LIKE pc.path || '/%')
+         )
+       )`,
+    [lines.map((l) => l.product_id), promo.product_ids, promo.category_ids]
+  );
+  const eligible = new Set(rows.map((r) => r.id));
+  return lines
+    .filter((l) => eligible.has(l.product_id))
+    .reduce((sum, l) => sum + l.price * l.qty, 0);
+}
+
+/**
+ * Применить промокод к корзине. Строки корзины — с уже известной ценой:
+ * [{ product_id, price, qty }]. Покупатель (phone/email) нужен для лимита на клиента.
+ * @returns {Promise<{ discount: number } | { error: string, [k: string]: any }>}
+ */
+export async function applyPromo(db, promo, lines, customer = {}) {
+  const now = Date.now();
+  if (!promo.is_active) return { error: "PROMO_INACTIVE" };
+  if (promo.starts_at && new Date(promo.starts_at).getTime() > now)
+    return { error: "PROMO_NOT_STARTED" };
+  if (promo.ends_at && new Date(promo.ends_at).getTime() < now)
+    return { error: "PROMO_EXPIRED" };
+
+  const subtotal = lines.reduce((sum, l) => sum + l.price * l.qty, 0);
+  if (subtotal < promo.min_order_amount)
+    return {
+      error: "PROMO_MIN_ORDER",
+      min_order_amount: promo.min_order_amount,
+    };
+
+  if (promo.usage_limit !== null) {
+    const { rows } = await db.query(
+      `SELECT COUNT(*)::int AS cnt FROM orders
+       WHERE promo_code_id=$1 AND status <> 'cancelled'`,
+      [promo.id]
+    );
+    if (rows[0].cnt >= promo.usage_limit) return { error: "PROMO_USAGE_LIMIT" };
+  }
+  if (
+    promo.usage_limit_per_customer !== null &&
+    (customer.phone || customer.email)
+  ) {
+    const { rows } = await db.query(
+      `SELECT COUNT(*)::int AS cnt FROM orders
+       WHERE promo_code_id=$1 AND status <> 'cancelled'
+         AND ((phone IS NOT NULL AND ${ORDER_PHONE_KEY_SQL} = $2)
+              OR (email IS NOT NULL AND lower(email) = lower($3)))`,
+      [promo.id, phoneKey(customer.phone), customer.email || null]
+    );
+    if (rows[0].cnt >= promo.usage_limit_per_customer)
+      return { error: "PROMO_CUSTOMER_LIMIT" };
+  }
+
+  const base = await eligibleSubtotal(db, promo, lines);
+  if (base === 0) return { error: "PROMO_NOT_APPLICABLE" };
+  const discount =
+    promo.discount_type === "percent"
+      ? Math.floor((base * promo.discount_value) / 100)
+      : Math.min(promo.discount_value, base);
+  return { discount };
+}
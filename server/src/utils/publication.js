@@ -0,0 +1,63 @@
+// Черновики и публикация по расписанию (товары и категории)
+import { q } from "../db.js";
+
+export const PUBLICATION_STATUSES = ["draft", "published"];
+
+/**
+ * SQL-условие «видно на витрине сейчас»: is_active, status='published'
+ * и NOW() внутри окна [publish_at, unpublish_at)
+ * @param {string} alias - алиас таблицы (products / categories)
+ */
+export function liveSql(alias = "") {
+  const a = alias ? `${alias}.` : "";
+  return `is_live_at(${a}is_active, ${a}status, ${a}publish_at, ${a}unpublish_at, NOW())`;
+}
+
+/** То же для товаров: товар из корзины (deleted_at) не виден никогда */
+export function liveProductSql(alias = "p") {
+  return `(${alias}.deleted_at IS NULL AND ${liveSql(alias)})`;
+}
+
+// дата: null, Date (значение из БД) или строка, которую понимает Date
+const time = (v) => new Date(v).getTime();
+const isDate = (v) =>
+  v === null ||
+  v instanceof Date ||
+  (typeof v === "string" && !Number.isNaN(time(v)));
+
+/**
+ * Проверка полей публикации (для создания и правки в админке)
+ * @param {{ status, publish_at, unpublish_at }} p
+ * @returns {string|null} код ошибки
+ */
+export function validatePublication({ status, publish_at, unpublish_at }) {
+  if (!PUBLICATION_STATUSES.includes(status)) return "INVALID_STATUS";
+  if (!isDate(publish_at)) return "INVALID_PUBLISH_AT";
+  if (!isDate(unpublish_at)) return "INVALID_UNPUBLISH_AT";
+  if (publish_at && unpublish_at && time(unpublish_at) <= time(publish_at))
+    return "INVALID_PUBLICATION_WINDOW";
+  return null;
+}
+
+/**
+ * Применить расписание: записи, чьё окно публикации открылось или закрылось,
+ * получают новый is_live — триггеры пересчитывают desc_product_count.
+ * @returns {Promise<number>} число изменённых записей
+ */
+export async function refreshPublication() {
+  const { rows } = await q("SELECT refresh_publication() AS changed");
+  return rows[0].changed;
+}
+
+/** Фоновый воркер: раз в PUBLICATION_POLL_SECONDS применяет расписание */
+export function startPublicationWorker() {
+  const run = () =>
+    refreshPublication()
+      .then((n) => {
+        if (n) console.log(`Publication schedule applied: ${n} record(s)`);
+      })
+      .catch((e) => console.error("Publication schedule error:", e));
+  const interval = Number(process.env.PUBLICATION_POLL_SECONDS || 60) * 1000;
+  setInterval(run, interval);
+  run();
+}
@@ -0,0 +1,166 @@
+// Ограничение частоты запросов (логин, оформление заказа).
+// Счётчики хранятся в памяти процесса — API запускается одним инстансом.
+
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+const num = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+/**
+ * Скользящее окно + блокировка: после `limit` попыток за `windowSeconds`
+ * ключ блокируется на `lockoutSeconds`; каждая следующая блокировка
+ * подряд вдвое дольше (до `maxLockoutSeconds`).
+ */
+export function createLimiter({
+  name,
+  limit,
+  windowSeconds,
+  lockoutSeconds = windowSeconds,
+  maxLockoutSeconds = lockoutSeconds,
+}) {
+  const windowMs = windowSeconds * 1000;
+  // key → { hits: number[], lockedUntil, lockouts, lastAt, lockHits }
+  // lockHits — попытки, включившие блокировку (для unhit)
+  const entries = new Map();
+  // запись забываем, когда она уже не влияет ни на окно, ни на backoff
+  const ttlMs = Math.max(windowSeconds, maxLockoutSeconds) * 1000 * 2;
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) {
+      if (e.lockedUntil <= now && e.lastAt < now - ttlMs) entries.delete(key);
+    }
+  }, PRUNE_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    name,
+
+    /** Сколько секунд ключ ещё заблокирован (0 — можно) */
+    retryAfter(key) {
+      const e = entries.get(key);
+      const left = e ? e.lockedUntil - Date.now() : 0;
+      return left > 0 ? Math.ceil(left / 1000) : 0;
+    },
+
+    /**
+     * Засчитать попытку. Вызывать сразу после проверки, до первого await:
+     * иначе параллельные запросы пройдут проверку раньше, чем засчитаются.
+     */
+    hit(key) {
+      const now = Date.now();
+      const e = entries.get(key) || { hits: [], lockedUntil: 0, lockouts: 0 };
+      e.hits = e.hits.filter((t) => t > now - windowMs);
+      e.hits.push(now);
+      e.lastAt = now;
+      if (e.hits.length >= limit) {
+        e.lockouts += 1;
+        const seconds = Math.min(
+          lockoutSeconds * 2 ** (e.lockouts - 1),
+          maxLockoutSeconds
+        );
+        e.lockedUntil = now + seconds * 1000;
+        e.lockHits = e.hits;
+        e.hits = [];
+        console.warn(`Rate limit ${name}: locked for ${seconds}s`, { key });
+      }
+      entries.set(key, e);
+    },
+
+    /** Отменить засчитанную попытку (запрос оказался не из тех, что считаем) */
+    unhit(key) {
+      const e = entries.get(key);
+      if (!e) return;
+      if (e.hits.length) {
+        e.hits.pop();
+      } else if (e.lockHits && e.lockedUntil > Date.now()) {
+        // отменяется попытка, включившая блокировку, — снимаем и блокировку
+        e.hits = e.lockHits.slice(0, -1);
+        e.lockHits = null;
+        e.lockedUntil = 0;
+        e.lockouts -= 1;
+      }
+    },
+
+    reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// неудачные попытки входа: с одного IP и на один аккаунт
+export const loginByIp = createLimiter({
+  name: "login:ip",
+  limit: num("LOGIN_IP_LIMIT", 20),
+  windowSeconds: num("LOGIN_WINDOW_SECONDS", 900),
+  lockoutSeconds: num("LOGIN_LOCKOUT_SECONDS", 300),
+  maxLockoutSeconds: num("LOGIN_MAX_LOCKOUT_SECONDS", 3600),
+});
+export const loginByAccount = createLimiter({
+  name: "login:account",
+  limit: num("LOGIN_ACCOUNT_LIMIT", 5),
+  windowSeconds: num("LOGIN_WINDOW_SECONDS", 900),
+  lockoutSeconds: num("LOGIN_LOCKOUT_SECONDS", 300),
+  maxLockoutSeconds: num("LOGIN_MAX_LOCKOUT_SECONDS", 3600),
+});
+
+// оформление заказов: с одного IP и на один телефон
+export const ordersByIp = createLimiter({
+  name: "orders:ip",
+  limit: num("ORDER_IP_LIMIT", 10),
+  windowSeconds: num("ORDER_WINDOW_SECONDS", 3600),
+});
+export const ordersByPhone = createLimiter({
+  name: "orders:phone",
+  limit: num("ORDER_PHONE_LIMIT", 5),
+  windowSeconds: num("ORDER_WINDOW_SECONDS", 3600),
+});
+
+// подбор промокодов: неизвестные коды с одного IP (корзина, доставка, заказ)
+export const promoByIp = createLimiter({
+  name: "promo:ip",
+  limit: num("PROMO_IP_LIMIT", 10),
+  windowSeconds: num("PROMO_WINDOW_SECONDS", 3600),
+  lockoutSeconds: num("PROMO_LOCKOUT_SECONDS", 900),
+  maxLockoutSeconds: num("PROMO_MAX_LOCKOUT_SECONDS", 86400),
+});
+
+// телефон как ключ: только цифры, 8XXXXXXXXXX → 7XXXXXXXXXX
+export function phoneKey(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (!digits) return null;
+  return digits.length === 11 && digits[0] === "8"
+    ? "7" + digits.slice(1)
+    : digits;
+}
+
+/**
+ * Проверка нескольких ограничителей; ключ null пропускается.
+ * Возвращает самую долгую из действующих блокировок.
+ * @param {Array<[ReturnType<typeof createLimiter>, string|null]>} checks
+ * @returns {{ limiter, key, retryAfter } | null}
+ */
+export function checkLimits(checks) {
+  let blocked = null;
+  for (const [limiter, key] of checks) {
+    if (key == null) continue;
+    const retryAfter = limiter.retryAfter(key);
+    if (retryAfter && (!blocked || retryAfter > blocked.retryAfter))
+      blocked = { limiter, key, retryAfter };
+  }
+  return blocked;
+}
+
+/** 429 с Retry-After + запись в лог */
+export function rejectThrottled(req, res, blocked) {
+  console.warn(
+    `Rate limit ${blocked.limiter.name}: blocked ${req.method} ${req.originalUrl}`,
+    { key: blocked.key, ip: req.ip, retry_after: blocked.retryAfter }
+  );
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res
+    .status(429)
+    .json({ error: "TOO_MANY_REQUESTS", retry_after: blocked.retryAfter });
+}
@@ -0,0 +1,155 @@
+// История товара: снимок редактируемых полей и характеристик после каждого сохранения
+import { diffRecords } from "./audit.js";
+import { uploadExists } from "./images.js";
+import { attributeValueSql } from "./attributes.js";
+
+// поля снимка; stock_qty не входит — остаток меняют заказы, а не редактор
+export const REVISION_FIELDS = [
+  "name",
+  "slug",
+  "sku",
+  "price",
+  "is_active",
+  "is_featured",
+  "category_id",
+  "primary_image_url",
+  "gallery",
+  "doc_url",
+  "doc_meta",
+  "content_html",
+  "specs_html",
+  "allow_backorder",
+  "weight_grams",
+  "status",
+  "publish_at",
+  "unpublish_at",
+];
+
+// значения характеристик идут в снимок отдельным полем attributes:
+// [{ attribute_id, code, value }] по возрастанию attribute_id
+async function attributeSnapshot(db, productId) {
+  const { rows } = await db.query(
+    `SELECT v.attribute_id, a.code, ${attributeValueSql("v")} AS value
+     FROM product_attribute_values v
+     JOIN attributes a ON a.id = v.attribute_id
+     WHERE v.product_id=$1
+     ORDER BY v.attribute_id`,
+    [productId]
+  );
+  return rows;
+}
+
+// сколько раз пробуем взять следующий номер при параллельных сохранениях
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Записать ревизию товара: снимок берётся из БД после сохранения.
+ * Если поля не изменились с прошлой ревизии — ничего не пишется.
+ * @param {import("pg").Pool|import("pg").PoolClient} db
+ * @param {import("express").Request} req - автор — req.admin.sub
+ * @param {string} action - create | update | restore | image.add | ...
+ * @returns {Promise<number|null>} номер новой ревизии
+ */
+export async function recordRevision(db, req, productId, action, meta = null) {
+  const { rows } = await db.query(
+    `SELECT ${REVISION_FIELDS.join(", ")} FROM products WHERE id=$1`,
+    [productId]
+  );
+  if (!rows[0]) return null;
+  const snapshot = {
+    ...rows[0],
+    attributes: await attributeSnapshot(db, productId),
+  };
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const { rows: last } = await db.query(
+      `SELECT revision, snapshot FROM product_revisions
+       WHERE product_id=$1 ORDER BY revision DESC LIMIT 1`,
+      [productId]
+    );
+    if (last[0] && !Object.keys(diffRecords(last[0].snapshot, snapshot)).length)
+      return null;
+
+    const revision = (last[0]?.revision || 0) + 1;
+    const { rows: inserted } = await db.query(
+      `INSERT INTO product_revisions(product_id, revision, action, snapshot, meta, created_by)
+       VALUES($1,$2,$3,$4,$5,$6)
+       ON CONFLICT (product_id, revision) DO NOTHING
+       RETURNING revision`,
+      [
+        productId,
+        revision,
+        action,
+        JSON.stringify(snapshot),
+        meta ? JSON.stringify(meta) : null,
+        Number(req.admin?.sub) || null,
+      ]
+    );
+    if (inserted[0]) return revision;
+  }
+  throw new Error(`Failed to record revision for product ${productId}`);
+}
+
+/**
+ * Снимок ревизии для восстановления: фото и документ, чьих файлов
+ * уже нет на диске, отбрасываются (и возвращаются в missing).
+ * attributes — null, если снимок старше характеристик в ревизиях.
+ * @returns {{ fields: object, attributes: Array|null,
+ *             missing: { images: string[], doc_url: string|null } }}
+ */
+export function restorableSnapshot(snapshot) {
+  // поля, которых не было в старом снимке, не трогаем
+  const fields = {};
+  for (const f of REVISION_FIELDS) if (f in snapshot) fields[f] = snapshot[f];
+
+  const gallery = fields.gallery || [];
+  fields.gallery = gallery.filter((img) => uploadExists(img.url));
+  const missing = {
+    images: gallery
+      .filter((img) => !fields.gallery.includes(img))
+      .map((img) => img.url),
+    doc_url: null,
+  };
+
+  if (!uploadExists(fields.primary_image_url))
+    fields.primary_image_url = fields.gallery[0]?.url || null;
+  if (!uploadExists(fields.doc_url)) {
+    missing.doc_url = fields.doc_url;
+    fields.doc_url = null;
+    fields.doc_meta = null;
+  }
+  return { fields, attributes: snapshot.attributes ?? null, missing };
+}
+
+/**
+ * Заменить значения характеристик товара значениями из снимка (в транзакции).
+ * Атрибуты, которых уже нет или у которых сменился тип, пропускаются.
+ * @param {Array<{ attribute_id, code, value }>} attributes - snapshot.attributes
+ * @returns {Promise<string[]>} коды пропущенных атрибутов
+ */
+export async function restoreAttributeValues(client, productId, attributes) {
+  await client.query(
+    "DELETE FROM product_attribute_values WHERE product_id=$1",
+    [productId]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO product_attribute_values
+       (product_id, attribute_id, value_number, value_text, value_bool)
+     SELECT $1, a.id,
+            CASE WHEN a.type = 'number' THEN (x.value #>> '{}')::numeric END,
+            CASE WHEN a.type IN ('string','enum') THEN x.value #>> '{}' END,
+            CASE WHEN a.type = 'boolean' THEN (x.value #>> '{}')::boolean END
+     FROM jsonb_to_recordset($2::jsonb) AS x(attribute_id int, value jsonb)
+     JOIN attributes a ON a.id = x.attribute_id
+     WHERE jsonb_typeof(x.value) = CASE a.type
+             WHEN 'number' THEN 'number'
+             WHEN 'boolean' THEN 'boolean'
+             ELSE 'string' END
+     RETURNING attribute_id`,
+    [productId, JSON.stringify(attributes)]
+  );
+  const restored = new Set(rows.map((row) => row.attribute_id));
+  return attributes
+    .filter((a) => !restored.has(a.attribute_id))
+    .map((a) => a.code);
+}
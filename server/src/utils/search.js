@@ -0,0 +1,54 @@
+// Полнотекстовый поиск: строка пользователя → tsquery для to_tsquery('russian', ...)
+import { escapeHtml } from "./templates.js";
+
+const MAX_TERMS = 8;
+
+// Беглая гласная: «станок» → «станк» (станки), «ремень» → «ремн» (ремни).
+// Русский стеммер такие формы не сводит к одной основе, поэтому
+// добавляем вариант без гласной как альтернативу.
+function fleetingVowelVariant(word) {
+  const m = word.match(/^(.{3,})[оеё]([кцлнр]ь?)$/);
+  return m ? m[1] + m[2] : null;
+}
+
+/**
+ * Строит текст запроса для to_tsquery('russian', ...):
+ * все слова обязательны (AND), каждое ищется по префиксу (станок:*).
+ * Пользовательский ввод не попадает в синтаксис tsquery — берём только буквы/цифры.
+ * @param {string} input
+ * @returns {string|null} null — если в строке нет ни одного слова
+ */
+export function buildTsQuery(input) {
+  const words = (String(input || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .slice(0, MAX_TERMS);
+  if (!words.length) return null;
+  return words
+    .map((w) => {
+      const alt = fleetingVowelVariant(w);
+      return alt ? `(${w}:* | ${alt}:*)` : `${w}:*`;
+    })
+    .join(" & ");
+}
+
+// Опции подсветки для ts_headline
+export const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=\" … \"";
+
+// Название товара — обычный текст, а не HTML: ts_headline размечает его
+// управляющими символами, а <mark> ставит markNameHighlight после экранирования
+const MARK_START = "\u0002";
+const MARK_STOP = "\u0003";
+export const NAME_HEADLINE_OPTIONS = `HighlightAll=true, StartSel="${MARK_START}", StopSel="${MARK_STOP}"`;
+
+/** Результат ts_headline с NAME_HEADLINE_OPTIONS → экранированный HTML с <mark> */
+export function markNameHighlight(headline) {
+  if (headline == null) return headline;
+  return escapeHtml(headline)
+    .replaceAll(MARK_START, "<mark>")
+    .replaceAll(MARK_STOP, "</mark>");
+}
+
+// Строка пользователя как литерал для LIKE/ILIKE: % и _ не должны работать как шаблон
+export function escapeLike(input) {
+  return String(input).replace(/[\\%_]/g, "\\$&");
+}
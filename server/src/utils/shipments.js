@@ -0,0 +1,121 @@
+// Отправления заказа: проверка позиций и статус заказа по покрытию
+import { SHIPPABLE_STATUSES, shipmentStatus } from "./orderStatus.js";
+
+/**
+ * Позиции заказа с количеством в отправлениях
+ * @param {number} [exceptShipmentId] - не учитывать это отправление (при его правке)
+ * @returns {Promise<Array<{ id, product_id, variant_id, qty, shipped_qty }>>}
+ */
+export async function orderItemsCoverage(db, orderId, exceptShipmentId = null) {
+  const { rows } = await db.query(
+    `SELECT oi.id, oi.product_id, oi.variant_id, oi.qty,
+            COALESCE(SUM(si.qty) FILTER (WHERE s.id IS DISTINCT FROM $2::int), 0)::int AS shipped_qty
+     FROM order_items oi
+     LEFT JOIN shipment_items si ON si.order_item_id = oi.id
+     LEFT JOIN shipments s ON s.id = si.shipment_id
+     WHERE oi.order_id = $1
+     GROUP BY oi.id
+     ORDER BY oi.id`,
+    [orderId, exceptShipmentId]
+  );
+  return rows;
+}
+
+/**
+ * Позиции нового/изменённого отправления.
+ * Без списка — всё, что ещё не отправлено.
+ * @returns {{ items: Array<{ order_item_id, qty }> } | { error: object }}
+ */
+export function resolveShipmentItems(requested, coverage) {
+  const byId = new Map(coverage.map((it) => [it.id, it]));
+  if (requested === undefined || requested === null) {
+    const items = coverage
+      .filter((it) => it.qty > it.shipped_qty)
+      .map((it) => ({ order_item_id: it.id, qty: it.qty - it.shipped_qty }));
+    return items.length ? { items } : { error: { error: "NOTHING_TO_SHIP" } };
+  }
+  if (!Array.isArray(requested) || !requested.length)
+    return { error: { error: "ITEMS_REQUIRED" } };
+
+  const seen = new Set();
+  const items = [];
+  for (const raw of requested) {
+    const id = Number(raw?.order_item_id);
+    const qty = Number(raw?.qty);
+    const item = byId.get(id);
+    if (!item || seen.has(id))
+      return { error: { error: "INVALID_ORDER_ITEM", order_item_id: id } };
+    if (!Number.isInteger(qty) || qty <= 0)
+      return { error: { error: "INVALID_QTY", order_item_id: id } };
+    const remaining = item.qty - item.shipped_qty;
+    if (qty > remaining)
+      return {
+        error: { error: "QTY_EXCEEDS_REMAINING", order_item_id: id, remaining },
+      };
+    seen.add(id);
+    items.push({ order_item_id: id, qty });
+  }
+  return { items };
+}
+
+/** Записать позиции отправления (старые удаляются) */
+export async function saveShipmentItems(db, shipmentId, items) {
+  await db.query("DELETE FROM shipment_items WHERE shipment_id=$1", [
+    shipmentId,
+  ]);
+  if (!items.length) return;
+  await db.query(
+    `INSERT INTO shipment_items(shipment_id, order_item_id, qty)
+     SELECT $1, x.order_item_id, x.qty
+     FROM jsonb_to_recordset($2::jsonb) AS x(order_item_id int, qty int)`,
+    [shipmentId, JSON.stringify(items)]
+  );
+}
+
+/**
+ * Привести статус заказа к покрытию отправлениями: paid / partially_shipped / shipped.
+ * Заказ уже заблокирован (FOR UPDATE); статусы вне SHIPPABLE_STATUSES не трогаем.
+ * @returns {Promise<{ from, to } | null>} смена статуса, если была
+ */
+export async function syncShipmentStatus(db, order, actorId, comment) {
+  if (!SHIPPABLE_STATUSES.includes(order.status)) return null;
+  const status = shipmentStatus(await orderItemsCoverage(db, order.id));
+  if (status === order.status) return null;
+  await db.query("UPDATE orders SET status=$1 WHERE id=$2", [status, order.id]);
+  await db.query(
+    `INSERT INTO order_status_history(order_id, from_status, to_status, changed_by, comment)
+     VALUES($1,$2,$3,$4,$5)`,
+    [order.id, order.status, status, actorId, comment]
+  );
+  return { from: order.status, to: status };
+}
+
+/** Отправления заказа с позициями (и названиями товаров) */
+export async function loadShipments(db, orderId) {
+  const { rows: shipments } = await db.query(
+    `SELECT id, carrier, tracking_number, shipped_at, comment, created_by, created_at
+     FROM shipments WHERE order_id=$1
+     ORDER BY shipped_at, id`,
+    [orderId]
+  );
+  if (!shipments.length) return [];
+  const { rows: items } = await db.query(
+    `SELECT si.shipment_id, si.order_item_id, si.qty,
+            oi.product_id, oi.variant_id,
+            CASE WHEN pv.id IS NULL THEN p.name
+                 ELSE p.name || ' — ' || pv.name END AS product_name
+     FROM shipment_items si
+     JOIN order_items oi ON oi.id = si.order_item_id
+     LEFT JOIN products p ON p.id = oi.product_id
+     LEFT JOIN product_variants pv ON pv.id = oi.variant_id
+     WHERE si.shipment_id = ANY($1::int[])
+     ORDER BY si.order_item_id`,
+    [shipments.map((s) => s.id)]
+  );
+  return shipments.map((s) => ({
+    ...s,
+    items: items
+      .filter((it) => it.shipment_id === s.id)
+      .map(({ shipment_id, ...it }) => it),
+  }));
+}
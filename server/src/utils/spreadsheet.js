@@ -0,0 +1,112 @@
+// Импорт/экспорт товаров таблицей (CSV или XLSX)
+import ExcelJS from "exceljs";
+import { parse } from "csv-parse/sync";
+import { stringify } from "csv-stringify/sync";
+
+// колонки файла — одинаковые для импорта и экспорта
+export const PRODUCT_COLUMNS = [
+  "sku",
+  "slug",
+  "name",
+  "price",
+  "category",
+  "is_active",
+  "is_featured",
+  "stock_qty",
+  "allow_backorder",
+  "weight_grams",
+  "primary_image_url",
+  "content_html",
+  "specs_html",
+];
+
+export function detectFormat(filename = "", mimetype = "") {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith(".xlsx") || mimetype.includes("spreadsheetml"))
+    return "xlsx";
+  if (lower.endsWith(".csv") || mimetype.includes("csv")) return "csv";
+  return null;
+}
+
+// значение ячейки exceljs → строка (формулы, rich text, гиперссылки)
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+  }
+  return String(value);
+}
+
+/**
+ * Читает таблицу: первая строка — заголовки.
+ * @param {Buffer} buffer
+ * @param {"csv"|"xlsx"} format
+ * @returns {Promise<Array<Object>>} строки вида { [header]: string }
+ */
+export async function readSpreadsheet(buffer, format) {
+  if (format === "csv") {
+    // разделитель ; — частый вариант при экспорте из русской локали Excel
+    const firstLine = buffer.toString("utf8").split(/\r?\n/, 1)[0];
+    const delimiter =
+      firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+    return parse(buffer, {
+      columns: (header) => header.map((h) => h.trim().toLowerCase()),
+      delimiter,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+  }
+
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+
+  const headers = [];
+  ws.getRow(1).eachCell((cell, col) => {
+    headers[col] = cellText(cell.value).trim().toLowerCase();
+  });
+
+  const rows = [];
+  ws.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const obj = {};
+    headers.forEach((h, col) => {
+      if (h) obj[h] = cellText(row.getCell(col).value).trim();
+    });
+    rows.push(obj);
+  });
+  return rows;
+}
+
+/**
+ * Собирает файл из строк
+ * @param {Array<Object>} rows
+ * @param {string[]} columns
+ * @param {"csv"|"xlsx"} format
+ * @returns {Promise<Buffer>}
+ */
+export async function writeSpreadsheet(rows, columns, format) {
+  if (format === "csv") {
+    // BOM — чтобы Excel открыл UTF-8 с кириллицей
+    return Buffer.from(
+      "\uFEFF" +
+        stringify(rows, {
+          header: true,
+          columns,
+          cast: { boolean: (v) => (v ? "true" : "false") },
+        }),
+      "utf8"
+    );
+  }
+
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("products");
+  ws.columns = columns.map((key) => ({ header: key, key, width: 20 }));
+  ws.getRow(1).font = { bold: true };
+  for (const row of rows) ws.addRow(row);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
@@ -0,0 +1,133 @@
+// Складские остатки: резерв при оформлении заказа и возврат при отмене
+
+/**
+ * SQL-выражение доступности товара: in_stock | backorder | out_of_stock
+ * @param {string} alias - алиас таблицы products в запросе
+ */
+export function availabilitySql(alias = "p") {
+  return `CASE
+    WHEN ${alias}.stock_qty IS NULL OR ${alias}.stock_qty > 0 THEN 'in_stock'
+    WHEN ${alias}.allow_backorder THEN 'backorder'
+    ELSE 'out_of_stock'
+  END`;
+}
+
+// блокирует строки с остатками (products или product_variants) до конца транзакции
+async function lockStock(client, table, need) {
+  if (!need.size) return [];
+  const { rows } = await client.query(
+    `SELECT id, ${table === "products" ? "id AS product_id" : "product_id"},
+            stock_qty, allow_backorder
+     FROM ${table}
+     WHERE id = ANY($1::int[])
+     ORDER BY id
+     FOR UPDATE`,
+    [[...need.keys()]]
+  );
+  return rows;
+}
+
+/**
+ * Списывает остатки под позиции заказа. Вызывать внутри транзакции:
+ * строки товаров/вариантов блокируются FOR UPDATE, поэтому параллельные
+ * заказы не уведут последнюю единицу дважды.
+ * Позиция с variant_id списывается с остатка варианта, без — с товара.
+ * Если хотя бы одной позиции не хватает — ничего не списывает.
+ * @param {import("pg").PoolClient} client
+ * @param {Array<{product_id: number, variant_id?: number, qty: number}>} items
+ * @returns {Promise<{shortages: Array, tracked: (item) => boolean}>}
+ *   shortages — нехватка по позициям; tracked(item) — ведётся ли по ней остаток
+ */
+export async function reserveStock(client, items) {
+  // одна позиция может прийти несколькими строками — суммируем
+  const needProducts = new Map();
+  const needVariants = new Map();
+  for (const it of items) {
+    const need = it.variant_id ? needVariants : needProducts;
+    const id = it.variant_id || it.product_id;
+    need.set(id, (need.get(id) || 0) + it.qty);
+  }
+
+  const targets = [
+    { table: "products", need: needProducts, rows: [] },
+    { table: "product_variants", need: needVariants, rows: [] },
+  ];
+  for (const t of targets) t.rows = await lockStock(client, t.table, t.need);
+  const [products, variants] = targets;
+
+  const shortages = [];
+  for (const t of targets) {
+    for (const row of t.rows) {
+      if (row.stock_qty === null || row.allow_backorder) continue;
+      const qty = t.need.get(row.id);
+      if (row.stock_qty < qty) {
+        shortages.push({
+          product_id: row.product_id,
+          ...(t === variants ? { variant_id: row.id } : {}),
+          requested: qty,
+          available: Math.max(0, row.stock_qty),
+        });
+      }
+    }
+  }
+
+  const trackedProducts = new Set(
+    products.rows.filter((p) => p.stock_qty !== null).map((p) => p.id)
+  );
+  const trackedVariants = new Set(
+    variants.rows.filter((v) => v.stock_qty !== null).map((v) => v.id)
+  );
+  const tracked = (it) =>
+    it.variant_id
+      ? trackedVariants.has(it.variant_id)
+      : trackedProducts.has(it.product_id);
+
+  if (shortages.length) return { shortages, tracked };
+
+  for (const t of targets) {
+    for (const row of t.rows) {
+      if (row.stock_qty === null) continue;
+      await client.query(
+        `UPDATE ${t.table} SET stock_qty = stock_qty - $1 WHERE id=$2`,
+        [t.need.get(row.id), row.id]
+      );
+    }
+  }
+  return { shortages, tracked };
+}
+
+/**
+ * Возвращает на склад всё, что было списано по заказу (например, при отмене)
+ * @param {import("pg").PoolClient} client
+ * @param {string} orderId
+ */
+export async function releaseStock(client, orderId) {
+  await client.query(
+    `UPDATE products p
+       SET stock_qty = p.stock_qty + r.qty
+     FROM (
+       SELECT product_id, SUM(reserved_qty)::int AS qty
+       FROM order_items
+       WHERE order_id=$1 AND reserved_qty > 0 AND variant_id IS NULL
+       GROUP BY product_id
+     ) r
+     WHERE p.id = r.product_id AND p.stock_qty IS NOT NULL`,
+    [orderId]
+  );
+  await client.query(
+    `UPDATE product_variants v
+       SET stock_qty = v.stock_qty + r.qty
+     FROM (
+       SELECT variant_id, SUM(reserved_qty)::int AS qty
+       FROM order_items
+       WHERE order_id=$1 AND reserved_qty > 0 AND variant_id IS NOT NULL
+       GROUP BY variant_id
+     ) r
+     WHERE v.id = r.variant_id AND v.stock_qty IS NOT NULL`,
+    [orderId]
+  );
+  await client.query(
+    `UPDATE order_items SET reserved_qty = 0 WHERE order_id=$1`,
+    [orderId]
+  );
+}
@@ -0,0 +1,121 @@
+// Шаблоны писем — файлы в src/templates/email (или в EMAIL_TEMPLATES_DIR):
+//   <name>.subject.txt, <name>.html, <name>.txt
+// Файлы читаются при каждой отправке — правки применяются без перезапуска.
+//
+// Синтаксис (подмножество mustache):
+//   {{name}}               — значение; в .html экранируется
+//   {{{name}}}             — без экранирования (только для доверенных данных)
+//   {{#name}}…{{/name}}    — для списка: блок на каждый элемент; иначе — если значение есть
+//   {{^name}}…{{/name}}    — если значения нет (или список пуст)
+//   order.id               — вложенные поля
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_DIR = fileURLToPath(
+  new URL("../templates/email/", import.meta.url)
+);
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const TAG_RE = /\{\{(\{)?\s*([#^/]?)\s*([\w.]+)\s*\}\}(\})?/g;
+// тег секции на отдельной строке не оставляет после себя пустую строку
+const STANDALONE_RE = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+function parse(template) {
+  const src = template.replace(STANDALONE_RE, "$1");
+  const root = { children: [] };
+  const open = [root];
+  let last = 0;
+  for (const m of src.matchAll(TAG_RE)) {
+    const top = open[open.length - 1];
+    if (m.index > last) top.children.push(src.slice(last, m.index));
+    last = m.index + m[0].length;
+    const [, raw, kind, name] = m;
+    if (kind === "#" || kind === "^") {
+      const node = { section: kind, name, children: [] };
+      top.children.push(node);
+      open.push(node);
+    } else if (kind === "/") {
+      if (top === root || top.name !== name)
+        throw new Error(`Unexpected {{/${name}}}`);
+      open.pop();
+    } else {
+      top.children.push({ name, raw: Boolean(raw) });
+    }
+  }
+  if (open.length > 1)
+    throw new Error(`Unclosed {{#${open[open.length - 1].name}}}`);
+  root.children.push(src.slice(last));
+  return root.children;
+}
+
+// значение ищется от самого вложенного контекста к внешнему
+function lookup(stack, name) {
+  const [first, ...rest] = name.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    if (ctx && typeof ctx === "object" && first in ctx) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), ctx[first]);
+    }
+  }
+  return undefined;
+}
+
+const isEmpty = (v) =>
+  v == null || v === false || v === "" || (Array.isArray(v) && !v.length);
+
+function render(nodes, stack, escape) {
+  let out = "";
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      out += node;
+    } else if (node.section) {
+      const value = lookup(stack, node.name);
+      if (node.section === "^") {
+        if (isEmpty(value)) out += render(node.children, stack, escape);
+      } else if (Array.isArray(value)) {
+        for (const item of value)
+          out += render(node.children, [...stack, item], escape);
+      } else if (!isEmpty(value)) {
+        out += render(node.children, [...stack, value], escape);
+      }
+    } else {
+      const value = lookup(stack, node.name);
+      const str = value == null ? "" : String(value);
+      out += escape && !node.raw ? escapeHtml(str) : str;
+    }
+  }
+  return out;
+}
+
+/** Подставить данные в строку шаблона */
+export function renderTemplate(src, data, { escape = false } = {}) {
+  return render(parse(src), [data], escape);
+}
+
+/**
+ * Собрать письмо из файлов шаблона
+ * @returns {Promise<{ subject: string, html: string, text: string }>}
+ */
+export async function renderEmail(name, data) {
+  const dir = process.env.EMAIL_TEMPLATES_DIR || DEFAULT_DIR;
+  const read = (suffix) => fs.readFile(path.join(dir, name + suffix), "utf8");
+  const [subject, html, text] = await Promise.all([
+    read(".subject.txt"),
+    read(".html"),
+    read(".txt"),
+  ]);
+  return {
+    subject: renderTemplate(subject, data).trim(),
+    html: renderTemplate(html, data, { escape: true }),
+    text: renderTemplate(text, data),
+  };
+}